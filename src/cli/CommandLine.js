@@ -0,0 +1,350 @@
+/**
+ * @fileoverview Line-based front end for the calculator core.
+ * Evaluates expressions and `:commands` one line at a time, for the
+ * command-line calculator and its REPL.
+ */
+
+/**
+ * Number modes accepted by `:mode`. Programmer mode is a keypad layout in
+ * the core, the others are number modes.
+ * @type {string[]}
+ */
+const MODES = ['decimal', 'fraction', 'float', 'complex', 'programmer'];
+
+/**
+ * The `:commands`, by name, with their usage and description.
+ * @type {Object<string, {usage: string, description: string, run: function(CommandLine, string): Object}>}
+ */
+const COMMANDS = {
+    help: {
+        usage: ':help',
+        description: 'List the commands',
+        run: (cli) => cli.help()
+    },
+    precision: {
+        usage: ':precision [digits]',
+        description: 'Show or set the significant digits of inexact results',
+        run: (cli, argument) => cli.precision(argument)
+    },
+    mode: {
+        usage: `:mode [${MODES.join('|')}]`,
+        description: 'Show or set the number mode',
+        run: (cli, argument) => cli.mode(argument)
+    },
+    angle: {
+        usage: ':angle [DEG|RAD|GRAD]',
+        description: 'Show or set the angle mode',
+        run: (cli, argument) => cli.angle(argument)
+    },
+    radix: {
+        usage: ':radix [HEX|DEC|OCT|BIN]',
+        description: 'Show or set the base in programmer mode',
+        run: (cli, argument) => cli.radix(argument)
+    },
+    implicit: {
+        usage: ':implicit [on|off]',
+        description: 'Show or set whether 2(3+4) and 3pi multiply, or are errors',
+        run: (cli, argument) => cli.implicit(argument)
+    },
+    vars: {
+        usage: ':vars',
+        description: 'List the variables',
+        run: (cli) => cli.vars()
+    },
+    functions: {
+        usage: ':functions',
+        description: 'List the user-defined functions',
+        run: (cli) => cli.functions()
+    },
+    history: {
+        usage: ':history',
+        description: 'List the calculation history, oldest first',
+        run: (cli) => cli.history()
+    },
+    quit: {
+        usage: ':quit',
+        description: 'Leave the REPL',
+        run: () => ({ type: 'quit' })
+    }
+};
+
+/**
+ * CommandLine class turning lines of text into calculator commands.
+ * Each call to `execute` returns one outcome:
+ * `{ type: 'result', text }` for a value,
+ * `{ type: 'info', text }` for definitions and `:commands`,
+ * `{ type: 'error', message, suggestion, start, end }` for a failure, where
+ * `start` and `end` index into the line when the error points at part of it,
+ * `{ type: 'quit' }` for `:quit`, or `{ type: 'none' }` for a blank line.
+ * @class CommandLine
+ * @example
+ * const cli = new CommandLine(new CalculatorCore());
+ * cli.execute('2^10'); // Returns { type: 'result', text: '1024' }
+ * cli.execute(':precision 50'); // Returns { type: 'info', text: 'Precision: 50 digits' }
+ * cli.execute('2 *').message; // Returns "Missing operand after '*' at position 3"
+ */
+export class CommandLine {
+    /**
+     * Creates a new CommandLine instance.
+     * @constructor
+     * @param {CalculatorCore} core - The calculator core
+     * @param {Object} [options] - Output options
+     * @param {boolean} [options.formatted=false] - Whether results use the
+     *     locale's digit grouping, as on the display, instead of the plain
+     *     form that can be read back as input
+     */
+    constructor(core, { formatted = false } = {}) {
+        /** @private {CalculatorCore} The calculator core */
+        this.core = core;
+
+        /** @private {boolean} Whether results use the locale's digit grouping */
+        this.formatted = formatted;
+
+        /** @private {Array<{type: string, message: string, suggestion: ?string}>} Notifications of the running line */
+        this.notifications = [];
+
+        this.core.on('notification', (notification) => this.notifications.push(notification));
+    }
+
+    /**
+     * Evaluates one line: an expression, assignment or function definition,
+     * or a `:command` with an optional argument.
+     * @param {string} line - The line
+     * @returns {Object} The outcome, see the class description
+     * @example
+     * cli.execute('vat(x) = x * 1.2'); // Returns { type: 'info', text: 'Defined vat(x)' }
+     * cli.execute(':mode fraction'); // Returns { type: 'info', text: 'Mode: fraction' }
+     */
+    execute(line) {
+        const text = line.trim();
+        if (!text) {
+            return { type: 'none' };
+        }
+        this.notifications = [];
+
+        if (text.startsWith(':')) {
+            const [name, argument = ''] = text.slice(1).split(/\s+(.*)/);
+            const key = name === 'exit' ? 'quit' : name;
+            const command = Object.hasOwn(COMMANDS, key) ? COMMANDS[key] : null;
+            if (!command) {
+                return this.failure(new Error(`Unknown command ':${name}'`), 'Type :help for a list of commands');
+            }
+            try {
+                return command.run(this, argument.trim());
+            } catch (error) {
+                return this.failure(error, error.suggestion ?? `Use ${command.usage}`);
+            }
+        }
+
+        this.core.dispatch({ type: 'load', value: text });
+        this.core.dispatch({ type: 'calculate' });
+
+        const state = this.core.getState();
+        if (state.error) {
+            // The core has the error for the whole input; map it back onto the untrimmed line
+            const offset = line.indexOf(text);
+            const { message, suggestion, start, end } = state.error;
+            return {
+                type: 'error',
+                message,
+                suggestion,
+                start: start === undefined ? undefined : start + offset,
+                end: end === undefined ? undefined : end + offset
+            };
+        }
+
+        const info = this.notifications.find((notification) => notification.type === 'info');
+        if (info) {
+            return { type: 'info', text: info.message };
+        }
+        return { type: 'result', text: this.formatted ? state.result : state.input };
+    }
+
+    /**
+     * Gets the names the REPL can complete: commands, functions, constants
+     * and variables.
+     * @returns {string[]} The names, commands with their ':'
+     */
+    getCompletions() {
+        const engine = this.core.getEngine();
+        return [
+            ...Object.keys(COMMANDS).map((name) => `:${name}`),
+            ...Object.keys(engine.functions),
+            ...engine.getUserFunctions().map(({ name }) => name),
+            ...Object.keys(engine.constants),
+            ...engine.getVariables().map(([name]) => name),
+            'ans'
+        ];
+    }
+
+    /**
+     * Lists the commands.
+     * @private
+     * @returns {Object} The outcome
+     */
+    help() {
+        const width = Math.max(...Object.values(COMMANDS).map(({ usage }) => usage.length));
+        const lines = Object.values(COMMANDS).map(({ usage, description }) => `${usage.padEnd(width)}  ${description}`);
+        return { type: 'info', text: lines.join('\n') };
+    }
+
+    /**
+     * Shows or sets the precision.
+     * @private
+     * @param {string} argument - The digits, or '' to show the precision
+     * @returns {Object} The outcome
+     * @throws {Error} If the digits are invalid
+     */
+    precision(argument) {
+        if (argument) {
+            if (!/^\d+$/.test(argument)) {
+                throw new Error(`Invalid precision '${argument}'`);
+            }
+            this.run({ type: 'setPrecision', digits: parseInt(argument, 10) });
+        }
+        return { type: 'info', text: `Precision: ${this.core.getState().settings.precision} digits` };
+    }
+
+    /**
+     * Shows or sets the number mode.
+     * @private
+     * @param {string} argument - The mode, or '' to show the mode
+     * @returns {Object} The outcome
+     * @throws {Error} If the mode is unknown
+     */
+    mode(argument) {
+        if (argument) {
+            const mode = argument.toLowerCase();
+            if (!MODES.includes(mode)) {
+                throw new Error(`Unknown mode '${argument}'`);
+            }
+            if (mode === 'programmer') {
+                this.run({ type: 'setLayout', layout: 'programmer' });
+            } else {
+                this.run({ type: 'setNumberMode', mode });
+                if (this.core.getState().settings.layout === 'programmer') {
+                    this.run({ type: 'setLayout', layout: 'scientific' });
+                }
+            }
+        }
+        return { type: 'info', text: `Mode: ${this.core.getState().numberMode}` };
+    }
+
+    /**
+     * Shows or sets the angle mode.
+     * @private
+     * @param {string} argument - The mode, or '' to show the mode
+     * @returns {Object} The outcome
+     * @throws {Error} If the mode is unknown
+     */
+    angle(argument) {
+        if (argument) {
+            const mode = argument.toUpperCase();
+            if (!this.core.getEngine().getAngleModes().includes(mode)) {
+                throw new Error(`Unknown angle mode '${argument}'`);
+            }
+            this.run({ type: 'setAngleMode', mode });
+        }
+        return { type: 'info', text: `Angle mode: ${this.core.getState().settings.angleMode}` };
+    }
+
+    /**
+     * Shows or sets the programmer mode base.
+     * @private
+     * @param {string} argument - The base name, or '' to show the base
+     * @returns {Object} The outcome
+     * @throws {Error} If the base is unknown or programmer mode is off
+     */
+    radix(argument) {
+        if (this.core.getState().numberMode !== 'programmer') {
+            throw Object.assign(new Error('Bases need programmer mode'), { suggestion: 'Use :mode programmer' });
+        }
+        if (argument) {
+            this.run({ type: 'setRadix', radix: argument.toUpperCase() });
+        }
+        return { type: 'info', text: `Base: ${this.core.getState().settings.radix}` };
+    }
+
+    /**
+     * Shows or sets implicit multiplication.
+     * @private
+     * @param {string} argument - 'on', 'off', or '' to show the setting
+     * @returns {Object} The outcome
+     * @throws {Error} If the argument is neither 'on' nor 'off'
+     */
+    implicit(argument) {
+        if (argument) {
+            const setting = argument.toLowerCase();
+            if (setting !== 'on' && setting !== 'off') {
+                throw new Error(`Invalid setting '${argument}'`);
+            }
+            this.run({ type: 'setImplicitMultiplication', enabled: setting === 'on' });
+        }
+        return { type: 'info', text: `Implicit multiplication: ${this.core.getState().settings.implicitMultiplication ? 'on' : 'off'}` };
+    }
+
+    /**
+     * Lists the variables.
+     * @private
+     * @returns {Object} The outcome
+     */
+    vars() {
+        const variables = this.core.getEngine().getVariables();
+        const text = variables.length
+            ? variables.map(([name, value]) => `${name} = ${value}`).join('\n')
+            : 'No variables';
+        return { type: 'info', text };
+    }
+
+    /**
+     * Lists the user-defined functions.
+     * @private
+     * @returns {Object} The outcome
+     */
+    functions() {
+        const functions = this.core.getEngine().getUserFunctions();
+        const text = functions.length
+            ? functions.map(({ name, params, body }) => `${name}(${params.join(', ')}) = ${body}`).join('\n')
+            : 'No functions';
+        return { type: 'info', text };
+    }
+
+    /**
+     * Lists the calculation history.
+     * @private
+     * @returns {Object} The outcome
+     */
+    history() {
+        const entries = this.core.getHistory().getEntries();
+        const text = entries.length
+            ? [...entries].reverse().map(({ expression, result }) => `${expression} = ${result}`).join('\n')
+            : 'No history';
+        return { type: 'info', text };
+    }
+
+    /**
+     * Sends a command to the core.
+     * @private
+     * @param {{type: string}} command - The command
+     * @throws {Error} If the core reports an error
+     */
+    run(command) {
+        this.notifications = [];
+        this.core.dispatch(command);
+        const error = this.notifications.find((notification) => notification.type === 'error');
+        if (error) {
+            throw Object.assign(new Error(error.message), { suggestion: error.suggestion });
+        }
+    }
+
+    /**
+     * Creates the outcome of a failed command.
+     * @private
+     * @param {Error} error - The error
+     * @param {string|null} suggestion - How to fix it
+     * @returns {Object} The outcome
+     */
+    failure(error, suggestion) {
+        return { type: 'error', message: error.message, suggestion, start: undefined, end: undefined };
+    }
+}
@@ -0,0 +1,135 @@
+/**
+ * @fileoverview File storage backend for Node.
+ * Keeps the calculator's saved state in a JSON file, the command-line
+ * counterpart of `localStorage` in the browser.
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { MemoryStorage } from '../js/modules/MemoryStorage.js';
+
+/**
+ * FileStorage class that saves its values to a JSON file after every change.
+ * A missing or unreadable file starts out empty, so the first run works.
+ * Values set inside `withoutSaving`, such as settings from command-line
+ * options, apply to this run only: the file keeps the values they replaced
+ * until the keys are set again.
+ * @class FileStorage
+ * @extends MemoryStorage
+ * @example
+ * const storage = new FileStorage('/home/ada/.calculator.json');
+ * const core = new CalculatorCore({ storage, sessionStorage: new MemoryStorage() });
+ * storage.withoutSaving(() => core.dispatch({ type: 'setPrecision', digits: 50 }));
+ */
+export class FileStorage extends MemoryStorage {
+    /**
+     * Creates a new FileStorage instance and loads the file.
+     * @constructor
+     * @param {string} path - The JSON file
+     */
+    constructor(path) {
+        let entries = {};
+        try {
+            entries = JSON.parse(readFileSync(path, 'utf8'));
+        } catch (error) {
+            // Start empty; the file is written on the first change
+        }
+        super(entries && typeof entries === 'object' ? entries : {});
+
+        /** @private {string} The JSON file */
+        this.path = path;
+
+        /** @private {boolean} True once a failed write has been reported */
+        this.hasReportedError = false;
+
+        /** @private {Map<string, string|null>} Values the file keeps for keys set only for this run, null if absent */
+        this.overrides = new Map();
+
+        /** @private {boolean} True while changes apply to this run only */
+        this.isOverriding = false;
+    }
+
+    /**
+     * Stores a value and saves the file.
+     * @param {string} key - The key
+     * @param {*} value - The value
+     */
+    setItem(key, value) {
+        this.track(key);
+        super.setItem(key, value);
+        this.save();
+    }
+
+    /**
+     * Removes a value and saves the file.
+     * @param {string} key - The key
+     */
+    removeItem(key) {
+        this.track(key);
+        super.removeItem(key);
+        this.save();
+    }
+
+    /**
+     * Runs a function whose changes apply to this run only. The keys it sets
+     * or removes keep their previous values in the file.
+     * @param {function(): *} apply - The function
+     * @returns {*} What the function returns
+     * @example
+     * storage.withoutSaving(() => cli.execute(':mode fraction')); // The file keeps the saved mode
+     */
+    withoutSaving(apply) {
+        this.isOverriding = true;
+        try {
+            return apply();
+        } finally {
+            this.isOverriding = false;
+        }
+    }
+
+    /**
+     * Removes all values and saves the file.
+     */
+    clear() {
+        super.clear();
+        this.overrides.clear();
+        this.save();
+    }
+
+    /**
+     * Remembers the saved value of a key changed for this run only, or
+     * forgets it once the key is changed for good.
+     * @private
+     * @param {string} key - The key about to change
+     */
+    track(key) {
+        if (!this.isOverriding) {
+            this.overrides.delete(String(key));
+        } else if (!this.overrides.has(String(key))) {
+            this.overrides.set(String(key), this.getItem(key));
+        }
+    }
+
+    /**
+     * Writes all values to the file. A failed write is reported once and
+     * the values stay available in memory.
+     * @private
+     */
+    save() {
+        const entries = Object.fromEntries(this.items);
+        this.overrides.forEach((value, key) => {
+            if (value === null) {
+                delete entries[key];
+            } else {
+                entries[key] = value;
+            }
+        });
+        try {
+            writeFileSync(this.path, `${JSON.stringify(entries, null, 2)}\n`);
+        } catch (error) {
+            if (!this.hasReportedError) {
+                console.error(`Cannot save to ${this.path}: ${error.message}`);
+                this.hasReportedError = true;
+            }
+        }
+    }
+}
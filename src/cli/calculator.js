@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Command-line calculator built on the calculator core.
+ * Evaluates the expressions given as arguments or the lines piped to stdin,
+ * or starts an interactive REPL when run in a terminal without expressions.
+ * Exits with code 1 if an expression fails and 2 for invalid options.
+ */
+
+import { createInterface } from 'node:readline';
+import { homedir } from 'node:os';
+import { join } from 'node:path';
+import { parseArgs } from 'node:util';
+import { CalculatorCore } from '../js/modules/CalculatorCore.js';
+import { MemoryStorage } from '../js/modules/MemoryStorage.js';
+import { CommandLine } from './CommandLine.js';
+import { FileStorage } from './FileStorage.js';
+
+/**
+ * Help text for `--help` and invalid options.
+ * @type {string}
+ */
+const USAGE = `Usage: calculator [options] [--] [expression ...]
+
+Evaluates each expression in order and prints its result. Without
+expressions, evaluates the lines read from stdin, or starts a REPL when
+stdin is a terminal. Lines may also be :commands, see :help in the REPL.
+
+Options:
+  -p, --precision <digits>  Significant digits of inexact results
+  -m, --mode <mode>         decimal, fraction, float, complex or programmer
+  -a, --angle <mode>        DEG, RAD or GRAD
+  -s, --strict              Report operands side by side, as in 2(3+4) or
+                            3pi, as errors instead of multiplying them
+  -i, --interactive         Start the REPL even if stdin is not a terminal
+      --state <file>        Where the REPL saves its state and line history
+                            (default: ~/.calculator.json)
+  -h, --help                Show this help
+
+Put -- before expressions that start with '-', e.g. calculator -- -5+3`;
+
+/**
+ * Options accepted on the command line, in the format of `util.parseArgs`.
+ * @type {Object}
+ */
+const OPTIONS = {
+    precision: { type: 'string', short: 'p' },
+    mode: { type: 'string', short: 'm' },
+    angle: { type: 'string', short: 'a' },
+    strict: { type: 'boolean', short: 's' },
+    interactive: { type: 'boolean', short: 'i' },
+    state: { type: 'string' },
+    help: { type: 'boolean', short: 'h' }
+};
+
+/**
+ * The REPL prompt.
+ * @type {string}
+ */
+const PROMPT = '> ';
+
+/**
+ * Storage key of the REPL line history.
+ * @type {string}
+ */
+const HISTORY_KEY = 'calculatorReplHistory';
+
+/**
+ * Most lines kept in the REPL line history.
+ * @type {number}
+ */
+const HISTORY_SIZE = 500;
+
+/**
+ * Prints an error, with its suggestion on the next line.
+ * @param {string} where - What failed, e.g. 'line 3', or '' for the REPL
+ * @param {{message: string, suggestion: ?string}} outcome - The error outcome
+ */
+function printError(where, { message, suggestion }) {
+    console.error(where ? `calculator: ${where}: ${message}` : message);
+    if (suggestion) {
+        console.error(`  ${suggestion}`);
+    }
+}
+
+/**
+ * Evaluates lines one after another, as in a script. Results and command
+ * output go to stdout, errors to stderr; evaluation goes on after an error.
+ * @param {CommandLine} cli - The command line
+ * @param {AsyncIterable<string>|Iterable<string>} lines - The lines
+ * @param {string} label - What to call a line in errors, e.g. 'line'
+ * @returns {Promise<number>} The exit code, 1 if any line failed
+ */
+async function evaluateLines(cli, lines, label) {
+    let exitCode = 0;
+    let number = 0;
+    for await (const line of lines) {
+        number++;
+        const outcome = cli.execute(line);
+        if (outcome.type === 'quit') {
+            break;
+        }
+        if (outcome.type === 'error') {
+            printError(`${label} ${number}`, outcome);
+            exitCode = 1;
+        } else if (outcome.type !== 'none') {
+            console.log(outcome.text);
+        }
+    }
+    return exitCode;
+}
+
+/**
+ * Runs the interactive REPL until `:quit`, Ctrl+C or Ctrl+D. The line
+ * history is kept in the storage, so it survives between sessions.
+ * @param {CommandLine} cli - The command line
+ * @param {Storage|MemoryStorage} storage - Where the line history is saved
+ * @returns {Promise<number>} The exit code, always 0
+ */
+function startRepl(cli, storage) {
+    let history = [];
+    try {
+        history = JSON.parse(storage.getItem(HISTORY_KEY)) || [];
+    } catch (error) {
+        // Start with an empty line history
+    }
+
+    const rl = createInterface({
+        input: process.stdin,
+        output: process.stdout,
+        prompt: PROMPT,
+        history,
+        historySize: HISTORY_SIZE,
+        removeHistoryDuplicates: true,
+        completer: (line) => {
+            const word = line.match(/:?[A-Za-z_][A-Za-z0-9_]*$/)?.[0] || '';
+            return [cli.getCompletions().filter((name) => name.startsWith(word)), word];
+        }
+    });
+    rl.on('history', (lines) => storage.setItem(HISTORY_KEY, JSON.stringify(lines)));
+    rl.on('SIGINT', () => rl.close());
+
+    console.log('Type an expression, :help for commands, or :quit to leave.');
+    rl.prompt();
+
+    return new Promise((resolve) => {
+        rl.on('line', (line) => {
+            const outcome = cli.execute(line);
+            if (outcome.type === 'quit') {
+                rl.close();
+                return;
+            }
+            if (outcome.type === 'error') {
+                // Underline the offending part of the line above
+                if (outcome.start !== undefined) {
+                    const width = Math.max(1, outcome.end - outcome.start);
+                    console.error(`${' '.repeat(PROMPT.length + outcome.start)}${'^'.repeat(width)}`);
+                }
+                printError('', outcome);
+            } else if (outcome.type !== 'none') {
+                console.log(outcome.text);
+            }
+            rl.prompt();
+        });
+        rl.on('close', () => resolve(0));
+    });
+}
+
+/**
+ * Runs the command-line calculator.
+ * @param {string[]} args - The command-line arguments, without node and the script
+ * @returns {Promise<number>} The exit code
+ */
+async function main(args) {
+    let options;
+    let expressions;
+    try {
+        ({ values: options, positionals: expressions } = parseArgs({ args, options: OPTIONS, allowPositionals: true }));
+    } catch (error) {
+        console.error(`calculator: ${error.message}\nTry 'calculator --help' for more information.`);
+        return 2;
+    }
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    // Only the REPL keeps state between runs, so scripts always start the same
+    const isInteractive = options.interactive || (!expressions.length && process.stdin.isTTY);
+    const storage = isInteractive
+        ? new FileStorage(options.state || join(homedir(), '.calculator.json'))
+        : new MemoryStorage();
+    const core = new CalculatorCore({ storage, sessionStorage: new MemoryStorage() });
+    const cli = new CommandLine(core, { formatted: isInteractive });
+
+    // The options are applied as the matching :commands, for this run only
+    const applyOptions = () => {
+        for (const name of ['mode', 'precision', 'angle']) {
+            if (options[name] === undefined) continue;
+            const outcome = cli.execute(`:${name} ${options[name]}`);
+            if (outcome.type === 'error') {
+                printError(`--${name}`, outcome);
+                return false;
+            }
+        }
+        if (options.strict) {
+            cli.execute(':implicit off');
+        }
+        return true;
+    };
+    if (!(isInteractive ? storage.withoutSaving(applyOptions) : applyOptions())) {
+        return 2;
+    }
+
+    if (isInteractive) {
+        return startRepl(cli, storage);
+    }
+    if (expressions.length) {
+        return evaluateLines(cli, expressions, 'expression');
+    }
+    return evaluateLines(cli, createInterface({ input: process.stdin, crlfDelay: Infinity }), 'line');
+}
+
+main(process.argv.slice(2)).then((exitCode) => {
+    process.exitCode = exitCode;
+});
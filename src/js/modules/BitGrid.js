@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Manages the bit grid shown in programmer mode.
+ */
+
+/**
+ * Number of bits shown in each row of the grid.
+ * @type {number}
+ */
+const BITS_PER_ROW = 16;
+
+/**
+ * Class representing the bit grid.
+ * Shows every bit of the current value, most significant first, with
+ * negative values in two's complement. Clicking a bit flips it.
+ */
+export class BitGrid {
+    /**
+     * Creates a new BitGrid instance.
+     * @param {CalculatorCore} core - The calculator core whose value is shown
+     */
+    constructor(core) {
+        /** @private {CalculatorCore} The calculator core */
+        this.core = core;
+
+        /** @private {HTMLElement|null} The grid element */
+        this.gridElement = null;
+    }
+
+    /**
+     * Initializes the grid by getting DOM elements and subscribing to the
+     * core. The grid is shown in programmer mode only.
+     */
+    initialize() {
+        this.gridElement = document.querySelector('.calculator-bit-grid');
+        if (!this.gridElement) {
+            console.error('Bit grid element not found');
+            return;
+        }
+
+        this.gridElement.addEventListener('click', (event) => {
+            const bit = event.target.closest('button[data-bit]');
+            if (bit) {
+                this.core.dispatch({ type: 'toggleBit', index: parseInt(bit.dataset.bit, 10) });
+            }
+        });
+
+        const update = ({ numberMode, bits, settings }) => {
+            this.setVisible(numberMode === 'programmer');
+            if (bits !== null) {
+                this.render(bits, settings.wordSize);
+            }
+        };
+        this.core.on('change', update);
+        update(this.core.getState());
+    }
+
+    /**
+     * Shows or hides the grid.
+     * @param {boolean} visible - True to show the grid
+     */
+    setVisible(visible) {
+        if (this.gridElement) {
+            this.gridElement.hidden = !visible;
+        }
+    }
+
+    /**
+     * Renders the bits of a value.
+     * @param {bigint} value - The value
+     * @param {number} wordSize - The number of bits to show
+     * @example
+     * bitGrid.render(5n, 8); // Shows 0000 0101
+     */
+    render(value, wordSize) {
+        if (!this.gridElement) return;
+
+        const bits = BigInt.asUintN(wordSize, value);
+        this.gridElement.innerHTML = '';
+
+        for (let top = wordSize - 1; top >= 0; top -= BITS_PER_ROW) {
+            const row = document.createElement('div');
+            row.className = 'calculator-bit-row';
+
+            const bottom = Math.max(0, top - BITS_PER_ROW + 1);
+            for (let index = top; index >= bottom; index--) {
+                const isSet = ((bits >> BigInt(index)) & 1n) === 1n;
+                const bit = document.createElement('button');
+                bit.type = 'button';
+                bit.className = 'calculator-bit';
+                bit.classList.toggle('nibble-start', index % 4 === 3);
+                bit.dataset.bit = String(index);
+                bit.textContent = isSet ? '1' : '0';
+                bit.setAttribute('aria-pressed', String(isSet));
+                bit.setAttribute('aria-label', `Bit ${index}`);
+                row.appendChild(bit);
+            }
+
+            const label = document.createElement('span');
+            label.className = 'calculator-bit-index';
+            label.textContent = String(bottom);
+            row.appendChild(label);
+
+            this.gridElement.appendChild(row);
+        }
+    }
+}
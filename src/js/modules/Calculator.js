@@ -1,50 +1,79 @@
 /**
- * @fileoverview Main Calculator class that coordinates all calculator operations.
- * This class serves as the central controller for the calculator application,
- * managing the interaction between different modules.
+ * @fileoverview Main Calculator class that runs the calculator in the browser.
+ * This class connects the headless calculator core to the page: it creates
+ * the core with browser storage, the display, keypad and panels that
+ * subscribe to it, the input dispatcher that sends it key presses, and the
+ * header controls.
  */
 
+import { CalculatorCore } from './CalculatorCore.js';
 import { Display } from './Display.js';
 import { Keypad } from './Keypad.js';
-import { Memory } from './Memory.js';
+import { MemoryPanel } from './MemoryPanel.js';
+import { HistoryPanel } from './HistoryPanel.js';
 import { ThemeManager } from './ThemeManager.js';
-import { CalculatorEngine } from './CalculatorEngine.js';
+import { ThemePanel } from './ThemePanel.js';
+import { FunctionPanel } from './FunctionPanel.js';
+import { BitGrid } from './BitGrid.js';
+import { UnitPanel } from './UnitPanel.js';
+import { Keymap } from './Keymap.js';
+import { KeymapPanel } from './KeymapPanel.js';
+import { InputDispatcher } from './InputDispatcher.js';
 
 /**
- * Main Calculator class that coordinates all calculator operations.
+ * Main Calculator class that runs the calculator in the browser.
  * @class Calculator
  * @example
- * // Create a new calculator instance
+ * // Create a new calculator instance once the page has loaded
  * const calculator = new Calculator();
+ * calculator.getCore().dispatch({ type: 'append', value: '2+2' });
  */
 export class Calculator {
     /**
      * Creates a new Calculator instance.
-     * Initializes all necessary modules and sets up the calculator state.
+     * Creates the core and the modules showing it, then initializes them.
      * @constructor
      */
     constructor() {
+        /** @private {CalculatorCore} The headless calculator core, saving to browser storage */
+        this.core = new CalculatorCore({ storage: localStorage, sessionStorage });
+
         /** @private {Display} The display module instance */
-        this.display = new Display();
-        
+        this.display = new Display(this.core);
+
         /** @private {Keypad} The keypad module instance */
-        this.keypad = new Keypad(this.display, this);
-        
-        /** @private {Memory} The memory module instance */
-        this.memory = new Memory();
-        
+        this.keypad = new Keypad(this.core);
+
+        /** @private {MemoryPanel} The memory panel instance */
+        this.memoryPanel = new MemoryPanel(this.core);
+
+        /** @private {HistoryPanel} The history panel instance */
+        this.historyPanel = new HistoryPanel(this.core);
+
+        /** @private {FunctionPanel} The function library panel instance */
+        this.functionPanel = new FunctionPanel(this.core);
+
+        /** @private {BitGrid} The programmer mode bit grid */
+        this.bitGrid = new BitGrid(this.core);
+
+        /** @private {UnitPanel} The unit picker panel instance */
+        this.unitPanel = new UnitPanel(this.core);
+
         /** @private {ThemeManager} The theme manager instance */
-        this.themeManager = new ThemeManager();
-        
-        /** @private {CalculatorEngine} The calculation engine instance */
-        this.engine = new CalculatorEngine();
-        
-        /** @private {string} Current input string */
-        this.currentInput = '';
-        
-        /** @private {number|null} Last calculation result */
-        this.lastResult = null;
-        
+        this.themeManager = new ThemeManager(localStorage);
+
+        /** @private {ThemePanel} The theme editor */
+        this.themePanel = new ThemePanel(this.themeManager);
+
+        /** @private {Keymap} The key bindings, saved to browser storage */
+        this.keymap = new Keymap(localStorage);
+
+        /** @private {KeymapPanel} The keyboard settings screen */
+        this.keymapPanel = new KeymapPanel(this.keymap);
+
+        /** @private {InputDispatcher} Sends key presses and pastes to the core */
+        this.inputDispatcher = new InputDispatcher(this.core, this.keymap, this.keypad);
+
         this.initialize();
     }
 
@@ -55,11 +84,31 @@ export class Calculator {
     initialize() {
         this.display.initialize();
         this.keypad.initialize();
-        this.memory.initialize();
+        this.memoryPanel.initialize();
+        this.historyPanel.initialize();
+        this.functionPanel.initialize();
+        this.bitGrid.initialize();
+        this.unitPanel.initialize();
         this.themeManager.initialize();
+        this.themePanel.initialize();
+        this.keymapPanel.initialize();
+        this.inputDispatcher.initialize();
+
+        this.core.on('layouts', () => this.renderLayoutOptions());
+        this.core.on('change', (state) => this.updateControls(state));
+        this.renderLayoutOptions();
+        this.updateControls(this.core.getState());
         this.setupEventListeners();
     }
 
+    /**
+     * Gets the calculator core, e.g. to send it commands.
+     * @returns {CalculatorCore} The core
+     */
+    getCore() {
+        return this.core;
+    }
+
     /**
      * Sets up event listeners for calculator operations.
      * @private
@@ -71,163 +120,98 @@ export class Calculator {
             themeToggle.addEventListener('change', () => this.toggleTheme());
         }
 
-        // Keyboard events
-        document.addEventListener('keydown', (event) => this.handleKeyboardInput(event));
-    }
-
-    /**
-     * Handles keyboard input for calculator operations.
-     * @private
-     * @param {KeyboardEvent} event - The keyboard event object
-     */
-    handleKeyboardInput(event) {
-        const key = event.key;
-        
-        if (/[\d+\-*/.=]/.test(key) || key === 'Enter' || key === 'Backspace' || key === 'Escape') {
-            event.preventDefault();
+        // Keypad layout, built in or imported
+        const layoutSelect = document.getElementById('layoutSelect');
+        if (layoutSelect) {
+            layoutSelect.addEventListener('change', () => this.core.dispatch({ type: 'setLayout', layout: layoutSelect.value }));
         }
 
-        switch (key) {
-            case 'Enter':
-            case '=':
-                this.calculate();
-                break;
-            case 'Escape':
-                this.clear();
-                break;
-            case 'Backspace':
-                this.backspace();
-                break;
-            case 'Delete':
-                this.clear();
-                break;
-            default:
-                if (/[\d+\-*/.]/.test(key)) {
-                    this.appendValue(key);
-                }
+        // Custom layouts are imported from a JSON file
+        const importButton = document.getElementById('layoutImportButton');
+        const importFile = document.getElementById('layoutImportFile');
+        if (importButton && importFile) {
+            importButton.addEventListener('click', () => importFile.click());
+            importFile.addEventListener('change', async () => {
+                const [file] = importFile.files;
+                if (!file) return;
+                this.core.dispatch({ type: 'importLayout', json: await file.text() });
+                importFile.value = '';
+            });
         }
-    }
 
-    /**
-     * Appends a value to the current input.
-     * Handles special cases like starting a new calculation after a result.
-     * @param {string} value - The value to append
-     * @example
-     * calculator.appendValue('5'); // Appends 5 to current input
-     * calculator.appendValue('+'); // Appends + operator
-     */
-    appendValue(value) {
-        if (this.lastResult !== null && !['+', '-', '*', '/', '(', ')'].includes(value)) {
-            this.currentInput = '';
-            this.lastResult = null;
-        }
-        
-        if (value === '.' && this.currentInput.includes('.')) {
-            return;
+        const removeButton = document.getElementById('layoutRemoveButton');
+        if (removeButton) {
+            removeButton.addEventListener('click', () => this.core.dispatch({ type: 'removeLayout', name: this.core.getState().settings.layout }));
         }
-        
-        if (['+', '-', '*', '/'].includes(value)) {
-            const lastChar = this.currentInput.slice(-1);
-            if (['+', '-', '*', '/'].includes(lastChar)) {
-                this.currentInput = this.currentInput.slice(0, -1);
-            }
-        }
-
-        this.currentInput += value;
-        this.display.update(this.currentInput);
-    }
-
-    /**
-     * Clears the current input and result.
-     * @example
-     * calculator.clear(); // Clears the display and resets the calculator state
-     */
-    clear() {
-        this.currentInput = '';
-        this.lastResult = null;
-        this.display.clear();
-    }
 
-    /**
-     * Removes the last character from the current input.
-     * @example
-     * calculator.backspace(); // Removes the last entered character
-     */
-    backspace() {
-        this.currentInput = this.currentInput.slice(0, -1);
-        this.display.update(this.currentInput);
-    }
+        // Decimal/fraction/float arithmetic
+        const numberModeSelect = document.getElementById('numberModeSelect');
+        if (numberModeSelect) {
+            numberModeSelect.addEventListener('change', () => this.core.dispatch({ type: 'setNumberMode', mode: numberModeSelect.value }));
+        }
 
-    /**
-     * Calculates the result of the current input expression.
-     * @throws {Error} If the expression is invalid or contains errors
-     * @example
-     * calculator.appendValue('2+2');
-     * calculator.calculate(); // Returns 4
-     */
-    calculate() {
-        try {
-            const result = this.engine.calculate(this.currentInput);
-            this.lastResult = result;
-            this.currentInput = result.toString();
-            this.display.update(result);
-        } catch (error) {
-            this.display.showError(error.message);
+        // Number format
+        const localeSelect = document.getElementById('localeSelect');
+        if (localeSelect) {
+            localeSelect.addEventListener('change', () => this.core.dispatch({ type: 'setLocale', locale: localeSelect.value }));
         }
-    }
 
-    /**
-     * Adds the current display value to memory.
-     * @throws {Error} If the current value is invalid
-     * @example
-     * calculator.appendValue('5');
-     * calculator.memoryAdd(); // Adds 5 to memory
-     */
-    memoryAdd() {
-        const value = parseFloat(this.currentInput);
-        if (!isNaN(value)) {
-            this.memory.add(value);
-            this.display.showNotification('M+');
+        // Whether 2( enters 2*( or is rejected
+        const parenSelect = document.getElementById('parenSelect');
+        if (parenSelect) {
+            parenSelect.addEventListener('change', () => this.core.dispatch({ type: 'setParenAfterNumber', mode: parenSelect.value }));
         }
-    }
 
-    /**
-     * Subtracts the current display value from memory.
-     * @throws {Error} If the current value is invalid
-     * @example
-     * calculator.appendValue('3');
-     * calculator.memorySubtract(); // Subtracts 3 from memory
-     */
-    memorySubtract() {
-        const value = parseFloat(this.currentInput);
-        if (!isNaN(value)) {
-            this.memory.subtract(value);
-            this.display.showNotification('M-');
+        // Whether 3pi multiplies or is an error
+        const implicitSelect = document.getElementById('implicitSelect');
+        if (implicitSelect) {
+            implicitSelect.addEventListener('change', () => this.core.dispatch({ type: 'setImplicitMultiplication', enabled: implicitSelect.value === 'on' }));
         }
     }
 
     /**
-     * Recalls the value from memory to the display.
-     * @example
-     * calculator.memoryRecall(); // Displays the value stored in memory
+     * Lists the core's keypad layouts in the layout menu.
+     * @private
      */
-    memoryRecall() {
-        const value = this.memory.recall();
-        if (value !== null) {
-            this.currentInput = value.toString();
-            this.display.update(value);
-            this.display.showNotification('MR');
-        }
+    renderLayoutOptions() {
+        const layoutSelect = document.getElementById('layoutSelect');
+        if (!layoutSelect) return;
+
+        layoutSelect.innerHTML = '';
+        this.core.getLayouts().getLayouts().forEach(({ name, label }) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = label;
+            layoutSelect.appendChild(option);
+        });
+        layoutSelect.value = this.core.getState().settings.layout;
     }
 
     /**
-     * Clears the memory value.
-     * @example
-     * calculator.memoryClear(); // Clears the stored memory value
+     * Shows the core's settings in the header controls.
+     * @private
+     * @param {Object} state - The state of the core
      */
-    memoryClear() {
-        this.memory.clear();
-        this.display.showNotification('MC');
+    updateControls({ settings }) {
+        const controls = {
+            layoutSelect: settings.layout,
+            numberModeSelect: settings.numberMode,
+            localeSelect: settings.locale,
+            parenSelect: settings.parenAfterNumber,
+            implicitSelect: settings.implicitMultiplication ? 'on' : 'off'
+        };
+        Object.entries(controls).forEach(([id, value]) => {
+            const select = document.getElementById(id);
+            if (select) {
+                select.value = value;
+            }
+        });
+
+        // Only imported layouts can be removed
+        const removeButton = document.getElementById('layoutRemoveButton');
+        if (removeButton) {
+            removeButton.hidden = !this.core.getLayouts().getLayouts().some(({ name, builtIn }) => name === settings.layout && !builtIn);
+        }
     }
 
     /**
@@ -238,4 +222,4 @@ export class Calculator {
     toggleTheme() {
         this.themeManager.toggleTheme();
     }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,1520 @@
+/**
+ * @fileoverview Headless calculator core.
+ * Holds the calculator state and every calculator operation without touching
+ * the DOM, `window` or `localStorage`, so it runs in the browser, in Node and
+ * in tests. Input arrives as commands; every change is announced as an event
+ * that the display, keypad and panels, or any other front end, subscribe to.
+ */
+
+import { CalculatorEngine } from './CalculatorEngine.js';
+import { Complex } from './Complex.js';
+import { EventEmitter } from './EventEmitter.js';
+import { ExpressionError } from './ExpressionError.js';
+import { FunctionLibrary } from './FunctionLibrary.js';
+import { History } from './History.js';
+import { InputValidator } from './InputValidator.js';
+import { LayoutLibrary } from './LayoutLibrary.js';
+import { Memory } from './Memory.js';
+import { MemoryStorage } from './MemoryStorage.js';
+import { NumberLocale } from './NumberLocale.js';
+import { UndoStack } from './UndoStack.js';
+import { UnitConverter } from './UnitConverter.js';
+import { ValueFormatter } from './ValueFormatter.js';
+import { Variables } from './Variables.js';
+
+/**
+ * Values that continue an expression from a result instead of replacing it.
+ * @type {string[]}
+ */
+const CONTINUATIONS = ['+', '-', '*', '/', '^', '!', '%', '(', ')', '&', '|', '<', '>', '<<', '>>', ' xor ', ' to '];
+
+/**
+ * Commands accepted by `CalculatorCore.dispatch`, by type. Each one calls
+ * the core method of the same purpose with the command's fields.
+ * @type {Object<string, function(CalculatorCore, Object): void>}
+ */
+const COMMANDS = {
+    append: (core, { value }) => core.appendValue(value),
+    fractionBar: (core) => core.appendFractionBar(),
+    paste: (core, { text }) => core.paste(text),
+    load: (core, { value }) => core.loadInput(value),
+    backspace: (core) => core.backspace(),
+    deleteForward: (core) => core.deleteForward(),
+    moveCursor: (core, { direction, extend = false }) => core.moveCursor(direction, extend),
+    setCursor: (core, { position, extend = false }) => core.setCursor(position, extend),
+    clear: (core) => core.clear(),
+    equals: (core) => core.equals(),
+    calculate: (core) => core.calculate(),
+    memoryStore: (core) => core.memoryStore(),
+    memoryAdd: (core) => core.memoryAdd(),
+    memorySubtract: (core) => core.memorySubtract(),
+    memoryRecall: (core) => core.memoryRecall(),
+    memoryClear: (core) => core.memoryClear(),
+    selectMemory: (core, { slot }) => core.selectMemory(slot),
+    createMemory: (core, { name }) => core.createMemory(name),
+    removeMemory: (core, { name }) => core.removeMemory(name),
+    removeHistoryEntry: (core, { id }) => core.removeHistoryEntry(id),
+    clearHistory: (core) => core.clearHistory(),
+    removeFunction: (core, { name }) => core.removeFunction(name),
+    setAngleMode: (core, { mode }) => core.setAngleMode(mode),
+    cycleAngleMode: (core) => core.cycleAngleMode(),
+    setNumberMode: (core, { mode }) => core.setNumberMode(mode),
+    setPrecision: (core, { digits }) => core.setPrecision(digits),
+    setFractionOutput: (core, { output }) => core.setFractionOutput(output),
+    toggleFractionOutput: (core) => core.toggleFractionOutput(),
+    setComplexOutput: (core, { output }) => core.setComplexOutput(output),
+    toggleComplexOutput: (core) => core.toggleComplexOutput(),
+    setLocale: (core, { locale }) => core.setLocale(locale),
+    setParenAfterNumber: (core, { mode }) => core.setParenAfterNumber(mode),
+    setImplicitMultiplication: (core, { enabled }) => core.setImplicitMultiplication(enabled),
+    setLayout: (core, { layout }) => core.setLayout(layout),
+    importLayout: (core, { json }) => core.importLayout(json),
+    removeLayout: (core, { name }) => core.removeLayout(name),
+    setRadix: (core, { radix }) => core.setRadix(radix),
+    cycleWordSize: (core) => core.cycleWordSize(),
+    toggleSigned: (core) => core.toggleSigned(),
+    toggleBit: (core, { index }) => core.toggleBit(index),
+    undo: (core) => core.undo(),
+    redo: (core) => core.redo()
+};
+
+/**
+ * Commands that edit the input, the result or the memory registers, and
+ * can be undone.
+ * @type {Set<string>}
+ */
+const UNDOABLE_COMMANDS = new Set([
+    'append', 'fractionBar', 'paste', 'load', 'backspace', 'deleteForward', 'clear', 'equals', 'calculate',
+    'memoryStore', 'memoryAdd', 'memorySubtract', 'memoryRecall', 'memoryClear'
+]);
+
+/**
+ * Headless calculator core.
+ * A state machine that takes input commands and emits events:
+ * - `change` with the new state (see `getState`) after every command
+ * - `notification` with `{ type, message, suggestion }`, where type is
+ *   'info' or 'error'
+ * - `memory`, `history`, `functions` and `layouts` with the new registers,
+ *   entries, definitions or keypad layouts after they changed
+ * - `rejected` with `{ value, message }` when a typed value cannot continue
+ *   the input, which stays unchanged
+ *
+ * Edits of the input and result, calculations and memory operations can be
+ * undone and redone with the `undo` and `redo` commands.
+ *
+ * Settings, memory, history and functions are saved to the storage backend;
+ * variables are saved to the session storage backend.
+ * @class CalculatorCore
+ * @extends EventEmitter
+ * @example
+ * // In Node, with everything kept in memory
+ * const core = new CalculatorCore();
+ * core.on('change', (state) => console.log(state.expression, state.result));
+ * core.dispatch({ type: 'append', value: '1/3+1/6' });
+ * core.dispatch({ type: 'calculate' }); // Logs '1/3+1/6 =' and '0.5'
+ *
+ * // In the browser
+ * const core = new CalculatorCore({ storage: localStorage, sessionStorage });
+ */
+export class CalculatorCore extends EventEmitter {
+    /**
+     * Creates a new CalculatorCore instance and loads the saved settings.
+     * @constructor
+     * @param {Object} [options] - Storage backends
+     * @param {Storage|MemoryStorage} [options.storage] - Where settings,
+     *     memory, history and functions are saved; defaults to an in-memory store
+     * @param {Storage|MemoryStorage} [options.sessionStorage] - Where
+     *     variables are saved; defaults to `options.storage`
+     */
+    constructor({ storage = new MemoryStorage(), sessionStorage = storage } = {}) {
+        super();
+
+        /** @private {Storage|MemoryStorage} Where settings are saved */
+        this.storage = storage;
+
+        /** @private {CalculatorEngine} The calculation engine instance */
+        this.engine = new CalculatorEngine();
+
+        /** @private {Memory} The memory registers */
+        this.memory = new Memory(storage);
+
+        /** @private {History} The calculation history */
+        this.history = new History({ storage });
+
+        /** @private {Variables} The session variable store, shared with the engine */
+        this.variables = new Variables(sessionStorage);
+        this.engine.variables = this.variables;
+
+        /** @private {FunctionLibrary} The user-defined function library, shared with the engine */
+        this.functionLibrary = new FunctionLibrary(storage);
+        this.engine.userFunctions = this.functionLibrary;
+
+        /** @private {LayoutLibrary} The built-in and imported keypad layouts */
+        this.layouts = new LayoutLibrary(storage, Object.keys(COMMANDS));
+
+        /** @private {UnitConverter} The unit converter, built on the engine */
+        this.unitConverter = new UnitConverter(this.engine);
+
+        /** @private {ValueFormatter} Formats results for the result line */
+        this.formatter = new ValueFormatter();
+
+        /** @private {NumberLocale} Separators used to show and type numbers */
+        this.locale = new NumberLocale();
+
+        /** @private {InputValidator} Checks typed values against the input before the cursor */
+        this.validator = new InputValidator(this.engine);
+
+        /** @private {Object} Settings kept outside the engine */
+        this.settings = {
+            layout: 'basic',
+            numberMode: 'decimal',
+            fractionOutput: 'fraction',
+            complexOutput: 'rectangular',
+            locale: '',
+            parenAfterNumber: 'multiply',
+            implicitMultiplication: true
+        };
+
+        /** @private {string} Current input string, always with '.' as the decimal point */
+        this.currentInput = '';
+
+        /** @private {number} Where the input selection started, the end that stays put */
+        this.selectionAnchor = 0;
+
+        /** @private {number} Where the cursor is, the end of the selection that moves */
+        this.selectionFocus = 0;
+
+        /** @private {number[]} Positions of the ')' inserted with a '(', which typing ')' steps over */
+        this.autoParens = [];
+
+        /** @private {Decimal|Fraction|Complex|number|bigint|null} Last calculation result */
+        this.lastResult = null;
+
+        /** @private {string} The expression line, with '.' as the decimal point */
+        this.expression = '';
+
+        /** @private {Decimal|Fraction|Complex|number|bigint|null} Value on the result line, null for 0 */
+        this.resultValue = null;
+
+        /** @private {string|undefined} Unit shown after the value on the result line */
+        this.resultUnit = undefined;
+
+        /** @private {string} State of the result line: 'result', 'preview' or 'pending' */
+        this.status = 'result';
+
+        /** @private {Object|null} The error of the last calculation, until the input changes */
+        this.error = null;
+
+        /** @private {bigint|null} Value shown in the programmer mode bit grid */
+        this.bits = null;
+
+        /** @private {UndoStack} Snapshots of the input, result and registers before each edit */
+        this.undoStack = new UndoStack();
+
+        this.initialize();
+    }
+
+    /**
+     * Loads the saved settings.
+     * @private
+     */
+    initialize() {
+        const layout = this.storage.getItem('calculatorKeypadLayout');
+        this.setAngleMode(this.storage.getItem('calculatorAngleMode') || 'DEG');
+        this.setNumberMode(this.storage.getItem('calculatorNumberMode') || 'decimal');
+        this.setPrecision(parseInt(this.storage.getItem('calculatorPrecision'), 10) || 34);
+        this.setFractionOutput(this.storage.getItem('calculatorFractionOutput') || 'fraction');
+        this.setComplexOutput(this.storage.getItem('calculatorComplexOutput') || 'rectangular');
+        this.setLocale(this.storage.getItem('calculatorLocale') || '');
+        this.setParenAfterNumber(this.storage.getItem('calculatorParenAfterNumber') || 'multiply');
+        this.setImplicitMultiplication(this.storage.getItem('calculatorImplicitMultiplication') !== 'false');
+        this.loadProgrammerOptions();
+        this.setLayout(layout);
+    }
+
+    /**
+     * Runs a command, e.g. `{ type: 'append', value: '5' }`. The command
+     * types are the keys of COMMANDS; their fields are the arguments of the
+     * method with the same purpose.
+     * @param {{type: string}} command - The command
+     * @throws {Error} If the command type is unknown
+     * @example
+     * core.dispatch({ type: 'append', value: '2^10' });
+     * core.dispatch({ type: 'calculate' });
+     * core.getState().result; // Returns '1,024'
+     */
+    dispatch(command) {
+        if (!Object.hasOwn(COMMANDS, command?.type)) {
+            throw new Error(`Unknown command '${command?.type}'`);
+        }
+
+        if (!UNDOABLE_COMMANDS.has(command.type)) {
+            // Snapshots only make sense in the number mode and base they were taken in
+            const mode = `${this.engine.getNumberMode()} ${this.engine.getRadix()}`;
+            COMMANDS[command.type](this, command);
+            if (mode !== `${this.engine.getNumberMode()} ${this.engine.getRadix()}` &&
+                (this.undoStack.canUndo() || this.undoStack.canRedo())) {
+                this.undoStack.clear();
+                this.changed();
+            }
+            return;
+        }
+
+        const before = this.createSnapshot();
+        const couldUndo = this.undoStack.canUndo();
+        const couldRedo = this.undoStack.canRedo();
+        COMMANDS[command.type](this, command);
+        if (!this.isSameSnapshot(before, this.createSnapshot())) {
+            this.undoStack.push(before);
+            if (!couldUndo || couldRedo) {
+                this.changed();
+            }
+        }
+    }
+
+    /**
+     * Gets the names of the commands accepted by `dispatch`.
+     * @returns {string[]} The command types
+     */
+    getCommands() {
+        return Object.keys(COMMANDS);
+    }
+
+    /**
+     * Gets a snapshot of the state. The expression and result are formatted
+     * for the active locale; error positions index into the expression.
+     * @returns {Object} The state, with these fields:
+     *     `input` - the input, with '.' as the decimal point;
+     *     `cursor` - `{ start, end }` of the selection in the input, equal
+     *     for a plain cursor, or null while the expression line shows a
+     *     calculation rather than the input;
+     *     `expression` - the expression line, e.g. '2+3 =';
+     *     `result` - the result line, e.g. '5';
+     *     `status` - 'result', 'preview' while typing, or 'pending' while the
+     *     input cannot be evaluated;
+     *     `error` - `{ code, message, suggestion, start, end }` for the last
+     *     failed calculation, or null;
+     *     `numberMode` - the engine's number mode, including 'programmer';
+     *     `bits` - the programmer mode value for the bit grid, or null;
+     *     `canUndo` and `canRedo` - whether there is an edit to undo or redo;
+     *     `settings` - layout, numberMode, angleMode, precision,
+     *     fractionOutput, complexOutput, locale, parenAfterNumber,
+     *     implicitMultiplication, radix, wordSize and signed
+     * @example
+     * core.getState().settings.angleMode; // Returns 'DEG'
+     */
+    getState() {
+        const { wordSize, signed } = this.engine.getProgrammerOptions();
+        return {
+            input: this.currentInput,
+            cursor: this.expression === this.currentInput ? this.getSelection() : null,
+            expression: this.locale.formatExpression(this.expression),
+            result: this.resultValue === null ? '0' : this.formatter.format(this.resultValue, this.resultUnit),
+            status: this.status,
+            error: this.error,
+            numberMode: this.engine.getNumberMode(),
+            bits: this.bits,
+            canUndo: this.undoStack.canUndo(),
+            canRedo: this.undoStack.canRedo(),
+            settings: {
+                ...this.settings,
+                angleMode: this.engine.angleMode,
+                precision: this.engine.precision,
+                radix: this.engine.getRadix(),
+                wordSize,
+                signed
+            }
+        };
+    }
+
+    /**
+     * Gets the calculation engine, e.g. to list functions and constants.
+     * Change the state through commands, so listeners are told about it.
+     * @returns {CalculatorEngine} The engine
+     */
+    getEngine() {
+        return this.engine;
+    }
+
+    /**
+     * Gets the memory registers.
+     * @returns {Memory} The memory
+     */
+    getMemory() {
+        return this.memory;
+    }
+
+    /**
+     * Gets the calculation history.
+     * @returns {History} The history
+     */
+    getHistory() {
+        return this.history;
+    }
+
+    /**
+     * Gets the keypad layouts.
+     * @returns {LayoutLibrary} The layouts
+     */
+    getLayouts() {
+        return this.layouts;
+    }
+
+    /**
+     * Gets the unit converter, e.g. to list unit categories.
+     * @returns {UnitConverter} The unit converter
+     */
+    getUnitConverter() {
+        return this.unitConverter;
+    }
+
+    /**
+     * Gets the number format of the active locale.
+     * @returns {NumberLocale} The number locale
+     */
+    getLocale() {
+        return this.locale;
+    }
+
+    /**
+     * Types a value at the cursor, replacing the selected text.
+     * Handles special cases like starting a new calculation after a result.
+     * The value is checked against the input before the cursor first: a
+     * value that cannot continue it, such as a second decimal point in a
+     * number, a ')' without its '(' or a leading '*', is rejected with a
+     * `rejected` event and leaves the input unchanged; '(' after a number
+     * gets the `*` it stands for, unless the `parenAfterNumber` setting
+     * blocks it.
+     * @param {string} value - The value to type
+     * @example
+     * core.appendValue('5'); // Inserts 5 at the cursor
+     * core.appendValue('sin('); // Inserts *sin() with the cursor inside
+     * core.appendValue(')'); // Steps over the inserted ')'
+     * core.appendValue(')'); // Rejected, as there is no '(' left to close
+     */
+    appendValue(value) {
+        const isNewCalculation = this.lastResult !== null && !CONTINUATIONS.includes(value);
+        const input = isNewCalculation ? '' : this.currentInput;
+        let { start, end } = isNewCalculation ? { start: 0, end: 0 } : this.getSelection();
+
+        if (value === ')' && start === end && this.autoParens.includes(start)) {
+            this.lastResult = null;
+            this.autoParens = this.autoParens.filter((position) => position !== start);
+            this.selectionAnchor = this.selectionFocus = start + 1;
+            this.showInput();
+            this.changed();
+            return;
+        }
+
+        if (['+', '-', '*', '/'].includes(value) && start === end) {
+            const lastChar = input.slice(start - 1, start);
+            // A minus after '*' or '/' is a sign (e.g. 2*-3), so keep both
+            const isSign = value === '-' && ['*', '/'].includes(lastChar);
+            if (['+', '-', '*', '/'].includes(lastChar) && !isSign) {
+                start--;
+            }
+        }
+
+        let text;
+        try {
+            text = this.validator.check(input.slice(0, start), input.slice(end), value);
+        } catch (error) {
+            this.emit('rejected', { value, message: error.message });
+            return;
+        }
+
+        if (isNewCalculation) {
+            this.setInput('');
+        }
+        // Once more input follows, the result is part of a new expression
+        this.lastResult = null;
+        this.insert(start, end, text);
+    }
+
+    /**
+     * Appends pasted text to the input. Numbers are read in the active
+     * locale, so a lone number may have group separators. Pasted text is
+     * not checked like typed values; the calculation reports its errors.
+     * @param {string} text - The pasted text
+     * @example
+     * core.setLocale('de-DE');
+     * core.paste('1.234.567,89'); // Appends 1234567.89
+     */
+    paste(text) {
+        const value = this.locale.parse(text.replace(/\s+/g, ' ')).trim();
+        if (!value) return;
+
+        if (this.lastResult !== null && !CONTINUATIONS.includes(value)) {
+            this.setInput('');
+        }
+        this.lastResult = null;
+        const { start, end } = this.getSelection();
+        this.insert(start, end, value);
+    }
+
+    /**
+     * Inserts text into the input and shows it. Text ending in '(' gets its
+     * ')' too, unless it comes right before an operand.
+     * @private
+     * @param {number} start - Index of the first replaced character
+     * @param {number} end - Index after the last replaced character
+     * @param {string} text - The text to insert
+     */
+    insert(start, end, text) {
+        const after = this.currentInput.slice(end);
+        if (text.endsWith('(') && !/^[\w.(]/.test(after)) {
+            this.replaceRange(start, end, `${text})`, start + text.length);
+            this.autoParens.push(start + text.length);
+        } else {
+            this.replaceRange(start, end, text);
+        }
+        this.showInput();
+        this.updateBits();
+        this.changed();
+    }
+
+    /**
+     * Handles the fraction key. After a whole number before the cursor it starts a fraction
+     * (`3` becomes `3⁄`); after a proper fraction it turns the numerator into
+     * the whole part, so pressing 2, a⁄b, 1, a⁄b, 4 enters `2 1⁄4`.
+     * @example
+     * core.appendValue('3');
+     * core.appendFractionBar(); // Input is now '3⁄'
+     */
+    appendFractionBar() {
+        this.lastResult = null;
+
+        const { start, end } = this.getSelection();
+        const literal = this.currentInput.slice(0, start).match(/(?<![\d.])(\d+\s+)?(\d+)(\u2044\d*)?$/);
+        if (!literal) return;
+
+        const [text, whole, numerator, bar] = literal;
+        if (!bar) {
+            this.replaceRange(start, end, '\u2044');
+        } else if (!whole && bar.length > 1) {
+            this.replaceRange(start - text.length, end, `${numerator} ${bar.slice(1)}\u2044`);
+        } else {
+            return;
+        }
+        this.showInput();
+        this.changed();
+    }
+
+    /**
+     * Handles the '=' key.
+     * After a lone variable name (`rate`) or a function head (`vat(x)`) it
+     * starts an assignment or definition, otherwise it calculates the result.
+     * Enter always calculates.
+     * @example
+     * core.appendValue('rate');
+     * core.equals(); // Input is now 'rate='
+     */
+    equals() {
+        const input = this.currentInput.trim();
+        const name = input.match(/^[A-Za-z_][A-Za-z0-9_]*/)?.[0];
+        const isVariableName = input === name && name !== 'ans' && !Object.hasOwn(this.engine.constants, name);
+        const isFunctionHead = /^[A-Za-z_]\w*\s*\(\s*(?:[A-Za-z_]\w*\s*(?:,\s*[A-Za-z_]\w*\s*)*)?\)$/.test(input) &&
+            !Object.hasOwn(this.engine.functions, name);
+
+        if ((isVariableName || isFunctionHead) && this.lastResult === null) {
+            this.setInput(`${this.currentInput}=`);
+            this.showInput();
+            this.changed();
+            return;
+        }
+        this.calculate();
+    }
+
+    /**
+     * Clears the current input and result.
+     * @example
+     * core.clear(); // Clears both lines and resets the calculator state
+     */
+    clear() {
+        this.setInput('');
+        this.lastResult = null;
+        this.expression = '';
+        this.error = null;
+        this.showResult(null);
+        this.updateBits();
+        this.changed();
+    }
+
+    /**
+     * Removes the selected text, or the character before the cursor. A '('
+     * goes together with the ')' inserted for it.
+     * @example
+     * core.backspace(); // Removes the last entered character
+     */
+    backspace() {
+        const { start, end } = this.getSelection();
+        if (start !== end) {
+            this.replaceRange(start, end, '');
+        } else if (start > 0) {
+            const isPair = this.currentInput[start - 1] === '(' && this.autoParens.includes(start);
+            this.replaceRange(start - 1, isPair ? end + 1 : end, '');
+        }
+        this.showInput();
+        this.updateBits();
+        this.changed();
+    }
+
+    /**
+     * Removes the selected text, or the character after the cursor.
+     * @example
+     * core.moveCursor('home');
+     * core.deleteForward(); // Removes the first character
+     */
+    deleteForward() {
+        const { start, end } = this.getSelection();
+        if (start === end && end === this.currentInput.length) {
+            return;
+        }
+        this.lastResult = null;
+        this.replaceRange(start, start === end ? end + 1 : end, '');
+        this.showInput();
+        this.updateBits();
+        this.changed();
+    }
+
+    /**
+     * Moves the cursor. Without `extend`, a selection collapses to its start
+     * or end; with it, the selection grows or shrinks from where it started.
+     * After a result the result becomes the input to edit.
+     * @param {string} direction - 'left', 'right', 'home' or 'end'
+     * @param {boolean} [extend=false] - True to select, as with Shift
+     * @example
+     * core.moveCursor('left', true); // Selects the character before the cursor
+     */
+    moveCursor(direction, extend = false) {
+        const { start, end } = this.getSelection();
+        const positions = {
+            left: extend || start === end ? this.selectionFocus - 1 : start,
+            right: extend || start === end ? this.selectionFocus + 1 : end,
+            home: 0,
+            end: this.currentInput.length
+        };
+        if (!Object.hasOwn(positions, direction)) {
+            throw new Error(`Unknown cursor direction '${direction}'`);
+        }
+        this.setCursor(positions[direction], extend);
+    }
+
+    /**
+     * Places the cursor, e.g. where the expression line was clicked.
+     * @param {number} position - Index in the input, clamped to its length
+     * @param {boolean} [extend=false] - True to select from the current
+     *     anchor to the position, as with Shift+click
+     * @example
+     * core.setCursor(0); // Moves the cursor to the start of the input
+     */
+    setCursor(position, extend = false) {
+        if (this.expression !== this.currentInput) {
+            // Start editing the result, or the calculation that failed
+            this.lastResult = null;
+            this.showInput();
+        }
+        this.selectionFocus = Math.max(0, Math.min(position, this.currentInput.length));
+        if (!extend) {
+            this.selectionAnchor = this.selectionFocus;
+        }
+        this.changed();
+    }
+
+    /**
+     * Calculates the result of the current input expression. An invalid
+     * expression keeps the input, sets `error` in the state and emits an
+     * error notification.
+     * @example
+     * core.appendValue('2+2');
+     * core.calculate();
+     * core.getState().result; // Returns '4'
+     */
+    calculate() {
+        const expression = this.currentInput;
+        try {
+            if (this.unitConverter.isConversion(expression)) {
+                this.convertUnits(expression);
+                return;
+            }
+
+            const result = this.engine.calculate(expression);
+
+            // Function definitions return their text instead of a value
+            if (typeof result === 'string') {
+                this.setInput('');
+                this.expression = '';
+                this.error = null;
+                this.showResult(null);
+                this.notify(`Defined ${result.slice(0, result.indexOf('=')).trim()}`);
+                this.emit('functions', this.engine.getUserFunctions());
+                this.changed();
+                return;
+            }
+
+            this.lastResult = result;
+            this.setInput(this.engine.formatValue(result));
+            this.engine.setAnswer(result);
+            this.expression = `${expression} =`;
+            this.error = null;
+            this.showResult(result);
+            this.updateBits();
+
+            this.history.add(expression, this.currentInput);
+            this.emit('history', this.history.getEntries());
+        } catch (error) {
+            // The display underlines the part of the expression that caused the error
+            const explained = this.unitConverter.explainError(expression, error);
+            const { code, message, suggestion, start, end } = ExpressionError.from(explained);
+            this.expression = expression;
+            this.error = { code, message, suggestion, start, end };
+            this.status = 'pending';
+            this.notifyError(explained);
+        }
+        this.changed();
+    }
+
+    /**
+     * Evaluates a unit conversion such as `12 in to cm`.
+     * The result keeps its unit, so it can be converted again.
+     * @private
+     * @param {string} expression - The conversion
+     * @throws {Error} If the conversion is invalid
+     */
+    convertUnits(expression) {
+        const { value, unit } = this.unitConverter.convert(expression);
+
+        this.lastResult = value;
+        this.setInput(`${this.engine.formatValue(value)} ${unit}`);
+        this.engine.setAnswer(value);
+        this.expression = `${expression} =`;
+        this.error = null;
+        this.showResult(value, unit);
+
+        this.history.add(expression, this.currentInput);
+        this.emit('history', this.history.getEntries());
+        this.changed();
+    }
+
+    /**
+     * Replaces the current input, e.g. with an expression or result from the history.
+     * @param {string} value - The new input
+     * @example
+     * core.loadInput('(1+2)*3'); // Shows the expression, ready to edit
+     */
+    loadInput(value) {
+        this.setInput(value);
+        this.lastResult = null;
+        this.showInput();
+        this.updateBits();
+        this.changed();
+    }
+
+    /**
+     * Stores the current value in the selected memory register.
+     * @example
+     * core.appendValue('5');
+     * core.memoryStore(); // The selected register now holds 5
+     */
+    memoryStore() {
+        this.applyToMemory('MS', (value) => this.memory.store(value));
+    }
+
+    /**
+     * Adds the current value to the selected memory register.
+     * @example
+     * core.appendValue('5');
+     * core.memoryAdd(); // Adds 5 to the selected register
+     */
+    memoryAdd() {
+        this.applyToMemory('M+', (value) => this.memory.add(value));
+    }
+
+    /**
+     * Subtracts the current value from the selected memory register.
+     * @example
+     * core.appendValue('3');
+     * core.memorySubtract(); // Subtracts 3 from the selected register
+     */
+    memorySubtract() {
+        this.applyToMemory('M-', (value) => this.memory.subtract(value));
+    }
+
+    /**
+     * Recalls the value of the selected memory register to the input.
+     * A register holding 0 is recalled like any other value.
+     * @example
+     * core.memoryRecall(); // The input is now the value in the selected register
+     */
+    memoryRecall() {
+        const slot = this.memory.getSelected();
+        const value = this.memory.recall();
+        if (value === null) {
+            this.notify(`${slot} is empty`);
+            return;
+        }
+        try {
+            // Registers hold base-10 values, so convert them for programmer mode
+            if (value.includes('/') && this.engine.getNumberMode() === 'programmer') {
+                throw new Error('Programmer mode only supports integers');
+            }
+            this.setInput(this.engine.formatValue(this.engine.parseValue(value)));
+        } catch (error) {
+            this.notifyError(error);
+            return;
+        }
+        this.showInput();
+        this.updateBits();
+        this.notify(`MR ${slot}`);
+        this.changed();
+    }
+
+    /**
+     * Empties the selected memory register.
+     * @example
+     * core.memoryClear(); // Clears the selected register
+     */
+    memoryClear() {
+        this.memory.clear();
+        this.emit('memory', this.memory.getSlots());
+        this.notify(`MC ${this.memory.getSelected()}`);
+    }
+
+    /**
+     * Selects the register the memory keys act on.
+     * @param {string} slot - The register name
+     * @example
+     * core.selectMemory('M4');
+     */
+    selectMemory(slot) {
+        try {
+            this.memory.select(slot);
+            this.emit('memory', this.memory.getSlots());
+            this.notify(slot);
+        } catch (error) {
+            this.notifyError(error);
+        }
+    }
+
+    /**
+     * Creates a user-named register and selects it.
+     * @param {string} name - The register name
+     * @example
+     * core.createMemory('tax');
+     */
+    createMemory(name) {
+        try {
+            this.memory.createSlot(name);
+            this.memory.select(name);
+            this.emit('memory', this.memory.getSlots());
+        } catch (error) {
+            this.notifyError(error);
+        }
+    }
+
+    /**
+     * Removes a user-named register.
+     * @param {string} name - The register name
+     * @example
+     * core.removeMemory('tax');
+     */
+    removeMemory(name) {
+        try {
+            this.memory.removeSlot(name);
+            this.emit('memory', this.memory.getSlots());
+        } catch (error) {
+            this.notifyError(error);
+        }
+    }
+
+    /**
+     * Evaluates the current input and passes the value to a memory operation.
+     * The input is evaluated like the preview, so an assignment such as
+     * `rate = 5` stores 5 without assigning `rate`, and a function
+     * definition is rejected without defining the function. A unit
+     * conversion such as `12 in to cm` stores its value in the target unit.
+     * @private
+     * @param {string} label - The operation label shown as a notification
+     * @param {function((Decimal|number)): void} operation - The memory operation
+     */
+    applyToMemory(label, operation) {
+        if (!this.currentInput) return;
+
+        try {
+            // A result is used directly, which also covers results with a unit
+            const value = this.lastResult ?? (this.unitConverter.isConversion(this.currentInput)
+                ? this.unitConverter.convert(this.currentInput).value
+                : this.engine.preview(this.currentInput));
+            if (value === null) {
+                throw new Error('Memory cannot store a function definition; press = to define it');
+            }
+            operation(this.toRegisterValue(value));
+            this.emit('memory', this.memory.getSlots());
+            this.notify(`${label} ${this.memory.getSelected()}`);
+        } catch (error) {
+            this.notifyError(error);
+        }
+    }
+
+    /**
+     * Converts a value for the memory registers, which hold real decimals
+     * and exact fractions.
+     * @private
+     * @param {Decimal|Fraction|Complex|number|bigint} value - The value
+     * @returns {Decimal|Fraction|number|bigint} The value to store
+     * @throws {Error} If the value has an imaginary part
+     */
+    toRegisterValue(value) {
+        if (value instanceof Complex) {
+            if (!value.isReal()) {
+                throw new Error('Memory registers only hold real numbers');
+            }
+            return value.re;
+        }
+        return value;
+    }
+
+    /**
+     * Undoes the last edit of the input or result, calculation or memory
+     * operation. The history and `ans` keep the calculations that were undone.
+     * @example
+     * core.appendValue('12+3');
+     * core.clear();
+     * core.undo(); // The input is '12+3' again
+     */
+    undo() {
+        const snapshot = this.undoStack.undo(this.createSnapshot());
+        if (!snapshot) {
+            this.notify('Nothing to undo');
+            return;
+        }
+        this.restoreSnapshot(snapshot);
+    }
+
+    /**
+     * Redoes the last undone step.
+     * @example
+     * core.undo();
+     * core.redo(); // Back to where undo started
+     */
+    redo() {
+        const snapshot = this.undoStack.redo(this.createSnapshot());
+        if (!snapshot) {
+            this.notify('Nothing to redo');
+            return;
+        }
+        this.restoreSnapshot(snapshot);
+    }
+
+    /**
+     * Removes an entry from the history.
+     * @param {number} id - The id of the entry
+     * @example
+     * core.removeHistoryEntry(3);
+     */
+    removeHistoryEntry(id) {
+        this.history.remove(id);
+        this.emit('history', this.history.getEntries());
+    }
+
+    /**
+     * Removes every entry from the history.
+     * @example
+     * core.clearHistory();
+     */
+    clearHistory() {
+        this.history.clear();
+        this.emit('history', this.history.getEntries());
+    }
+
+    /**
+     * Removes a user-defined function.
+     * @param {string} name - The function name
+     * @example
+     * core.removeFunction('vat');
+     */
+    removeFunction(name) {
+        try {
+            this.engine.removeFunction(name);
+            this.emit('functions', this.engine.getUserFunctions());
+        } catch (error) {
+            this.notifyError(error);
+        }
+    }
+
+    /**
+     * Adds a keypad layout from its JSON and switches to it. A layout with
+     * the same name is replaced. Errors in the JSON are reported as error
+     * notifications.
+     * @param {string} json - The layout as JSON, see `LayoutLibrary`
+     * @example
+     * core.importLayout(fileText);
+     */
+    importLayout(json) {
+        try {
+            const layout = this.layouts.import(json);
+            this.emit('layouts', this.layouts.getLayouts());
+            this.notify(`Added layout ${layout.label}`);
+            this.setLayout(layout.name);
+        } catch (error) {
+            this.notifyError(error);
+        }
+    }
+
+    /**
+     * Removes an imported keypad layout, switching to the basic layout if
+     * it was active.
+     * @param {string} name - The layout name
+     * @example
+     * core.removeLayout('tiny');
+     */
+    removeLayout(name) {
+        try {
+            this.layouts.delete(name);
+            if (this.settings.layout === name) {
+                this.setLayout('basic');
+            }
+            this.emit('layouts', this.layouts.getLayouts());
+        } catch (error) {
+            this.notifyError(error);
+        }
+    }
+
+    /**
+     * Sets the angle unit used by trigonometric functions.
+     * The choice is saved to storage.
+     * @param {string} mode - One of 'DEG', 'RAD' or 'GRAD'
+     * @example
+     * core.setAngleMode('RAD'); // sin(pi/2) now evaluates to 1
+     */
+    setAngleMode(mode) {
+        try {
+            this.engine.setAngleMode(mode);
+        } catch (error) {
+            this.engine.setAngleMode('DEG');
+        }
+        this.storage.setItem('calculatorAngleMode', this.engine.angleMode);
+        this.formatter.setAngleMode(this.engine.angleMode);
+        this.changed();
+    }
+
+    /**
+     * Switches to the next angle mode (DEG → RAD → GRAD → DEG).
+     * @example
+     * core.cycleAngleMode(); // Switches from DEG to RAD
+     */
+    cycleAngleMode() {
+        const modes = this.engine.getAngleModes();
+        const next = modes[(modes.indexOf(this.engine.angleMode) + 1) % modes.length];
+        this.setAngleMode(next);
+        this.notify(next);
+    }
+
+    /**
+     * Switches between exact decimal, exact fraction, floating-point and
+     * complex arithmetic. A result on the display is converted to the new mode.
+     * The choice is saved to storage. In the programmer layout it takes
+     * effect when switching to another layout.
+     * @param {string} mode - One of 'decimal', 'fraction', 'float' or 'complex'
+     * @example
+     * core.setNumberMode('fraction'); // 1/3+1/6 now evaluates to 1/2
+     */
+    setNumberMode(mode) {
+        const numberMode = ['float', 'fraction', 'complex'].includes(mode) ? mode : 'decimal';
+        this.settings.numberMode = numberMode;
+        this.storage.setItem('calculatorNumberMode', numberMode);
+
+        if (this.engine.getNumberMode() !== 'programmer' && this.engine.getNumberMode() !== numberMode) {
+            this.engine.setNumberMode(numberMode);
+            if (this.lastResult !== null) {
+                try {
+                    this.lastResult = this.engine.parseValue(String(this.lastResult));
+                    this.setInput(this.engine.formatValue(this.lastResult));
+                    this.showResult(this.lastResult);
+                } catch (error) {
+                    this.clear();
+                }
+            }
+        }
+        this.changed();
+    }
+
+    /**
+     * Sets the number of significant digits for inexact decimal results.
+     * The choice is saved to storage.
+     * @param {number} digits - Significant digits, from 1 to 1000
+     * @example
+     * core.setPrecision(100); // 1/3 now shows 100 digits
+     */
+    setPrecision(digits) {
+        try {
+            this.engine.setPrecision(digits);
+            this.formatter.setPrecision(digits);
+            this.storage.setItem('calculatorPrecision', String(digits));
+            this.changed();
+        } catch (error) {
+            this.notifyError(error);
+        }
+    }
+
+    /**
+     * Sets whether exact fractions are shown as mixed numbers or decimals.
+     * The choice is saved to storage.
+     * @param {string} output - Either 'fraction' or 'decimal'
+     * @example
+     * core.setFractionOutput('decimal'); // 2 1/4 is now shown as 2.25
+     */
+    setFractionOutput(output) {
+        this.settings.fractionOutput = output === 'decimal' ? 'decimal' : 'fraction';
+        this.storage.setItem('calculatorFractionOutput', this.settings.fractionOutput);
+        this.formatter.setFractionOutput(this.settings.fractionOutput);
+        this.changed();
+    }
+
+    /**
+     * Switches between fraction and decimal output (the S⇔D key).
+     * @example
+     * core.toggleFractionOutput(); // 3/4 becomes 0.75
+     */
+    toggleFractionOutput() {
+        const output = this.settings.fractionOutput === 'fraction' ? 'decimal' : 'fraction';
+        this.setFractionOutput(output);
+        this.notify(output === 'fraction' ? 'Fraction output' : 'Decimal output');
+    }
+
+    /**
+     * Sets whether complex numbers are shown in rectangular or polar form.
+     * The choice is saved to storage.
+     * @param {string} output - Either 'rectangular' or 'polar'
+     * @example
+     * core.setComplexOutput('polar'); // 3+4i is now shown as 5∠53.13…°
+     */
+    setComplexOutput(output) {
+        this.settings.complexOutput = output === 'polar' ? 'polar' : 'rectangular';
+        this.storage.setItem('calculatorComplexOutput', this.settings.complexOutput);
+        this.formatter.setComplexOutput(this.settings.complexOutput);
+        this.changed();
+    }
+
+    /**
+     * Switches between rectangular and polar output (the R⇔P key).
+     * @example
+     * core.toggleComplexOutput(); // 3 + 4i becomes 5∠53.13…°
+     */
+    toggleComplexOutput() {
+        const output = this.settings.complexOutput === 'rectangular' ? 'polar' : 'rectangular';
+        this.setComplexOutput(output);
+        this.notify(output === 'polar' ? 'Polar output' : 'Rectangular output');
+    }
+
+    /**
+     * Sets the locale used to show and type numbers, e.g. 'de-DE' for
+     * 1.234.567,89 or 'en-IN' for lakh grouping such as 12,34,567.89.
+     * The choice is saved to storage.
+     * @param {string} tag - A BCP 47 language tag, or '' for the default locale
+     * @example
+     * core.setLocale('de-DE'); // The , key now types the decimal separator
+     */
+    setLocale(tag) {
+        let locale;
+        try {
+            locale = new NumberLocale(tag);
+        } catch (error) {
+            // An invalid saved tag falls back to the default locale
+            tag = '';
+            locale = new NumberLocale();
+        }
+        this.storage.setItem('calculatorLocale', tag);
+
+        this.settings.locale = tag;
+        this.locale = locale;
+        this.formatter.setLocale(locale);
+        this.changed();
+    }
+
+    /**
+     * Sets what '(' or a function typed right after a number does: insert
+     * the `*` it stands for, or be rejected. The choice is saved to storage.
+     * @param {string} mode - Either 'multiply' or 'block'
+     * @example
+     * core.setParenAfterNumber('block'); // Typing 2( is rejected instead of entering 2*(
+     */
+    setParenAfterNumber(mode) {
+        this.settings.parenAfterNumber = mode === 'block' ? 'block' : 'multiply';
+        this.storage.setItem('calculatorParenAfterNumber', this.settings.parenAfterNumber);
+        this.validator.setParenAfterNumber(this.settings.parenAfterNumber);
+        this.changed();
+    }
+
+    /**
+     * Sets whether operands side by side are multiplied, as in `2(3+4)` or
+     * `3pi`, or reported as a missing operator. The choice is saved to storage.
+     * @param {boolean} enabled - True to multiply, false for strict parsing
+     * @example
+     * core.setImplicitMultiplication(false); // 3pi is now an error
+     */
+    setImplicitMultiplication(enabled) {
+        this.settings.implicitMultiplication = Boolean(enabled);
+        this.storage.setItem('calculatorImplicitMultiplication', String(this.settings.implicitMultiplication));
+        this.engine.setImplicitMultiplication(this.settings.implicitMultiplication);
+        this.changed();
+    }
+
+    /**
+     * Switches the keypad layout. A programmer layout also switches the
+     * engine to programmer mode; leaving it restores the saved number mode.
+     * The input is cleared when the number mode changes. An unknown layout
+     * falls back to the basic one.
+     * The choice is saved to storage.
+     * @param {string} layout - A layout name, e.g. 'basic', 'scientific',
+     *     'programmer', 'phone' or an imported one
+     * @example
+     * core.setLayout('programmer'); // Integers, bases and bitwise operators
+     */
+    setLayout(layout) {
+        this.settings.layout = this.layouts.has(layout) ? layout : 'basic';
+        this.storage.setItem('calculatorKeypadLayout', this.settings.layout);
+        const isProgrammer = this.layouts.get(this.settings.layout).programmer === true;
+
+        if (isProgrammer !== (this.engine.getNumberMode() === 'programmer')) {
+            this.engine.setNumberMode(isProgrammer ? 'programmer' : this.settings.numberMode);
+            this.clear();
+        }
+        this.applyProgrammerOptions();
+        this.changed();
+    }
+
+    /**
+     * Sets the base used for input and results in programmer mode.
+     * Numbers already typed are converted to the new base.
+     * The choice is saved to storage.
+     * @param {string} name - One of 'HEX', 'DEC', 'OCT' or 'BIN'
+     * @example
+     * core.setRadix('HEX'); // 255 is now shown as FF
+     */
+    setRadix(name) {
+        let tokens = null;
+        try {
+            tokens = this.engine.tokenize(this.currentInput);
+        } catch (error) {
+            // Leave input that does not tokenize as it is
+        }
+
+        try {
+            this.engine.setRadix(name);
+        } catch (error) {
+            this.notifyError(error);
+            return;
+        }
+
+        if (tokens && this.engine.getNumberMode() === 'programmer') {
+            // Rewrite from the end so earlier positions stay valid
+            let input = this.currentInput;
+            tokens.filter((token) => token.type === 'number').reverse().forEach(({ value, start, end }) => {
+                input = input.slice(0, start) + this.engine.formatValue(value) + input.slice(end);
+            });
+            if (input !== this.currentInput) {
+                this.setInput(input);
+            }
+        }
+
+        this.applyProgrammerOptions();
+        if (this.lastResult === null) {
+            this.showInput();
+        }
+        this.notify(name);
+        this.changed();
+    }
+
+    /**
+     * Switches to the next word size (8 → 16 → 32 → 64 → 8 bits).
+     * The last result is wrapped to the new size.
+     * @example
+     * core.cycleWordSize(); // Switches from 64 to 8 bits
+     */
+    cycleWordSize() {
+        const sizes = this.engine.getWordSizes();
+        const { wordSize } = this.engine.getProgrammerOptions();
+        this.engine.setWordSize(sizes[(sizes.indexOf(wordSize) + 1) % sizes.length]);
+        this.rewrapResult();
+        this.notify(`${this.engine.getProgrammerOptions().wordSize}-bit`);
+    }
+
+    /**
+     * Switches between signed and unsigned integers in programmer mode.
+     * The last result is reinterpreted, so -1 becomes FF…F and back.
+     * @example
+     * core.toggleSigned(); // Switches from signed to unsigned
+     */
+    toggleSigned() {
+        this.engine.setSigned(!this.engine.getProgrammerOptions().signed);
+        this.rewrapResult();
+        this.notify(this.engine.getProgrammerOptions().signed ? 'Signed' : 'Unsigned');
+    }
+
+    /**
+     * Flips one bit of the current value in programmer mode.
+     * @param {number} index - The bit to flip, 0 being the least significant
+     * @example
+     * core.toggleBit(0); // 4 becomes 5
+     */
+    toggleBit(index) {
+        const value = this.getCurrentValue();
+        if (value === null) return;
+
+        try {
+            this.loadInput(this.engine.formatValue(this.engine.toggleBit(value, index)));
+        } catch (error) {
+            this.notifyError(error);
+        }
+    }
+
+    /**
+     * Wraps the last result to the current word size and signedness after
+     * they changed.
+     * @private
+     */
+    rewrapResult() {
+        if (this.lastResult !== null && this.engine.getNumberMode() === 'programmer') {
+            this.lastResult = this.engine.parseValue(String(this.lastResult));
+            this.setInput(this.engine.formatValue(this.lastResult));
+            this.showResult(this.lastResult);
+        }
+        this.applyProgrammerOptions();
+        this.changed();
+    }
+
+    /**
+     * Loads the saved programmer mode settings into the engine.
+     * @private
+     */
+    loadProgrammerOptions() {
+        try {
+            const saved = JSON.parse(this.storage.getItem('calculatorProgrammer'));
+            if (saved) {
+                this.engine.setRadix(saved.radix);
+                this.engine.setWordSize(saved.wordSize);
+                this.engine.setSigned(saved.signed);
+            }
+        } catch (error) {
+            // Keep the defaults for missing or corrupt settings
+        }
+    }
+
+    /**
+     * Saves the programmer mode settings and sets the base results are
+     * shown in.
+     * @private
+     */
+    applyProgrammerOptions() {
+        const { wordSize, signed, radix } = this.engine.getProgrammerOptions();
+        this.storage.setItem('calculatorProgrammer', JSON.stringify({ radix: this.engine.getRadix(), wordSize, signed }));
+
+        this.formatter.setRadix(this.engine.getNumberMode() === 'programmer' ? radix : 10);
+        this.updateBits();
+    }
+
+    /**
+     * Updates the value shown in the bit grid. Input that is not a complete
+     * expression leaves it unchanged.
+     * @private
+     */
+    updateBits() {
+        if (this.engine.getNumberMode() !== 'programmer') {
+            this.bits = null;
+            return;
+        }
+        this.bits = this.getCurrentValue() ?? this.bits ?? 0n;
+    }
+
+    /**
+     * Gets the value of the current input in programmer mode.
+     * @private
+     * @returns {bigint|null} The value, or null if the input is incomplete,
+     *     invalid or an assignment
+     */
+    getCurrentValue() {
+        if (this.lastResult !== null) {
+            return this.lastResult;
+        }
+        if (!this.currentInput.trim()) {
+            return 0n;
+        }
+        if (this.currentInput.includes('=')) {
+            return null;
+        }
+        try {
+            const value = this.engine.calculate(this.currentInput);
+            return typeof value === 'bigint' ? value : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Captures the state that undo restores.
+     * @private
+     * @returns {Object} The input and cursor, both display lines and the register values
+     */
+    createSnapshot() {
+        return {
+            currentInput: this.currentInput,
+            selectionAnchor: this.selectionAnchor,
+            selectionFocus: this.selectionFocus,
+            lastResult: this.lastResult,
+            expression: this.expression,
+            resultValue: this.resultValue,
+            resultUnit: this.resultUnit,
+            status: this.status,
+            error: this.error,
+            bits: this.bits,
+            memory: this.memory.getValues()
+        };
+    }
+
+    /**
+     * Checks whether two snapshots show the same state.
+     * @private
+     * @param {Object} a - A snapshot
+     * @param {Object} b - Another snapshot
+     * @returns {boolean} True if nothing differs
+     */
+    isSameSnapshot(a, b) {
+        return Object.keys(a).every((key) => (
+            key === 'memory' ? JSON.stringify(a.memory) === JSON.stringify(b.memory) : a[key] === b[key]
+        ));
+    }
+
+    /**
+     * Restores a snapshot taken by `createSnapshot`.
+     * @private
+     * @param {Object} snapshot - The snapshot
+     */
+    restoreSnapshot({ memory, ...fields }) {
+        const isMemoryChanged = JSON.stringify(memory) !== JSON.stringify(this.memory.getValues());
+        Object.assign(this, fields);
+        this.autoParens = [];
+        if (isMemoryChanged) {
+            this.memory.setValues(memory);
+            this.emit('memory', this.memory.getSlots());
+        }
+        this.changed();
+    }
+
+    /**
+     * Gets the selected range of the input.
+     * @private
+     * @returns {{start: number, end: number}} The range, empty for a plain cursor
+     */
+    getSelection() {
+        return {
+            start: Math.min(this.selectionAnchor, this.selectionFocus),
+            end: Math.max(this.selectionAnchor, this.selectionFocus)
+        };
+    }
+
+    /**
+     * Replaces the whole input and puts the cursor at its end.
+     * @private
+     * @param {string} input - The new input
+     */
+    setInput(input) {
+        this.currentInput = input;
+        this.selectionAnchor = this.selectionFocus = input.length;
+        this.autoParens = [];
+    }
+
+    /**
+     * Replaces part of the input and moves the remembered ')' positions along.
+     * @private
+     * @param {number} start - Index of the first replaced character
+     * @param {number} end - Index after the last replaced character
+     * @param {string} text - The replacement
+     * @param {number} [cursor] - Where the cursor ends up, defaults to after the replacement
+     */
+    replaceRange(start, end, text, cursor = start + text.length) {
+        this.currentInput = this.currentInput.slice(0, start) + text + this.currentInput.slice(end);
+        this.autoParens = this.autoParens
+            .filter((position) => position < start || position >= end)
+            .map((position) => (position >= end ? position - (end - start) + text.length : position));
+        this.selectionAnchor = this.selectionFocus = cursor;
+    }
+
+    /**
+     * Shows the current input on the expression line, with a live preview
+     * of its result on the result line.
+     * @private
+     */
+    showInput() {
+        this.expression = this.currentInput;
+        this.error = null;
+        this.updatePreview();
+    }
+
+    /**
+     * Previews the result of the current input without storing anything.
+     * While the input is incomplete or invalid, e.g. `2 *` or `(1 + 2`, the
+     * last preview stays on the result line in the 'pending' state.
+     * @private
+     */
+    updatePreview() {
+        if (!this.currentInput.trim()) {
+            this.showResult(null);
+            return;
+        }
+        try {
+            if (this.unitConverter.isConversion(this.currentInput)) {
+                const { value, unit } = this.unitConverter.convert(this.currentInput);
+                this.showResult(value, unit, 'preview');
+                return;
+            }
+            const value = this.engine.preview(this.currentInput);
+            if (value === null) {
+                this.status = 'pending';
+            } else {
+                this.showResult(value, undefined, 'preview');
+            }
+        } catch (error) {
+            this.status = 'pending';
+        }
+    }
+
+    /**
+     * Puts a value on the result line.
+     * @private
+     * @param {Decimal|Fraction|Complex|number|bigint|null} value - The value, null for 0
+     * @param {string} [unit] - A unit shown after the value, e.g. 'cm'
+     * @param {string} [status='result'] - 'result' or 'preview'
+     */
+    showResult(value, unit, status = 'result') {
+        this.resultValue = value;
+        this.resultUnit = unit;
+        this.status = status;
+    }
+
+    /**
+     * Emits the new state.
+     * @private
+     */
+    changed() {
+        this.emit('change', this.getState());
+    }
+
+    /**
+     * Emits a notification.
+     * @private
+     * @param {string} message - The message
+     */
+    notify(message) {
+        this.emit('notification', { type: 'info', message, suggestion: null });
+    }
+
+    /**
+     * Emits an error notification.
+     * @private
+     * @param {Error} error - The error, with a suggestion if it is an ExpressionError
+     */
+    notifyError(error) {
+        this.emit('notification', { type: 'error', message: error.message, suggestion: error.suggestion ?? null });
+    }
+}
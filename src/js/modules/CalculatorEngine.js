@@ -3,107 +3,1297 @@
  * Implements the Shunting Yard algorithm for expression parsing and evaluation.
  */
 
+import { ExpressionError } from './ExpressionError.js';
+import { Fraction } from './Fraction.js';
+import {
+    createComplexSystem,
+    createDecimalSystem,
+    createFloatSystem,
+    createFractionSystem,
+    createProgrammerSystem
+} from './NumberSystems.js';
+
+/**
+ * Matches an unsigned number literal in plain or scientific notation.
+ * @type {RegExp}
+ */
+const NUMBER_PATTERN = /(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/y;
+
+/**
+ * Matches an imaginary literal in complex mode, such as `2i`, `0.5i` or `i`.
+ * A literal must not run into a name, so `2in` is not imaginary.
+ * @type {RegExp}
+ */
+const IMAGINARY_PATTERN = /(?:(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)?i(?![A-Za-z0-9_])/y;
+
+/**
+ * Matches a fraction literal typed with the fraction slash (U+2044), either
+ * proper like `3⁄4` or mixed like `2 1⁄4`. The groups are the whole part,
+ * the numerator and the denominator.
+ * @type {RegExp}
+ */
+const FRACTION_PATTERN = /(?:(\d+)\s+)?(\d+)\u2044(\d+)/y;
+
+/**
+ * Matches a function or constant name.
+ * @type {RegExp}
+ */
+const IDENTIFIER_PATTERN = /[A-Za-z_][A-Za-z0-9_]*/y;
+
+/**
+ * Matches an integer literal in programmer mode, by base. Apart from HEX,
+ * where `0b` and `0o` are ordinary digits, a `0x`, `0o` or `0b` prefix
+ * overrides the base. A literal must not run into a name, so in HEX `ff` is
+ * a number but `fft` is a name.
+ * @type {Object<number, RegExp>}
+ */
+const INTEGER_PATTERNS = {
+    16: /(?:0[xX])?[0-9A-Fa-f]+(?![A-Za-z0-9_])/y,
+    10: /(?:0[xX][0-9A-Fa-f]+|0[oO][0-7]+|0[bB][01]+|\d+)(?![A-Za-z0-9_])/y,
+    8: /(?:0[xX][0-9A-Fa-f]+|0[oO][0-7]+|0[bB][01]+|[0-7]+)(?![A-Za-z0-9_])/y,
+    2: /(?:0[xX][0-9A-Fa-f]+|0[oO][0-7]+|0[bB][01]+|[01]+)(?![A-Za-z0-9_])/y
+};
+
+/**
+ * RPN symbol of implicit multiplication, as in `2(3+4)` or `3pi`. The space
+ * keeps it apart from every operator that can be typed or registered.
+ * @type {string}
+ */
+const IMPLICIT_MULTIPLY = 'implicit *';
+
+/**
+ * Programmer mode bases by name.
+ * @type {Object<string, number>}
+ */
+const RADIXES = {
+    HEX: 16,
+    DEC: 10,
+    OCT: 8,
+    BIN: 2
+};
+
+/**
+ * Supported programmer mode word sizes in bits.
+ * @type {number[]}
+ */
+const WORD_SIZES = [8, 16, 32, 64];
+
+/**
+ * Supported angle modes with the size of a full turn in each unit.
+ * @type {Object<string, number>}
+ */
+const ANGLE_MODES = {
+    DEG: 360,
+    RAD: 2 * Math.PI,
+    GRAD: 400
+};
+
+/**
+ * Exact values of sin, cos and tan at 0, 1, 2 and 3 quarter turns.
+ * @type {Object<string, number[]>}
+ */
+const QUARTER_TURN_VALUES = {
+    sin: [0, 1, 0, -1],
+    cos: [1, 0, -1, 0],
+    tan: [0, NaN, 0, NaN]
+};
+
+/**
+ * Deepest allowed nesting of user-defined function calls.
+ * @type {number}
+ */
+const MAX_CALL_DEPTH = 100;
+
+/**
+ * Default number of significant digits for inexact decimal results.
+ * Matches the IEEE 754 decimal128 format.
+ * @type {number}
+ */
+const DEFAULT_PRECISION = 34;
+
+/**
+ * Largest supported decimal precision.
+ * @type {number}
+ */
+const MAX_PRECISION = 1000;
+
+/**
+ * A value produced by the postfix `%` operator.
+ * Holds the fraction (10% is 0.1) and remembers that it was a percentage, so
+ * `+` and `-` can treat it as a percentage of their left operand.
+ * @private
+ */
+class Percentage {
+    /**
+     * @param {Decimal|number} value - The percentage as a fraction
+     */
+    constructor(value) {
+        this.value = value;
+    }
+}
+
 /**
  * CalculatorEngine class for handling mathematical calculations.
  * Uses Reverse Polish Notation (RPN) for safe and accurate calculations.
  * @class CalculatorEngine
  * @example
  * const engine = new CalculatorEngine();
- * const result = engine.calculate('2 + 2 * 3'); // Returns 8
+ * const result = engine.calculate('2 + 2 * 3'); // Returns Decimal 8
  */
 export class CalculatorEngine {
     /**
-     * Creates a new CalculatorEngine instance.
-     * Initializes the operator definitions with their precedence and operations.
-     * @constructor
+     * Creates a new CalculatorEngine instance.
+     * Initializes the operator definitions with their precedence and operations.
+     * @constructor
+     */
+    constructor() {
+        /** @private {number} Significant digits for inexact decimal results */
+        this.precision = DEFAULT_PRECISION;
+
+        /** @private {{wordSize: number, signed: boolean, radix: number}} Programmer mode settings */
+        this.programmer = { wordSize: 64, signed: true, radix: 10 };
+
+        /** @private {Object} Active number system, see NumberSystems.js */
+        this.numbers = createDecimalSystem(this.precision);
+
+        /** @private {Object} Operator definitions with precedence and operations */
+        // The bitwise operators bind more loosely than arithmetic, as in C
+        this.operators = {
+            '|': { precedence: 1, operation: (a, b) => this.bitwise('or', a, b) },
+            'xor': { precedence: 2, operation: (a, b) => this.bitwise('xor', a, b) },
+            '&': { precedence: 3, operation: (a, b) => this.bitwise('and', a, b) },
+            '<<': { precedence: 4, operation: (a, b) => this.bitwise('shiftLeft', a, b) },
+            '>>': { precedence: 4, operation: (a, b) => this.bitwise('shiftRight', a, b) },
+            '+': { precedence: 5, percentOfLeft: true, operation: (a, b) => this.numbers.add(a, b) },
+            '-': { precedence: 5, percentOfLeft: true, operation: (a, b) => this.numbers.subtract(a, b) },
+            '*': { precedence: 6, operation: (a, b) => this.numbers.multiply(a, b) },
+            '/': { precedence: 6, operation: (a, b) => this.numbers.divide(a, b) },
+            // Operands side by side bind tighter than * and /, so 1/2x is 1/(2x) as on scientific calculators
+            [IMPLICIT_MULTIPLY]: { precedence: 6.5, operation: (a, b) => this.numbers.multiply(a, b) },
+            '∠': { precedence: 7, operation: (a, b) => this.polar(a, b) },
+            '^': { precedence: 8, associativity: 'right', operation: (a, b) => this.numbers.power(a, b) }
+        };
+
+        /** @private {Object} Prefix operators, keyed by the symbol used in RPN output */
+        this.unaryOperators = {
+            'u-': { precedence: 7, unary: true, operation: (a) => this.numbers.negate(a) },
+            'u+': { precedence: 7, unary: true, operation: (a) => a },
+            'u~': { precedence: 7, unary: true, operation: (a) => this.bitwise('not', a) }
+        };
+
+        /** @private {Object} Postfix operators, applied to the operand before them */
+        this.postfixOperators = {
+            '!': { precedence: 9, unary: true, operation: (a) => this.numbers.factorial(a) },
+            '%': { precedence: 9, unary: true, operation: (a) => (
+                new Percentage(this.numbers.divide(a, this.numbers.fromNumber(100)))
+            )},
+            // Degrees in any angle mode, e.g. sin(30°) or 5∠36.87°
+            '°': { precedence: 9, unary: true, operation: (a) => (
+                this.numbers.divide(this.numbers.multiply(a, this.numbers.fromNumber(ANGLE_MODES[this.angleMode])), this.numbers.fromNumber(360))
+            )}
+        };
+
+        /** @private {Object} Named functions with their argument count and operation */
+        this.functions = {
+            sin: { arity: 1, operation: (x) => this.trigonometric('sin', x) },
+            cos: { arity: 1, operation: (x) => this.trigonometric('cos', x) },
+            tan: { arity: 1, operation: (x) => this.trigonometric('tan', x) },
+            asin: { arity: 1, operation: (x) => this.real((n) => this.fromRadians(Math.asin(n)), x) },
+            acos: { arity: 1, operation: (x) => this.real((n) => this.fromRadians(Math.acos(n)), x) },
+            atan: { arity: 1, operation: (x) => this.real((n) => this.fromRadians(Math.atan(n)), x) },
+            sqrt: { arity: 1, operation: (x) => this.numbers.sqrt(x) },
+            cbrt: { arity: 1, operation: (x) => this.real(Math.cbrt, x) },
+            log: { arity: 1, operation: (x) => this.real(Math.log10, x) },
+            ln: { arity: 1, operation: (x) => this.real(Math.log, x) },
+            exp: { arity: 1, operation: (x) => this.real(Math.exp, x) },
+            abs: { arity: 1, operation: (x) => this.numbers.abs(x) },
+            floor: { arity: 1, operation: (x) => this.numbers.floor(x) },
+            ceil: { arity: 1, operation: (x) => this.numbers.ceil(x) },
+            round: { arity: 1, operation: (x) => this.numbers.round(x) },
+            re: { arity: 1, operation: (x) => this.complex('re', x) },
+            im: { arity: 1, operation: (x) => this.complex('im', x) },
+            conj: { arity: 1, operation: (x) => this.complex('conj', x) },
+            arg: { arity: 1, operation: (x) => this.numbers.fromNumber(this.fromRadians(this.complex('arg', x))) }
+        };
+
+        /** @private {Object} Named constants, resolved by the active number system */
+        this.constants = {
+            pi: () => this.numbers.constant('pi'),
+            e: () => this.numbers.constant('e')
+        };
+
+        /** @private {string} Angle unit used by trigonometric functions */
+        this.angleMode = 'DEG';
+
+        /** @private {boolean} Whether operands side by side, as in 3pi, are multiplied */
+        this.implicitMultiplication = true;
+
+        /**
+         * Variable store with `get`, `set` and `has`, such as a Map or the
+         * Variables module. Values are stored as strings.
+         * @private {Map<string, string>|Variables}
+         */
+        this.variables = new Map();
+
+        /**
+         * User-defined function store with `get`, `set`, `has`, `delete` and
+         * `entries`, such as a Map or the FunctionLibrary module. Each entry
+         * is `{ params: string[], body: string }`.
+         * @private {Map<string, Object>|FunctionLibrary}
+         */
+        this.userFunctions = new Map();
+
+        /** @private {Map<string, Array>} Compiled function bodies, keyed by source */
+        this.compiledBodies = new Map();
+
+        /** @private {number} Current nesting of user-defined function calls */
+        this.callDepth = 0;
+    }
+
+    /**
+     * Calculates the result of a mathematical expression.
+     * Also accepts variable assignments (`name = expression`) and function
+     * definitions (`name(a, b) = expression`).
+     * @param {string} expression - The mathematical expression to evaluate
+     * @returns {Decimal|number|bigint|string} The calculated result, a Decimal in
+     *     decimal mode, a number in float mode or a BigInt in programmer mode.
+     *     For function definitions, the
+     *     normalized definition text is returned instead.
+     * @throws {ExpressionError} If the expression is invalid or cannot be
+     *     evaluated; the error has a code and, where possible, the range of
+     *     the expression that caused it
+     * @throws {Error} If a definition or assignment uses a reserved name
+     * @example
+     * engine.calculate('2 + 2'); // Returns 4
+     * engine.calculate('0.1 + 0.2'); // Returns 0.3 exactly
+     * engine.calculate('(1 + 2) * 3'); // Returns 9
+     * engine.calculate('-5 + 3'); // Returns -2
+     * engine.calculate('1.5e-7 * 2'); // Returns 3e-7
+     * engine.calculate('sqrt(3^2 + 4^2)'); // Returns 5
+     * engine.calculate('rate = 0.075'); // Stores and returns 0.075
+     * engine.calculate('100 * (1 + rate)'); // Returns 107.5
+     * engine.calculate('hyp(a, b) = sqrt(a^2 + b^2)'); // Returns 'hyp(a, b) = sqrt(a^2 + b^2)'
+     * engine.calculate('hyp(3, 4)'); // Returns 5
+     * engine.calculate('200 + 10%'); // Returns 220
+     * engine.calculate('200 * 10%'); // Returns 20
+     * engine.setNumberMode('programmer');
+     * engine.calculate('0xF0 | 0x0F'); // Returns 255n
+     */
+    calculate(expression) {
+        // Split the expression into tokens
+        const tokens = this.tokenize(expression);
+
+        // `name(a, b) = expression` defines a function
+        const definition = this.parseDefinition(tokens);
+        if (definition) {
+            const body = expression.slice(definition.bodyStart).trim();
+            try {
+                this.defineFunction(definition.name, definition.params, body);
+            } catch (error) {
+                // Point into the whole definition rather than the body
+                throw error instanceof ExpressionError && error.hasRange()
+                    ? error.at(error.start + definition.bodyStart, error.end + definition.bodyStart)
+                    : error;
+            }
+            return `${definition.name}(${definition.params.join(', ')}) = ${body}`;
+        }
+
+        // `name = expression` stores the value in a variable
+        if (tokens[0]?.type === 'identifier' && tokens[1]?.type === 'assign') {
+            return this.assign(tokens[0].value, tokens.slice(2));
+        }
+
+        // Convert to Reverse Polish Notation (RPN)
+        const rpn = this.toRPN(tokens);
+        
+        // Evaluate RPN
+        return this.evaluateRPN(rpn);
+    }
+
+    /**
+     * Evaluates an expression without side effects, for a live preview of
+     * its result. The value of an assignment is computed but not stored.
+     * @param {string} expression - The expression to evaluate
+     * @returns {Decimal|number|bigint|null} The result, or null for a
+     *     function definition, which has no value
+     * @throws {ExpressionError} If the expression is incomplete or invalid
+     * @example
+     * engine.preview('rate = 0.075 * 2'); // Returns 0.15, rate stays undefined
+     * engine.preview('2 *'); // Throws: Missing operand after '*'
+     */
+    preview(expression) {
+        const tokens = this.tokenize(expression);
+        if (this.parseDefinition(tokens)) {
+            return null;
+        }
+        const isAssignment = tokens[0]?.type === 'identifier' && tokens[1]?.type === 'assign';
+        return this.evaluateRPN(this.toRPN(isAssignment ? tokens.slice(2) : tokens));
+    }
+
+    /**
+     * Evaluates tokens with another number system and extra names.
+     * Lets modules built on the engine, such as the UnitConverter, compute
+     * with their own kind of value while reusing the parser, operators,
+     * functions and variables.
+     * @param {Array<Object>} tokens - Tokens from `tokenize`
+     * @param {Object} [options] - Evaluation options
+     * @param {Object} [options.numbers] - Number system to use instead of the active one
+     * @param {Map<string, *>} [options.scope] - Values of extra names, taking priority over variables
+     * @returns {*} The result, a value of the number system used
+     * @throws {Error} If the expression is invalid or contains errors
+     * @example
+     * const scope = new Map([['dozen', engine.calculate('12')]]);
+     * engine.evaluate(engine.tokenize('3 * dozen'), { scope }); // Returns 36
+     */
+    evaluate(tokens, { numbers = this.numbers, scope = null } = {}) {
+        const active = this.numbers;
+        this.numbers = numbers;
+        try {
+            return this.evaluateRPN(this.toRPN(tokens), scope);
+        } finally {
+            this.numbers = active;
+        }
+    }
+
+    /**
+     * Evaluates the right-hand side of an assignment and stores it.
+     * @private
+     * @param {string} name - The variable name
+     * @param {Array<Object>} tokens - The tokens of the value expression
+     * @returns {Decimal|number} The assigned value
+     * @throws {Error} If the name is reserved or the value is invalid
+     */
+    assign(name, tokens) {
+        if (name === 'ans' || this.hasConstant(name) || this.hasFunction(name)) {
+            throw new Error(`Cannot assign to '${name}'`);
+        }
+        const value = this.evaluateRPN(this.toRPN(tokens));
+        this.variables.set(name, String(value));
+        return value;
+    }
+
+    /**
+     * Sets the value of the built-in `ans` variable.
+     * @param {Decimal|number|bigint} value - The last result
+     * @example
+     * engine.setAnswer(engine.calculate('6 * 7'));
+     * engine.calculate('ans / 2'); // Returns 21
+     */
+    setAnswer(value) {
+        this.variables.set('ans', String(value));
+    }
+
+    /**
+     * Gets the user-defined variables, without `ans`.
+     * @returns {Array<[string, string]>} Name and value pairs
+     */
+    getVariables() {
+        return [...this.variables.entries()].filter(([name]) => name !== 'ans');
+    }
+
+    /**
+     * Defines or redefines a user function.
+     * The body may use the parameters, constants, existing variables, and
+     * built-in or previously defined functions. Recursive definitions are
+     * rejected because expressions have no way to stop the recursion.
+     * @param {string} name - The function name
+     * @param {string[]} params - The parameter names
+     * @param {string} body - The expression computing the result
+     * @throws {Error} If the name is reserved, the body is invalid, references
+     *     unknown names, or the function would call itself
+     * @example
+     * engine.defineFunction('vat', ['x'], 'x * 1.2');
+     * engine.calculate('vat(100)'); // Returns 120
+     */
+    defineFunction(name, params, body) {
+        if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+            throw new Error(`Invalid function name '${name}'`);
+        }
+        if (name === 'ans' || this.hasConstant(name) || Object.hasOwn(this.functions, name)) {
+            throw new Error(`Cannot redefine '${name}'`);
+        }
+        params.forEach((param, index) => {
+            if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(param) || param === 'ans' || this.hasConstant(param)) {
+                throw new Error(`Invalid parameter name '${param}'`);
+            }
+            if (params.indexOf(param) !== index) {
+                throw new Error(`Duplicate parameter '${param}'`);
+            }
+        });
+
+        const tokens = this.tokenize(body);
+        const calls = this.findCalls(tokens);
+
+        // Every name in the body has to be known now
+        tokens.forEach((token, index) => {
+            if (token.type !== 'identifier' || tokens[index + 1]?.value === '(') return;
+            if (!params.includes(token.value) && !this.hasConstant(token.value) && !this.variables.has(token.value)) {
+                throw new Error(`Unknown name '${token.value}' in function '${name}'`);
+            }
+        });
+        calls.forEach((call) => {
+            if (call !== name && !this.hasFunction(call)) {
+                throw new Error(`Unknown function '${call}' in function '${name}'`);
+            }
+        });
+
+        const cycle = this.findRecursion(name, calls);
+        if (cycle) {
+            throw new Error(`Function '${name}' would recurse without end (${cycle.join(' → ')})`);
+        }
+
+        // Check the syntax with the parameters treated as plain names
+        this.toRPN(tokens);
+
+        this.userFunctions.set(name, { params: [...params], body });
+    }
+
+    /**
+     * Removes a user function.
+     * @param {string} name - The function name
+     * @throws {Error} If the function does not exist or another function uses it
+     * @example
+     * engine.removeFunction('vat');
+     */
+    removeFunction(name) {
+        if (!this.userFunctions.has(name)) {
+            throw new Error(`Unknown function '${name}'`);
+        }
+        const dependent = [...this.userFunctions.entries()].find(([other, { body }]) => (
+            other !== name && this.findCalls(this.tokenize(body)).includes(name)
+        ));
+        if (dependent) {
+            throw new Error(`Function '${name}' is used by '${dependent[0]}'`);
+        }
+        this.userFunctions.delete(name);
+    }
+
+    /**
+     * Gets the user-defined functions.
+     * @returns {Array<{name: string, params: string[], body: string}>} The definitions
+     */
+    getUserFunctions() {
+        return [...this.userFunctions.entries()].map(([name, { params, body }]) => ({ name, params, body }));
+    }
+
+    /**
+     * Registers a binary infix operator.
+     * Operations receive values of the active number system, followed by the
+     * number system itself for computing with them. For reference, `+` and
+     * `-` have precedence 5, `*` and `/` 6, prefix operators 7 and `^` 8.
+     * @param {string} symbol - A name such as 'mod', or punctuation such as '**'
+     * @param {Object} definition - The operator definition
+     * @param {number} definition.precedence - How tightly the operator binds
+     * @param {string} [definition.associativity] - 'left' (the default) or 'right'
+     * @param {function(*, *, Object): *} definition.operation - Computes the result
+     * @throws {Error} If the symbol is invalid or already in use, or the definition is invalid
+     * @example
+     * engine.registerOperator('mod', {
+     *     precedence: 6,
+     *     operation: (a, b, numbers) => numbers.subtract(a, numbers.multiply(b, numbers.floor(numbers.divide(a, b))))
+     * });
+     * engine.calculate('17 mod 5'); // Returns 2
+     */
+    registerOperator(symbol, { precedence, associativity = 'left', operation }) {
+        this.checkOperatorSymbol(symbol);
+        if (Object.hasOwn(this.operators, symbol) || Object.hasOwn(this.postfixOperators, symbol) ||
+            Object.hasOwn(this.unaryOperators, symbol)) {
+            throw new Error(`Operator '${symbol}' is already defined`);
+        }
+        if (associativity !== 'left' && associativity !== 'right') {
+            throw new Error(`Invalid associativity '${associativity}', use 'left' or 'right'`);
+        }
+        this.operators[symbol] = {
+            precedence: this.checkPrecedence(symbol, precedence),
+            associativity,
+            operation: this.checkOperation(symbol, operation)
+        };
+    }
+
+    /**
+     * Registers a prefix operator, applied to the operand after it.
+     * It may share its symbol with an infix operator, like `-`.
+     * @param {string} symbol - A name such as 'not', or punctuation such as '√'
+     * @param {Object} definition - The operator definition
+     * @param {number} [definition.precedence] - How tightly the operator binds,
+     *     defaults to 7 like the built-in signs, so `-2^2` is -4
+     * @param {function(*, Object): *} definition.operation - Computes the result
+     * @throws {Error} If the symbol is invalid or already in use, or the definition is invalid
+     * @example
+     * engine.registerPrefixOperator('√', { operation: (x, numbers) => numbers.sqrt(x) });
+     * engine.calculate('√16 + 1'); // Returns 5
+     */
+    registerPrefixOperator(symbol, { precedence = 7, operation }) {
+        this.checkOperatorSymbol(symbol);
+        const key = `u${symbol}`;
+        if (Object.hasOwn(this.unaryOperators, key) || Object.hasOwn(this.operators, key) ||
+            Object.hasOwn(this.postfixOperators, key)) {
+            throw new Error(`Prefix operator '${symbol}' is already defined`);
+        }
+        this.unaryOperators[key] = {
+            precedence: this.checkPrecedence(symbol, precedence),
+            unary: true,
+            operation: this.checkOperation(symbol, operation)
+        };
+    }
+
+    /**
+     * Registers a postfix operator, applied to the operand before it.
+     * Postfix operators bind tighter than any other operator, like `!`.
+     * @param {string} symbol - A name, or punctuation such as '‰'
+     * @param {Object} definition - The operator definition
+     * @param {function(*, Object): *} definition.operation - Computes the result
+     * @throws {Error} If the symbol is invalid or already in use, or the definition is invalid
+     * @example
+     * engine.registerPostfixOperator('‰', { operation: (x, numbers) => numbers.divide(x, numbers.fromNumber(1000)) });
+     * engine.calculate('25‰'); // Returns 0.025
+     */
+    registerPostfixOperator(symbol, { operation }) {
+        this.checkOperatorSymbol(symbol);
+        if (Object.hasOwn(this.postfixOperators, symbol) || Object.hasOwn(this.operators, symbol) ||
+            Object.hasOwn(this.unaryOperators, symbol)) {
+            throw new Error(`Operator '${symbol}' is already defined`);
+        }
+        this.postfixOperators[symbol] = {
+            precedence: 9,
+            unary: true,
+            operation: this.checkOperation(symbol, operation)
+        };
+    }
+
+    /**
+     * Registers a named function. Calls with another number of arguments are
+     * rejected before the operation runs.
+     * @param {string} name - The function name
+     * @param {Object} definition - The function definition
+     * @param {number} definition.arity - The number of arguments
+     * @param {string[]} [definition.params] - Argument names shown when a
+     *     call has the wrong number of arguments
+     * @param {function(...*): *} definition.operation - Computes the result
+     *     from the arguments, followed by the number system
+     * @throws {Error} If the name is invalid or already in use, or the definition is invalid
+     * @example
+     * engine.registerFunction('hypot', {
+     *     arity: 2,
+     *     params: ['a', 'b'],
+     *     operation: (a, b, numbers) => numbers.sqrt(numbers.add(numbers.multiply(a, a), numbers.multiply(b, b)))
+     * });
+     * engine.calculate('hypot(3, 4)'); // Returns 5
+     * engine.calculate('hypot(3)'); // Throws: Function 'hypot' expects 2 arguments
+     */
+    registerFunction(name, { arity, params, operation }) {
+        this.checkName(name);
+        if (!Number.isInteger(arity) || arity < 0) {
+            throw new Error(`Invalid arity for '${name}', expected a whole number of arguments`);
+        }
+        if (params !== undefined && (!Array.isArray(params) || params.length !== arity)) {
+            throw new Error(`Function '${name}' needs ${arity} parameter name${arity === 1 ? '' : 's'}`);
+        }
+        this.functions[name] = {
+            arity,
+            params: params || Array.from({ length: arity }, (_, i) => (arity <= 3 ? 'xyz'[i] : `x${i + 1}`)),
+            operation: this.checkOperation(name, operation)
+        };
+    }
+
+    /**
+     * Registers a named constant. Numbers and strings are read in base 10 by
+     * the active number system each time the constant is used, so they stay
+     * exact in decimal and fraction mode; a function can compute the value
+     * from the number system instead.
+     * @param {string} name - The constant name
+     * @param {number|string|function(Object): *} value - The value, or a function returning it
+     * @throws {Error} If the name is invalid or already in use
+     * @example
+     * engine.registerConstant('c', '299792458');
+     * engine.registerConstant('tau', (numbers) => numbers.multiply(numbers.fromNumber(2), numbers.constant('pi')));
+     * engine.calculate('c / 1000'); // Returns 299792.458
+     */
+    registerConstant(name, value) {
+        this.checkName(name);
+        if (typeof value === 'function') {
+            this.constants[name] = () => value(this.numbers);
+        } else if ((typeof value === 'number' && Number.isFinite(value)) || typeof value === 'string') {
+            this.constants[name] = () => this.parseValue(String(value));
+        } else {
+            throw new Error(`Invalid value for constant '${name}'`);
+        }
+    }
+
+    /**
+     * Checks that an operator symbol can be told apart from the rest of an
+     * expression: either a name, or punctuation without digits, letters,
+     * spaces, parentheses, commas, `.`, `=` or the fraction slash.
+     * @private
+     * @param {string} symbol - The operator symbol
+     * @throws {Error} If the symbol is invalid or a name already in use
+     */
+    checkOperatorSymbol(symbol) {
+        if (typeof symbol === 'string' && /^[A-Za-z_][A-Za-z0-9_]*$/.test(symbol)) {
+            this.checkName(symbol);
+        } else if (typeof symbol !== 'string' || !/^[^\sA-Za-z0-9_().,=\u2044]+$/.test(symbol)) {
+            throw new Error(`Invalid operator symbol '${symbol}'`);
+        }
+    }
+
+    /**
+     * Checks that a name for a function, constant or word operator is valid
+     * and not used by anything else.
+     * @private
+     * @param {string} name - The name
+     * @throws {Error} If the name is invalid or already in use
+     */
+    checkName(name) {
+        if (typeof name !== 'string' || !/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+            throw new Error(`Invalid name '${name}'`);
+        }
+        if (name === 'ans' || this.hasConstant(name)) {
+            throw new Error(`Constant '${name}' is already defined`);
+        }
+        if (this.hasFunction(name)) {
+            throw new Error(`Function '${name}' is already defined`);
+        }
+        if (this.isOperatorSymbol(name)) {
+            throw new Error(`Operator '${name}' is already defined`);
+        }
+        if (this.variables.has(name)) {
+            throw new Error(`Variable '${name}' is already defined`);
+        }
+    }
+
+    /**
+     * Checks the precedence of a registered operator.
+     * @private
+     * @param {string} symbol - The operator symbol
+     * @param {number} precedence - The precedence
+     * @returns {number} The precedence
+     * @throws {Error} If the precedence is not a number
+     */
+    checkPrecedence(symbol, precedence) {
+        if (typeof precedence !== 'number' || !Number.isFinite(precedence)) {
+            throw new Error(`Operator '${symbol}' needs a numeric precedence`);
+        }
+        return precedence;
+    }
+
+    /**
+     * Checks the operation of a registered operator or function and passes it
+     * the active number system after its operands.
+     * @private
+     * @param {string} name - The operator symbol or function name
+     * @param {Function} operation - The operation
+     * @returns {Function} The operation called with the number system
+     * @throws {Error} If the operation is not a function
+     */
+    checkOperation(name, operation) {
+        if (typeof operation !== 'function') {
+            throw new Error(`'${name}' needs an operation function`);
+        }
+        return (...args) => operation(...args, this.numbers);
+    }
+
+    /**
+     * Recognizes a function definition of the form `name(a, b) = body`.
+     * @private
+     * @param {Array<Object>} tokens - The expression tokens
+     * @returns {{name: string, params: string[], bodyStart: number}|null} The
+     *     definition parts, or null if the tokens are not a definition
+     */
+    parseDefinition(tokens) {
+        if (tokens[0]?.type !== 'identifier' || tokens[1]?.value !== '(') {
+            return null;
+        }
+
+        const params = [];
+        let index = 2;
+        while (tokens[index]?.type === 'identifier') {
+            params.push(tokens[index].value);
+            index++;
+            if (tokens[index]?.type !== 'comma') break;
+            index++;
+        }
+
+        if (tokens[index]?.value !== ')' || tokens[index + 1]?.type !== 'assign') {
+            return null;
+        }
+        if (!tokens[index + 2]) {
+            throw new ExpressionError('MISSING_OPERAND', "Missing operand after '='", {
+                start: tokens[index + 1].start,
+                end: tokens[index + 1].end,
+                suggestion: "Add the function body after '='"
+            });
+        }
+        return { name: tokens[0].value, params, bodyStart: tokens[index + 2].start };
+    }
+
+    /**
+     * Lists the names of the functions called in a token list.
+     * @private
+     * @param {Array<Object>} tokens - The tokens
+     * @returns {string[]} The called function names
+     */
+    findCalls(tokens) {
+        return tokens
+            .filter((token, index) => token.type === 'identifier' && tokens[index + 1]?.value === '(')
+            .map((token) => token.value);
+    }
+
+    /**
+     * Looks for a chain of user function calls leading back to a function.
+     * @private
+     * @param {string} name - The function being defined
+     * @param {string[]} calls - The functions its body calls
+     * @param {string[]} [path] - The chain of calls followed so far
+     * @returns {string[]|null} The call chain ending in `name`, or null if there is none
+     */
+    findRecursion(name, calls, path = [name]) {
+        for (const call of calls) {
+            if (call === name) {
+                return [...path, call];
+            }
+            if (path.includes(call) || !this.userFunctions.has(call)) {
+                continue;
+            }
+            const nested = this.findCalls(this.tokenize(this.userFunctions.get(call).body));
+            const cycle = this.findRecursion(name, nested, [...path, call]);
+            if (cycle) {
+                return cycle;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Switches between exact decimal, exact fraction, binary floating-point,
+     * complex and programmer (fixed-width integer) arithmetic.
+     * @param {string} mode - One of 'decimal', 'fraction', 'float', 'complex' or 'programmer'
+     * @throws {Error} If the mode is not supported
+     * @example
+     * engine.setNumberMode('float');
+     * engine.calculate('0.1 + 0.2'); // Returns 0.3, rounded to 15 digits
+     */
+    setNumberMode(mode) {
+        if (mode === 'decimal') {
+            this.numbers = createDecimalSystem(this.precision);
+        } else if (mode === 'fraction') {
+            this.numbers = createFractionSystem(this.precision);
+        } else if (mode === 'float') {
+            this.numbers = createFloatSystem();
+        } else if (mode === 'complex') {
+            this.numbers = createComplexSystem();
+        } else if (mode === 'programmer') {
+            this.numbers = createProgrammerSystem(this.programmer);
+        } else {
+            throw new Error(`Unknown number mode '${mode}'`);
+        }
+    }
+
+    /**
+     * Gets the active number mode.
+     * @returns {string} One of 'decimal', 'fraction', 'float', 'complex' or 'programmer'
+     */
+    getNumberMode() {
+        return this.numbers.name;
+    }
+
+    /**
+     * Sets the number of significant digits for inexact decimal results,
+     * such as `1/3` or `sqrt(2)`, and for approximate fraction results.
+     * @param {number} digits - Significant digits, from 1 to 1000
+     * @throws {Error} If the precision is out of range
+     * @example
+     * engine.setPrecision(100);
+     * engine.calculate('1/3'); // Returns 0.333… with 100 digits
+     */
+    setPrecision(digits) {
+        if (!Number.isInteger(digits) || digits < 1 || digits > MAX_PRECISION) {
+            throw new Error(`Precision must be an integer from 1 to ${MAX_PRECISION}`);
+        }
+        this.precision = digits;
+        if (this.numbers.name === 'decimal') {
+            this.numbers = createDecimalSystem(digits);
+        } else if (this.numbers.name === 'fraction') {
+            this.numbers = createFractionSystem(digits);
+        }
+    }
+
+    /**
+     * Sets the base used for literals and results in programmer mode.
+     * Literals with a `0x`, `0o` or `0b` prefix are accepted in any base but HEX.
+     * @param {string} name - One of 'HEX', 'DEC', 'OCT' or 'BIN'
+     * @throws {Error} If the base is not supported
+     * @example
+     * engine.setRadix('HEX');
+     * engine.formatValue(engine.calculate('ff + 1')); // Returns '100'
+     */
+    setRadix(name) {
+        if (!Object.hasOwn(RADIXES, name)) {
+            throw new Error(`Unknown base '${name}'`);
+        }
+        this.setProgrammerOption('radix', RADIXES[name]);
+    }
+
+    /**
+     * Sets whether operands written side by side are multiplied, as in
+     * `2(3+4)`, `(a+b)(a-b)`, `3pi` or `2sin(30)`. Strict users turn it off
+     * to have such input reported as a missing operator instead.
+     * @param {boolean} enabled - True to multiply, false for strict parsing
+     * @example
+     * engine.setImplicitMultiplication(false);
+     * engine.calculate('2(3+4)'); // Throws: Missing operator before '('
+     */
+    setImplicitMultiplication(enabled) {
+        this.implicitMultiplication = Boolean(enabled);
+    }
+
+    /**
+     * Gets the name of the programmer mode base.
+     * @returns {string} One of 'HEX', 'DEC', 'OCT' or 'BIN'
+     */
+    getRadix() {
+        return Object.keys(RADIXES).find((name) => RADIXES[name] === this.programmer.radix);
+    }
+
+    /**
+     * Gets the supported programmer mode bases.
+     * @returns {Object<string, number>} The bases by name
+     */
+    getRadixes() {
+        return { ...RADIXES };
+    }
+
+    /**
+     * Sets the programmer mode word size. Results wrap around to this many bits.
+     * @param {number} bits - 8, 16, 32 or 64
+     * @throws {Error} If the word size is not supported
+     * @example
+     * engine.setWordSize(8);
+     * engine.calculate('127 + 1'); // Returns -128n when signed
+     */
+    setWordSize(bits) {
+        if (!WORD_SIZES.includes(bits)) {
+            throw new Error(`Word size must be one of ${WORD_SIZES.join(', ')}`);
+        }
+        this.setProgrammerOption('wordSize', bits);
+    }
+
+    /**
+     * Gets the supported programmer mode word sizes.
+     * @returns {number[]} The word sizes in bits
+     */
+    getWordSizes() {
+        return [...WORD_SIZES];
+    }
+
+    /**
+     * Chooses between signed (two's complement) and unsigned wrap-around in
+     * programmer mode.
+     * @param {boolean} signed - True for signed integers
+     * @example
+     * engine.setSigned(false);
+     * engine.calculate('0 - 1'); // Returns 18446744073709551615n with 64 bits
+     */
+    setSigned(signed) {
+        this.setProgrammerOption('signed', Boolean(signed));
+    }
+
+    /**
+     * Gets the programmer mode settings.
+     * @returns {{wordSize: number, signed: boolean, radix: number}} The settings
      */
-    constructor() {
-        /** @private {Object} Operator definitions with precedence and operations */
-        this.operators = {
-            '+': { precedence: 1, operation: (a, b) => a + b },
-            '-': { precedence: 1, operation: (a, b) => a - b },
-            '*': { precedence: 2, operation: (a, b) => a * b },
-            '/': { precedence: 2, operation: (a, b) => {
-                if (b === 0) throw new Error('Division by zero');
-                return a / b;
-            }}
-        };
+    getProgrammerOptions() {
+        return { ...this.programmer };
     }
 
     /**
-     * Calculates the result of a mathematical expression.
-     * @param {string} expression - The mathematical expression to evaluate
-     * @returns {number} The calculated result
-     * @throws {Error} If the expression is invalid or contains errors
+     * Changes one programmer mode setting, rebuilding the number system if
+     * programmer mode is active.
+     * @private
+     * @param {string} option - 'wordSize', 'signed' or 'radix'
+     * @param {number|boolean} value - The new value
+     */
+    setProgrammerOption(option, value) {
+        this.programmer = { ...this.programmer, [option]: value };
+        if (this.numbers.name === 'programmer') {
+            this.numbers = createProgrammerSystem(this.programmer);
+        }
+    }
+
+    /**
+     * Formats a result so that it can be typed back in.
+     * Programmer mode results are written in the active base, and exact
+     * fractions as fraction literals such as `3⁄4` or `-2 1⁄4`; other values
+     * use their normal string form.
+     * @param {Decimal|Fraction|number|bigint} value - The result
+     * @returns {string} The formatted result
      * @example
-     * engine.calculate('2 + 2'); // Returns 4
-     * engine.calculate('(1 + 2) * 3'); // Returns 9
+     * engine.setRadix('BIN');
+     * engine.formatValue(5n); // Returns '101'
+     * engine.formatValue(Fraction.from('-9/4')); // Returns '-2 1⁄4'
      */
-    calculate(expression) {
-        // Remove any whitespace
-        expression = expression.replace(/\s+/g, '');
-        
-        // Validate expression
-        if (!/^[0-9+\-*/.()]+$/.test(expression)) {
-            throw new Error('Invalid characters in expression');
+    formatValue(value) {
+        if (value instanceof Fraction && !value.approximate && !value.isInteger()) {
+            const { whole, numerator, denominator } = value.abs().toMixed();
+            const sign = value.isNegative() ? '-' : '';
+            return whole === 0n
+                ? `${sign}${numerator}\u2044${denominator}`
+                : `${sign}${whole} ${numerator}\u2044${denominator}`;
         }
+        if (typeof value !== 'bigint') {
+            return String(value);
+        }
+        const digits = (value < 0n ? -value : value).toString(this.programmer.radix).toUpperCase();
+        return value < 0n ? `-${digits}` : digits;
+    }
 
-        // Convert to Reverse Polish Notation (RPN)
-        const rpn = this.toRPN(expression);
-        
-        // Evaluate RPN
-        return this.evaluateRPN(rpn);
+    /**
+     * Flips one bit of a programmer mode value.
+     * @param {bigint} value - The value
+     * @param {number} index - The bit to flip, 0 being the least significant
+     * @returns {bigint} The value with the bit flipped, wrapped to the word size
+     * @throws {Error} If programmer mode is not active
+     * @example
+     * engine.toggleBit(5n, 1); // Returns 7n
+     */
+    toggleBit(value, index) {
+        return this.bitwise('xor', value, this.bitwise('shiftLeft', 1n, BigInt(index)));
+    }
+
+    /**
+     * Sets the angle unit used by trigonometric functions.
+     * @param {string} mode - One of 'DEG', 'RAD' or 'GRAD'
+     * @throws {Error} If the mode is not supported
+     * @example
+     * engine.setAngleMode('RAD');
+     * engine.calculate('sin(pi / 2)'); // Returns 1
+     */
+    setAngleMode(mode) {
+        if (!ANGLE_MODES[mode]) {
+            throw new Error(`Unknown angle mode '${mode}'`);
+        }
+        this.angleMode = mode;
+    }
+
+    /**
+     * Gets the supported angle modes.
+     * @returns {string[]} The angle mode names
+     */
+    getAngleModes() {
+        return Object.keys(ANGLE_MODES);
+    }
+
+    /**
+     * Splits an expression into tokens.
+     * Numbers may be written in plain or scientific notation (e.g. `1.5e-7`),
+     * which covers every value produced by `Display.formatNumber`, or as
+     * fractions with the fraction slash (e.g. `3⁄4` or `2 1⁄4`). Complex mode
+     * adds imaginary literals such as `2i`. In programmer mode numbers are
+     * integers in the active base instead.
+     * @param {string} expression - The expression to tokenize
+     * @param {number} [radix] - Base for programmer mode literals, defaults to the active base
+     * @returns {Array<{type: string, value: (number|string), start: number, end: number}>} The tokens
+     * @throws {ExpressionError} If the expression contains characters that cannot be tokenized
+     * @example
+     * engine.tokenize('2*-3');
+     * // Returns number 2, operator '*', operator '-', number 3
+     */
+    tokenize(expression, radix = this.programmer.radix) {
+        const tokens = [];
+        let position = 0;
+        const isProgrammer = this.numbers.name === 'programmer';
+        const isComplex = this.numbers.name === 'complex';
+        const numberPattern = isProgrammer ? INTEGER_PATTERNS[radix] : NUMBER_PATTERN;
+
+        while (position < expression.length) {
+            const char = expression[position];
+
+            if (/\s/.test(char)) {
+                position++;
+                continue;
+            }
+
+            FRACTION_PATTERN.lastIndex = position;
+            const fraction = isProgrammer ? null : FRACTION_PATTERN.exec(expression);
+            if (fraction) {
+                // The literal is a single value, so `2 1⁄4` binds tighter than any operator
+                const [, whole = '0', numerator, denominator] = fraction;
+                const part = this.numbers.divide(this.numbers.parse(numerator), this.numbers.parse(denominator));
+                tokens.push({
+                    type: 'number',
+                    value: this.numbers.add(this.numbers.parse(whole), part),
+                    start: position,
+                    end: position + fraction[0].length
+                });
+                position += fraction[0].length;
+                continue;
+            }
+
+            IMAGINARY_PATTERN.lastIndex = position;
+            const imaginary = isComplex ? IMAGINARY_PATTERN.exec(expression) : null;
+            if (imaginary) {
+                tokens.push({
+                    type: 'number',
+                    value: this.numbers.parse(imaginary[0]),
+                    start: position,
+                    end: position + imaginary[0].length
+                });
+                position += imaginary[0].length;
+                continue;
+            }
+
+            numberPattern.lastIndex = position;
+            const number = numberPattern.exec(expression);
+            if (number) {
+                tokens.push({
+                    type: 'number',
+                    value: this.numbers.parse(number[0], radix),
+                    start: position,
+                    end: position + number[0].length
+                });
+                position += number[0].length;
+                continue;
+            }
+
+            IDENTIFIER_PATTERN.lastIndex = position;
+            const identifier = IDENTIFIER_PATTERN.exec(expression);
+            if (identifier) {
+                tokens.push({
+                    // Word operators such as `xor` are spelled like names
+                    type: this.isOperatorSymbol(identifier[0]) ? 'operator' : 'identifier',
+                    value: identifier[0],
+                    start: position,
+                    end: position + identifier[0].length
+                });
+                position += identifier[0].length;
+                continue;
+            }
+
+            const symbol = this.matchOperatorSymbol(expression, position);
+            if (symbol) {
+                tokens.push({ type: 'operator', value: symbol, start: position, end: position + symbol.length });
+                position += symbol.length;
+                continue;
+            }
+
+            if (isProgrammer && char === '.') {
+                throw new ExpressionError('NOT_AN_INTEGER', 'Programmer mode only supports integers', {
+                    start: position,
+                    end: position + 1,
+                    suggestion: 'Remove the fractional part'
+                });
+            }
+            if (isProgrammer && /\d/.test(char)) {
+                // A number that did not match has a digit from another base
+                const word = expression.slice(position).match(/^\w+/)[0];
+                const offset = [...word].findIndex((c) => /\d/.test(c) && Number.isNaN(parseInt(c, radix)));
+                if (offset !== -1) {
+                    throw new ExpressionError('INVALID_DIGIT', `Digit '${word[offset]}' is not valid in base ${radix}`, {
+                        start: position + offset,
+                        end: position + offset + 1,
+                        suggestion: 'Switch to a larger base'
+                    });
+                }
+                // Otherwise the number runs into a name, as in `12a`
+                throw new ExpressionError('INVALID_NUMBER', `Invalid number '${word}'`, {
+                    start: position,
+                    end: position + word.length,
+                    suggestion: `Use only digits of base ${radix}`
+                });
+            }
+
+            if (char === '(' || char === ')') {
+                tokens.push({ type: 'paren', value: char, start: position, end: position + 1 });
+            } else if (char === ',') {
+                tokens.push({ type: 'comma', value: char, start: position, end: position + 1 });
+            } else if (char === '=') {
+                tokens.push({ type: 'assign', value: char, start: position, end: position + 1 });
+            } else {
+                throw new ExpressionError('INVALID_CHARACTER', `Invalid character '${char}'`, {
+                    start: position,
+                    end: position + 1,
+                    suggestion: 'Remove it'
+                });
+            }
+            position++;
+        }
+
+        return tokens;
     }
 
     /**
      * Converts an infix expression to Reverse Polish Notation (RPN).
-     * Uses the Shunting Yard algorithm.
+     * Uses the Shunting Yard algorithm. A `+` or `-` that does not follow an
+     * operand is read as a unary sign, so `-5+3`, `2*-3` and `-(4+1)` are valid.
+     * Unless implicit multiplication is off, a name or '(' right after an
+     * operand, or a number right after ')', multiplies it: `2(3+4)`,
+     * `(a+b)(a-b)`, `3pi` and `(1+2)3`. A name followed by '(' stays a
+     * function call, and `2 3` stays an error.
+     * Every entry keeps the `start` and `end` of the text it came from. Numbers
+     * are emitted as `{ type: 'number', value }` entries, operators as
+     * `{ type: 'operator', symbol }`, function calls as `{ type: 'function', name, argc }`
+     * and constants or variables as `{ type: 'identifier', name }`.
      * @private
-     * @param {string} expression - The infix expression to convert
-     * @returns {Array} The expression in RPN format
-     * @throws {Error} If the expression contains mismatched parentheses
+     * @param {string|Array<Object>} expression - The infix expression or its tokens
+     * @returns {Array<Object>} The expression in RPN format
+     * @throws {ExpressionError} If the expression contains mismatched parentheses,
+     *     missing operands or operators, or unknown functions
      */
     toRPN(expression) {
         const output = [];
         const operators = [];
+        const tokens = typeof expression === 'string' ? this.tokenize(expression) : expression;
+
+        // Argument counters for the function calls that are currently open
+        const calls = [];
+
+        // True while the next token has to be a number, a '(' or a unary sign
+        let expectOperand = true;
+
+        // An operand that follows another one, as in 3pi, multiplies it
+        const multiplyImplicitly = (token) => {
+            if (!this.implicitMultiplication) {
+                throw this.missingOperator(token);
+            }
+            const operator = this.operators[IMPLICIT_MULTIPLY];
+            while (this.shouldPopOperator(operators[operators.length - 1], operator)) {
+                output.push(operators.pop());
+            }
+            operators.push({ type: 'operator', symbol: IMPLICIT_MULTIPLY, start: token.start, end: token.end });
+            expectOperand = true;
+        };
+
+        if (!tokens.length) {
+            throw new ExpressionError('EMPTY_EXPRESSION', 'Empty expression', {
+                suggestion: 'Type a number or an expression'
+            });
+        }
         
-        // Split the expression into tokens
-        const tokens = expression.match(/(\d*\.?\d+|[+\-*/()])/g) || [];
-        
-        for (const token of tokens) {
-            if (/^\d*\.?\d+$/.test(token)) {
-                // If token is a number, add to output
-                output.push(parseFloat(token));
-            } else if (token === '(') {
+        tokens.forEach((token, index) => {
+            const range = { start: token.start, end: token.end };
+
+            if (token.type === 'number') {
+                // If token is a number, add to output; `2 3` reads as a typo, `(1+2)3` as a product
+                if (!expectOperand && tokens[index - 1]?.value !== ')') {
+                    throw this.missingOperator(token);
+                }
+                if (!expectOperand) {
+                    multiplyImplicitly(token);
+                }
+                output.push({ type: 'number', value: token.value, ...range });
+                expectOperand = false;
+            } else if (token.type === 'identifier') {
+                if (!expectOperand) {
+                    multiplyImplicitly(token);
+                }
+                if (tokens[index + 1]?.value === '(') {
+                    // A name followed by '(' is a function call
+                    if (!this.hasFunction(token.value)) {
+                        throw new ExpressionError('UNKNOWN_FUNCTION', `Unknown function '${token.value}'`, {
+                            ...range,
+                            suggestion: `Define it first, e.g. ${token.value}(x) = x * 2`
+                        });
+                    }
+                    operators.push({ type: 'function', name: token.value, argc: 0, ...range });
+                } else {
+                    output.push({ type: 'identifier', name: token.value, ...range });
+                    expectOperand = false;
+                }
+            } else if (token.value === '(') {
                 // If token is opening parenthesis, push to operators stack
+                if (!expectOperand) {
+                    multiplyImplicitly(token);
+                }
+                const call = operators[operators.length - 1];
+                calls.push(call?.type === 'function' ? call : null);
                 operators.push(token);
-            } else if (token === ')') {
+            } else if (token.value === ')') {
                 // If token is closing parenthesis, pop operators until matching '('
-                while (operators.length && operators[operators.length - 1] !== '(') {
+                if (!calls.length) {
+                    throw new ExpressionError('UNMATCHED_PARENTHESIS', "Unmatched ')'", {
+                        ...range,
+                        suggestion: "Remove it or add '(' before it"
+                    });
+                }
+                const call = calls.pop();
+                if (expectOperand && !(call && call.argc === 0 && tokens[index - 1]?.value === '(')) {
+                    throw this.missingOperand(tokens, index);
+                }
+                while (operators[operators.length - 1].type !== 'paren') {
+                    output.push(operators.pop());
+                }
+                operators.pop();
+                if (call) {
+                    // Count the last argument unless the call was empty
+                    if (!expectOperand) {
+                        call.argc++;
+                    }
+                    // The call covers its arguments, up to the ')'
+                    call.end = token.end;
                     output.push(operators.pop());
                 }
-                if (operators.pop() !== '(') {
-                    throw new Error('Mismatched parentheses');
+                expectOperand = false;
+            } else if (token.type === 'comma') {
+                // A comma separates function arguments
+                const call = calls[calls.length - 1];
+                if (!call) {
+                    throw new ExpressionError('MISPLACED_COMMA', "Unexpected ','", {
+                        ...range,
+                        suggestion: 'Commas only separate function arguments'
+                    });
                 }
+                if (expectOperand) {
+                    throw this.missingOperand(tokens, index);
+                }
+                while (operators[operators.length - 1].type !== 'paren') {
+                    output.push(operators.pop());
+                }
+                call.argc++;
+                expectOperand = true;
+            } else if (token.type === 'assign') {
+                // Assignments are only valid at the start of an expression
+                throw new ExpressionError('MISPLACED_ASSIGNMENT', "Unexpected '='", {
+                    ...range,
+                    suggestion: 'Only a name at the start can be assigned, e.g. x = 5'
+                });
+            } else if (expectOperand) {
+                // A sign in operand position is a unary operator
+                const symbol = `u${token.value}`;
+                if (!this.unaryOperators[symbol]) {
+                    throw this.missingOperand(tokens, index);
+                }
+                operators.push({ type: 'operator', symbol, ...range });
+            } else if (this.postfixOperators[token.value]) {
+                // Postfix operators bind tighter than anything else, so they
+                // apply straight away to the operand before them
+                output.push({ type: 'operator', symbol: token.value, ...range });
             } else {
-                // If token is an operator
-                const currentOperator = this.operators[token];
-                while (
-                    operators.length && 
-                    operators[operators.length - 1] !== '(' && 
-                    this.operators[operators[operators.length - 1]]?.precedence >= currentOperator.precedence
-                ) {
+                // If token is a binary operator
+                const currentOperator = this.operators[token.value];
+                if (!currentOperator) {
+                    // Only a prefix operator such as '~' is left
+                    throw this.missingOperator(token);
+                }
+                while (this.shouldPopOperator(operators[operators.length - 1], currentOperator)) {
                     output.push(operators.pop());
                 }
-                operators.push(token);
+                operators.push({ type: 'operator', symbol: token.value, ...range });
+                expectOperand = true;
             }
+        });
+
+        if (expectOperand) {
+            throw this.missingOperand(tokens, tokens.length);
         }
 
         // Pop remaining operators
         while (operators.length) {
             const operator = operators.pop();
-            if (operator === '(') {
-                throw new Error('Mismatched parentheses');
+            if (operator.type === 'paren') {
+                throw new ExpressionError('UNCLOSED_PARENTHESIS', "Missing ')' for '('", {
+                    start: operator.start,
+                    end: operator.end,
+                    suggestion: "Add ')' to close it"
+                });
             }
             output.push(operator);
         }
@@ -111,43 +1301,469 @@ export class CalculatorEngine {
         return output;
     }
 
+    /**
+     * Creates the error for two operands in a row, such as `2 3`, or `2 (1)`
+     * without implicit multiplication.
+     * @private
+     * @param {Object} token - The token that follows an operand
+     * @returns {ExpressionError} The error, pointing at the token
+     */
+    missingOperator(token) {
+        const text = token.type === 'number' ? this.formatValue(token.value) : token.value;
+        return new ExpressionError('MISSING_OPERATOR', `Missing operator before '${text}'`, {
+            start: token.start,
+            end: token.end,
+            suggestion: `Add an operator such as * before '${text}'`
+        });
+    }
+
+    /**
+     * Creates the error for a missing operand, such as in `2 *` or `(+)`.
+     * Points at the operator before the gap, or at the token after it when
+     * nothing but '(' comes before.
+     * @private
+     * @param {Array<Object>} tokens - The expression tokens
+     * @param {number} index - Index of the token where an operand was expected
+     * @returns {ExpressionError} The error
+     */
+    missingOperand(tokens, index) {
+        const previous = tokens[index - 1];
+        const token = !previous || (previous.value === '(' && tokens[index]) ? tokens[index] : previous;
+        const where = token === previous ? 'after' : 'before';
+        return new ExpressionError('MISSING_OPERAND', `Missing operand ${where} '${token.value}'`, {
+            start: token.start,
+            end: token.end,
+            suggestion: `Add a number or name ${where} '${token.value}'`
+        });
+    }
+
+    /**
+     * Decides whether the operator on top of the stack is applied before
+     * pushing a new binary operator.
+     * @private
+     * @param {Object|undefined} top - The entry on top of the operator stack
+     * @param {Object} current - The incoming binary operator definition
+     * @returns {boolean} True if the top operator has to be moved to the output
+     */
+    shouldPopOperator(top, current) {
+        if (top?.type !== 'operator') {
+            return false;
+        }
+        const precedence = this.getOperator(top.symbol).precedence;
+        return current.associativity === 'right'
+            ? precedence > current.precedence
+            : precedence >= current.precedence;
+    }
+
     /**
      * Evaluates an expression in Reverse Polish Notation.
+     * An error raised while evaluating an entry points at that entry, so
+     * `1/0` points at the '/', and an error in a user function points at the call.
      * @private
-     * @param {Array} rpn - The expression in RPN format
-     * @returns {number} The calculated result
-     * @throws {Error} If the expression is invalid
+     * @param {Array<Object>} rpn - The expression in RPN format
+     * @param {Map<string, (Decimal|number)>} [scope] - Parameter values of a user function call
+     * @returns {Decimal|number} The calculated result
+     * @throws {ExpressionError} If the expression is invalid
      */
-    evaluateRPN(rpn) {
+    evaluateRPN(rpn, scope = null) {
         const stack = [];
         
-        for (const token of rpn) {
-            if (typeof token === 'number') {
-                stack.push(token);
-            } else {
-                const b = stack.pop();
-                const a = stack.pop();
-                
-                if (typeof a === 'undefined' || typeof b === 'undefined') {
-                    throw new Error('Invalid expression');
-                }
-                
-                const operator = this.operators[token];
-                if (!operator) {
-                    throw new Error('Invalid operator');
-                }
-                
-                stack.push(operator.operation(a, b));
+        for (const entry of rpn) {
+            try {
+                stack.push(this.evaluateEntry(entry, stack, scope));
+            } catch (error) {
+                throw ExpressionError.from(error).at(entry.start, entry.end);
             }
         }
 
         if (stack.length !== 1) {
-            throw new Error('Invalid expression');
+            throw new ExpressionError('INVALID_EXPRESSION', 'Invalid expression');
+        }
+
+        try {
+            return this.numbers.normalize(this.resolvePercent(stack[0]));
+        } catch (error) {
+            throw ExpressionError.from(error);
+        }
+    }
+
+    /**
+     * Evaluates one RPN entry, taking its operands from the stack.
+     * @private
+     * @param {Object} entry - The RPN entry
+     * @param {Array<Decimal|number|Percentage>} stack - The values computed so far
+     * @param {Map<string, (Decimal|number)>} [scope] - Parameter values of a user function call
+     * @returns {Decimal|number|Percentage} The value of the entry
+     * @throws {Error} If the operation fails or operands are missing
+     */
+    evaluateEntry(entry, stack, scope) {
+        if (entry.type === 'number') {
+            return entry.value;
+        }
+
+        if (entry.type === 'identifier') {
+            return scope?.has(entry.name) ? scope.get(entry.name) : this.resolveIdentifier(entry.name);
+        }
+
+        if (entry.type === 'function') {
+            const args = stack.splice(stack.length - entry.argc).map((arg) => this.resolvePercent(arg));
+            return this.callFunction(entry.name, args);
+        }
+
+        const operator = this.getOperator(entry.symbol);
+        if (!operator) {
+            throw new Error('Invalid operator');
+        }
+
+        if (operator.unary) {
+            const a = stack.pop();
+            if (typeof a === 'undefined') {
+                throw new ExpressionError('INVALID_EXPRESSION', 'Invalid expression');
+            }
+            return operator.operation(this.resolvePercent(a));
+        }
+
+        const b = stack.pop();
+        const a = stack.pop();
+        
+        if (typeof a === 'undefined' || typeof b === 'undefined') {
+            throw new ExpressionError('INVALID_EXPRESSION', 'Invalid expression');
+        }
+        
+        // `a + b%` and `a - b%` take b percent of a, like a desk calculator
+        const left = this.resolvePercent(a);
+        const right = b instanceof Percentage && operator.percentOfLeft
+            ? this.numbers.multiply(left, b.value)
+            : this.resolvePercent(b);
+        return operator.operation(left, right);
+    }
+
+    /**
+     * Turns a percentage into its plain value (10% becomes 0.1).
+     * @private
+     * @param {Decimal|number|Percentage} value - The value
+     * @returns {Decimal|number} The plain value
+     */
+    resolvePercent(value) {
+        return value instanceof Percentage ? value.value : value;
+    }
+
+    /**
+     * Looks up the value of a constant or variable.
+     * @private
+     * @param {string} name - The identifier
+     * @returns {Decimal|number} The value
+     * @throws {Error} If the name is not defined
+     */
+    resolveIdentifier(name) {
+        if (this.hasConstant(name)) {
+            return this.constants[name]();
+        }
+        if (!this.variables.has(name)) {
+            if (name === 'ans') {
+                throw new ExpressionError('NO_ANSWER', "No previous result for 'ans'", {
+                    suggestion: 'Calculate something first'
+                });
+            }
+            throw new ExpressionError('UNDEFINED_VARIABLE', `Undefined variable '${name}'`, {
+                suggestion: `Assign it first, e.g. ${name} = 5`
+            });
+        }
+        return this.parseValue(this.variables.get(name));
+    }
+
+    /**
+     * Converts a stored value string back into a value of the active number system.
+     * Stored values are always written in base 10.
+     * @param {string} text - The stored value, e.g. '-0.075' or '1e+21'
+     * @returns {Decimal|number|bigint} The value
+     * @throws {Error} If the value cannot be represented in the active number system
+     * @example
+     * engine.setRadix('HEX');
+     * engine.formatValue(engine.parseValue('255')); // Returns 'FF'
+     */
+    parseValue(text) {
+        return this.evaluateRPN(this.toRPN(this.tokenize(text, 10)));
+    }
+
+    /**
+     * Calls a named function after checking its argument count.
+     * @private
+     * @param {string} name - The function name
+     * @param {Array<Decimal|number>} args - The evaluated arguments
+     * @returns {Decimal|number} The function result
+     * @throws {Error} If the function is unknown, the argument count is wrong
+     *     or the arguments are outside the function's domain
+     */
+    callFunction(name, args) {
+        if (!Object.hasOwn(this.functions, name)) {
+            return this.callUserFunction(name, args);
+        }
+
+        const fn = this.functions[name];
+        if (args.length !== fn.arity) {
+            throw this.wrongArgumentCount(name, fn.params || ['x', 'y', 'z'].slice(0, fn.arity));
+        }
+
+        try {
+            return fn.operation(...args);
+        } catch (error) {
+            throw error.message === 'Invalid argument' ? new Error(`Invalid argument for '${name}'`) : error;
+        }
+    }
+
+    /**
+     * Evaluates a user-defined function with its parameters bound to the arguments.
+     * @private
+     * @param {string} name - The function name
+     * @param {Array<Decimal|number>} args - The evaluated arguments
+     * @returns {Decimal|number} The function result
+     * @throws {Error} If the function is unknown, the argument count is wrong
+     *     or the calls are nested too deeply
+     */
+    callUserFunction(name, args) {
+        const definition = this.userFunctions.get(name);
+        if (!definition) {
+            throw new ExpressionError('UNKNOWN_FUNCTION', `Unknown function '${name}'`);
+        }
+
+        const { params, body } = definition;
+        if (args.length !== params.length) {
+            throw this.wrongArgumentCount(name, params);
+        }
+        if (this.callDepth >= MAX_CALL_DEPTH) {
+            throw new ExpressionError('NESTED_TOO_DEEPLY', `Function '${name}' is nested too deeply`);
+        }
+
+        if (!this.compiledBodies.has(body)) {
+            this.compiledBodies.set(body, this.toRPN(body));
+        }
+
+        this.callDepth++;
+        try {
+            return this.evaluateRPN(this.compiledBodies.get(body), new Map(params.map((param, i) => [param, args[i]])));
+        } finally {
+            this.callDepth--;
+        }
+    }
+
+    /**
+     * Creates the error for a call with the wrong number of arguments.
+     * @private
+     * @param {string} name - The function name
+     * @param {string[]} params - Names for the expected arguments
+     * @returns {ExpressionError} The error
+     */
+    wrongArgumentCount(name, params) {
+        return new ExpressionError(
+            'WRONG_ARGUMENT_COUNT',
+            `Function '${name}' expects ${params.length} argument${params.length === 1 ? '' : 's'}`,
+            { suggestion: `Call it as ${name}(${params.join(', ')})` }
+        );
+    }
+
+    /**
+     * Checks whether a name is a built-in constant.
+     * @private
+     * @param {string} name - The name
+     * @returns {boolean} True if the name is a constant
+     */
+    hasConstant(name) {
+        return Object.hasOwn(this.constants, name);
+    }
+
+    /**
+     * Checks whether a name is a built-in or user-defined function.
+     * @private
+     * @param {string} name - The name
+     * @returns {boolean} True if the name is a function
+     */
+    hasFunction(name) {
+        return Object.hasOwn(this.functions, name) || this.userFunctions.has(name);
+    }
+
+    /**
+     * Applies a bitwise operation of the active number system.
+     * @private
+     * @param {string} name - 'and', 'or', 'xor', 'not', 'shiftLeft' or 'shiftRight'
+     * @param {...bigint} args - The operands
+     * @returns {bigint} The result
+     * @throws {Error} If the active number system has no bitwise operations
+     */
+    bitwise(name, ...args) {
+        if (!this.numbers[name]) {
+            throw new ExpressionError('WRONG_NUMBER_MODE', 'Bitwise operators need programmer mode', {
+                suggestion: 'Choose Programmer in the keypad menu'
+            });
+        }
+        return this.numbers[name](...args);
+    }
+
+    /**
+     * Applies a complex number operation of the active number system.
+     * @private
+     * @param {string} name - 're', 'im', 'conj' or 'arg'
+     * @param {Complex} value - The operand
+     * @returns {Complex|number} The result, a number in radians for 'arg'
+     * @throws {Error} If the active number system is not complex
+     */
+    complex(name, value) {
+        if (!this.numbers[name]) {
+            throw new ExpressionError('WRONG_NUMBER_MODE', `'${name}' needs complex mode`, {
+                suggestion: 'Choose Complex in the Numbers menu'
+            });
+        }
+        return this.numbers[name](value);
+    }
+
+    /**
+     * Builds a complex number from polar input, `magnitude∠angle`.
+     * The angle is read in the current angle mode, and quarter turns are
+     * exact, so 5∠90 is 5i in degrees.
+     * @private
+     * @param {Complex} magnitude - The magnitude
+     * @param {Complex} angle - The angle in the current unit
+     * @returns {Complex} The complex number
+     * @throws {Error} If the active number system is not complex
+     */
+    polar(magnitude, angle) {
+        if (this.numbers.name !== 'complex') {
+            throw new ExpressionError('WRONG_NUMBER_MODE', 'Polar input needs complex mode', {
+                suggestion: 'Choose Complex in the Numbers menu'
+            });
+        }
+        const direction = this.numbers.add(
+            this.trigonometric('cos', angle),
+            this.numbers.multiply(this.numbers.parse('i'), this.trigonometric('sin', angle))
+        );
+        return this.numbers.multiply(magnitude, direction);
+    }
+
+    /**
+     * Looks up an operator by its RPN symbol.
+     * @private
+     * @param {string} symbol - The operator symbol
+     * @returns {Object|undefined} The operator definition
+     */
+    getOperator(symbol) {
+        return this.operators[symbol] || this.unaryOperators[symbol] || this.postfixOperators[symbol];
+    }
+
+    /**
+     * Checks whether a symbol is an infix, prefix or postfix operator.
+     * @private
+     * @param {string} symbol - The symbol as written in an expression
+     * @returns {boolean} True if the symbol is an operator
+     */
+    isOperatorSymbol(symbol) {
+        return Object.hasOwn(this.operators, symbol) || Object.hasOwn(this.postfixOperators, symbol) ||
+            Object.hasOwn(this.unaryOperators, `u${symbol}`);
+    }
+
+    /**
+     * Tells how an operator symbol is used, e.g. to check input as it is typed.
+     * @param {string} symbol - The symbol as written in an expression
+     * @returns {string|null} 'infix' for a binary operator such as `*`,
+     *     'sign' for one that can also be a prefix such as `-`, 'prefix' for
+     *     `~`, 'postfix' for `!`, or null if the symbol is not an operator
+     * @example
+     * engine.getOperatorKind('^'); // Returns 'infix'
+     * engine.getOperatorKind('%'); // Returns 'postfix'
+     */
+    getOperatorKind(symbol) {
+        const isPrefix = Object.hasOwn(this.unaryOperators, `u${symbol}`);
+        if (Object.hasOwn(this.operators, symbol)) {
+            return isPrefix ? 'sign' : 'infix';
+        }
+        if (Object.hasOwn(this.postfixOperators, symbol)) {
+            return 'postfix';
+        }
+        return isPrefix ? 'prefix' : null;
+    }
+
+    /**
+     * Finds the punctuation operator at a position of an expression. The
+     * longest symbol wins, so `<<` is not read as two `<`.
+     * @private
+     * @param {string} expression - The expression
+     * @param {number} position - The position to look at
+     * @returns {string|null} The operator symbol, or null if none starts there
+     */
+    matchOperatorSymbol(expression, position) {
+        const symbols = [
+            ...Object.keys(this.operators),
+            ...Object.keys(this.postfixOperators),
+            ...Object.keys(this.unaryOperators).map((key) => key.slice(1))
+        ];
+        return symbols
+            .filter((symbol) => !/^[A-Za-z_]/.test(symbol) && expression.startsWith(symbol, position))
+            .reduce((longest, symbol) => (symbol.length > (longest?.length || 0) ? symbol : longest), null);
+    }
+
+    /**
+     * Converts an angle in the current angle mode to radians.
+     * @private
+     * @param {number} angle - The angle in the current unit
+     * @returns {number} The angle in radians
+     */
+    toRadians(angle) {
+        return angle * (2 * Math.PI) / ANGLE_MODES[this.angleMode];
+    }
+
+    /**
+     * Converts an angle in radians to the current angle mode.
+     * @private
+     * @param {number} radians - The angle in radians
+     * @returns {number} The angle in the current unit
+     */
+    fromRadians(radians) {
+        return radians * ANGLE_MODES[this.angleMode] / (2 * Math.PI);
+    }
+
+    /**
+     * Applies a floating-point function to a value of the active number system.
+     * The result is rounded to 15 significant digits, which is all a double
+     * can guarantee, before it is converted back.
+     * @private
+     * @param {function(number): number} fn - The function to apply
+     * @param {Decimal|number} value - The argument
+     * @returns {Decimal|number} The result
+     * @throws {Error} If the argument is outside the function's domain
+     */
+    real(fn, value) {
+        const result = fn(this.numbers.toNumber(value));
+        if (Number.isNaN(result)) {
+            throw new Error('Invalid argument');
+        }
+        if (!Number.isFinite(result)) {
+            throw new Error('Result out of range');
+        }
+        return this.numbers.fromNumber(parseFloat(result.toPrecision(15)));
+    }
+
+    /**
+     * Evaluates sin, cos or tan in the current angle mode.
+     * Multiples of a quarter turn are handled exactly, so sin(180) is 0 in
+     * degrees and tan(90) is an error instead of a huge number.
+     * @private
+     * @param {string} name - 'sin', 'cos' or 'tan'
+     * @param {Decimal|number} value - The angle in the current unit
+     * @returns {Decimal|number} The result
+     * @throws {Error} If tan is evaluated at an odd multiple of a quarter turn
+     */
+    trigonometric(name, value) {
+        const angle = this.numbers.toNumber(value);
+        const quarters = angle / (ANGLE_MODES[this.angleMode] / 4);
+
+        if (Number.isInteger(quarters)) {
+            const exact = QUARTER_TURN_VALUES[name][((quarters % 4) + 4) % 4];
+            if (Number.isNaN(exact)) {
+                throw new Error('Invalid argument');
+            }
+            return this.numbers.fromNumber(exact);
         }
 
-        // Format the result to avoid floating point issues
-        const result = stack[0];
-        return Number.isInteger(result) ? result : parseFloat(result.toFixed(8));
+        return this.real((n) => Math[name](this.toRadians(n)), value);
     }
 
     /**
@@ -0,0 +1,205 @@
+/**
+ * @fileoverview Complex number type.
+ * Values are stored as a pair of floating-point numbers, the real and the
+ * imaginary part.
+ */
+
+/**
+ * Largest integer exponent computed by repeated multiplication. Larger
+ * exponents go through the polar form.
+ * @type {number}
+ */
+const MAX_EXACT_EXPONENT = 1024;
+
+/**
+ * Complex class representing a number with a real and an imaginary part.
+ * Instances are immutable; every operation returns a new Complex.
+ * @class Complex
+ * @example
+ * const z = new Complex(3, -2);
+ * z.multiply(z.conjugate()).toString(); // Returns '13'
+ * Complex.fromPolar(2, Math.PI).toString(); // Returns '-2+2.4492935982947064e-16i'
+ */
+export class Complex {
+    /**
+     * Creates a new Complex instance.
+     * @constructor
+     * @param {number} re - The real part
+     * @param {number} [im=0] - The imaginary part
+     */
+    constructor(re, im = 0) {
+        /** @private {number} The real part */
+        this.re = re;
+
+        /** @private {number} The imaginary part */
+        this.im = im;
+    }
+
+    /**
+     * Creates a Complex from its magnitude and angle.
+     * @param {number} magnitude - The distance from zero
+     * @param {number} angle - The angle in radians, counterclockwise from the positive real axis
+     * @returns {Complex} The complex number
+     */
+    static fromPolar(magnitude, angle) {
+        return new Complex(magnitude * Math.cos(angle), magnitude * Math.sin(angle));
+    }
+
+    /**
+     * Adds another complex number.
+     * @param {Complex} other - The addend
+     * @returns {Complex} The sum
+     */
+    add(other) {
+        return new Complex(this.re + other.re, this.im + other.im);
+    }
+
+    /**
+     * Subtracts another complex number.
+     * @param {Complex} other - The subtrahend
+     * @returns {Complex} The difference
+     */
+    subtract(other) {
+        return new Complex(this.re - other.re, this.im - other.im);
+    }
+
+    /**
+     * Multiplies by another complex number.
+     * @param {Complex} other - The multiplier
+     * @returns {Complex} The product
+     */
+    multiply(other) {
+        return new Complex(
+            this.re * other.re - this.im * other.im,
+            this.re * other.im + this.im * other.re
+        );
+    }
+
+    /**
+     * Divides by another complex number.
+     * @param {Complex} other - The divisor
+     * @returns {Complex} The quotient
+     * @throws {Error} If the divisor is zero
+     */
+    divide(other) {
+        if (other.isZero()) {
+            throw new Error('Division by zero');
+        }
+        const denominator = other.re * other.re + other.im * other.im;
+        return new Complex(
+            (this.re * other.re + this.im * other.im) / denominator,
+            (this.im * other.re - this.re * other.im) / denominator
+        );
+    }
+
+    /**
+     * Raises the number to a complex power, using the principal value.
+     * Integer powers are computed by repeated multiplication.
+     * @param {Complex} exponent - The exponent
+     * @returns {Complex} The power
+     * @throws {Error} If zero is raised to a power with a non-positive real part
+     * @example
+     * new Complex(0, 1).pow(new Complex(2)).toString(); // Returns '-1'
+     */
+    pow(exponent) {
+        if (exponent.isReal() && Number.isInteger(exponent.re) && Math.abs(exponent.re) <= MAX_EXACT_EXPONENT) {
+            if (this.isZero() && exponent.re < 0) {
+                throw new Error('Division by zero');
+            }
+            // Square-and-multiply
+            let result = new Complex(1);
+            let base = this;
+            for (let n = Math.abs(exponent.re); n > 0; n = Math.floor(n / 2)) {
+                if (n % 2 === 1) result = result.multiply(base);
+                base = base.multiply(base);
+            }
+            return exponent.re < 0 ? new Complex(1).divide(result) : result;
+        }
+
+        if (this.isZero()) {
+            if (exponent.re > 0) return new Complex(0);
+            throw new Error('Division by zero');
+        }
+        // z^w = e^(w·ln z)
+        const logarithm = new Complex(Math.log(this.abs()), this.arg()).multiply(exponent);
+        return Complex.fromPolar(Math.exp(logarithm.re), logarithm.im);
+    }
+
+    /**
+     * Computes the principal square root, the one with a non-negative real part.
+     * @returns {Complex} The square root
+     * @example
+     * new Complex(-4).sqrt().toString(); // Returns '2i'
+     */
+    sqrt() {
+        const magnitude = this.abs();
+        const re = Math.sqrt((magnitude + this.re) / 2);
+        const im = Math.sqrt((magnitude - this.re) / 2);
+        return new Complex(re, this.im < 0 ? -im : im);
+    }
+
+    /**
+     * Negates the number.
+     * @returns {Complex} The negated value
+     */
+    negate() {
+        return new Complex(-this.re, -this.im);
+    }
+
+    /**
+     * Gets the complex conjugate, which has the opposite imaginary part.
+     * @returns {Complex} The conjugate
+     */
+    conjugate() {
+        return new Complex(this.re, -this.im);
+    }
+
+    /**
+     * Gets the magnitude (modulus).
+     * @returns {number} The distance from zero
+     */
+    abs() {
+        return Math.hypot(this.re, this.im);
+    }
+
+    /**
+     * Gets the argument (phase).
+     * @returns {number} The angle in radians, from -π to π
+     */
+    arg() {
+        // Adding 0 turns -0 into 0, so -8 (which is -8-0i) has the angle π, not -π
+        return Math.atan2(this.im + 0, this.re);
+    }
+
+    /**
+     * Checks if the number is zero.
+     * @returns {boolean} True if both parts are zero
+     */
+    isZero() {
+        return this.re === 0 && this.im === 0;
+    }
+
+    /**
+     * Checks if the number is real.
+     * @returns {boolean} True if the imaginary part is zero
+     */
+    isReal() {
+        return this.im === 0;
+    }
+
+    /**
+     * Formats the number in rectangular form, e.g. '3-2i', '-i' or '4'.
+     * The result can be typed back in complex mode.
+     * @returns {string} The number as a string
+     */
+    toString() {
+        if (this.im === 0) {
+            return String(this.re);
+        }
+        const imaginary = `${Math.abs(this.im) === 1 ? '' : Math.abs(this.im)}i`;
+        if (this.re === 0) {
+            return this.im < 0 ? `-${imaginary}` : imaginary;
+        }
+        return `${this.re}${this.im < 0 ? '-' : '+'}${imaginary}`;
+    }
+}
@@ -0,0 +1,549 @@
+/**
+ * @fileoverview Arbitrary-precision decimal number type.
+ * Values are stored as a BigInt coefficient and a power-of-ten exponent, so
+ * decimal fractions such as 0.1 are represented exactly.
+ */
+
+/**
+ * Matches a decimal literal in plain or scientific notation.
+ * @type {RegExp}
+ */
+const DECIMAL_PATTERN = /^([+-])?(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/;
+
+/**
+ * Returns 10 raised to a non-negative integer power as a BigInt.
+ * @param {number} n - The exponent
+ * @returns {bigint} 10^n
+ */
+function pow10(n) {
+    return 10n ** BigInt(n);
+}
+
+/**
+ * Counts the decimal digits of a BigInt, ignoring its sign.
+ * @param {bigint} n - The number
+ * @returns {number} The number of digits
+ */
+function digitCount(n) {
+    return (n < 0n ? -n : n).toString().length;
+}
+
+/**
+ * Returns the position of the leading digit of a non-zero Decimal, so that
+ * 10^(m - 1) <= |value| < 10^m.
+ * @param {Decimal} value - The number
+ * @returns {number} m
+ */
+function magnitude(value) {
+    return digitCount(value.coefficient) + value.exponent;
+}
+
+/**
+ * Computes the integer square root of a non-negative BigInt.
+ * @param {bigint} n - The radicand
+ * @returns {bigint} floor(sqrt(n))
+ */
+function integerSqrt(n) {
+    if (n < 2n) {
+        return n;
+    }
+    // Newton's method, starting from a power of two above the root
+    let x = 1n << BigInt(Math.ceil(n.toString(2).length / 2));
+    while (true) {
+        const next = (x + n / x) >> 1n;
+        if (next >= x) {
+            return x;
+        }
+        x = next;
+    }
+}
+
+/**
+ * Decimal class representing an exact base-10 number.
+ * Instances are immutable; every operation returns a new Decimal.
+ * Operations that can produce non-terminating results take a precision in
+ * significant digits and round half to even.
+ * @class Decimal
+ * @example
+ * const a = Decimal.from('0.1');
+ * a.add(Decimal.from('0.2')).toString(); // Returns '0.3'
+ * Decimal.from(1).divide(Decimal.from(3), 5).toString(); // Returns '0.33333'
+ */
+export class Decimal {
+    /**
+     * Creates a new Decimal instance.
+     * @constructor
+     * @param {bigint} coefficient - The unscaled value
+     * @param {number} [exponent=0] - The power of ten the coefficient is scaled by
+     */
+    constructor(coefficient, exponent = 0) {
+        // Strip trailing zeros so every value has a single representation,
+        // in doubling steps so that 10^30000 takes a few dozen divisions
+        for (let step = 1; coefficient !== 0n && step >= 1;) {
+            const divisor = pow10(step);
+            if (coefficient % divisor === 0n) {
+                coefficient /= divisor;
+                exponent += step;
+                step *= 2;
+            } else {
+                step = Math.floor(step / 2);
+            }
+        }
+
+        /** @private {bigint} The unscaled value */
+        this.coefficient = coefficient;
+
+        /** @private {number} The power of ten the coefficient is scaled by */
+        this.exponent = coefficient === 0n ? 0 : exponent;
+    }
+
+    /**
+     * Creates a Decimal from a number, BigInt, string or another Decimal.
+     * Numbers are converted through their shortest round-trip string, so
+     * `Decimal.from(0.1)` is exactly 0.1.
+     * @param {Decimal|number|bigint|string} value - The value to convert
+     * @returns {Decimal} The Decimal value
+     * @throws {Error} If the value is not a finite number
+     * @example
+     * Decimal.from('1.5e-7'); // 0.00000015
+     */
+    static from(value) {
+        if (value instanceof Decimal) {
+            return value;
+        }
+        if (typeof value === 'bigint') {
+            return new Decimal(value);
+        }
+        if (typeof value === 'number' && !Number.isFinite(value)) {
+            throw new Error('Result out of range');
+        }
+
+        const match = DECIMAL_PATTERN.exec(String(value).trim());
+        if (!match || (!match[2] && !match[3])) {
+            throw new Error(`Invalid number '${value}'`);
+        }
+
+        const [, sign, integer, fraction = '', exponent = '0'] = match;
+        const coefficient = BigInt((integer || '0') + fraction);
+        return new Decimal(sign === '-' ? -coefficient : coefficient, parseInt(exponent, 10) - fraction.length);
+    }
+
+    /**
+     * Computes pi to the given number of significant digits using Machin's formula.
+     * @param {number} precision - Significant digits
+     * @returns {Decimal} pi
+     */
+    static pi(precision) {
+        const guard = precision + 10;
+        const scale = pow10(guard);
+        const arctanInverse = (x) => {
+            const x2 = BigInt(x * x);
+            let term = scale / BigInt(x);
+            let sum = term;
+            for (let k = 1n; term !== 0n; k++) {
+                term /= x2;
+                sum += (k % 2n === 1n ? -term : term) / (2n * k + 1n);
+            }
+            return sum;
+        };
+        const pi = 16n * arctanInverse(5) - 4n * arctanInverse(239);
+        return new Decimal(pi, -guard).round(precision);
+    }
+
+    /**
+     * Computes Euler's number to the given number of significant digits.
+     * @param {number} precision - Significant digits
+     * @returns {Decimal} e
+     */
+    static e(precision) {
+        const guard = precision + 10;
+        let term = pow10(guard);
+        let sum = term;
+        for (let k = 1n; term !== 0n; k++) {
+            term /= k;
+            sum += term;
+        }
+        return new Decimal(sum, -guard).round(precision);
+    }
+
+    /**
+     * Adds another Decimal.
+     * The sum is exact, unless a precision is given and one addend lies more
+     * than that many digits (plus guard digits) below the other. The smaller
+     * addend then only decides the rounding and the sum is rounded, so
+     * 1e100000000 + 1 does not build a hundred-million-digit coefficient.
+     * @param {Decimal} other - The addend
+     * @param {number} [precision] - Significant digits the sum is needed to
+     * @returns {Decimal} The sum
+     */
+    add(other, precision) {
+        if (precision !== undefined && !this.isZero() && !other.isZero()) {
+            const [large, small] = magnitude(this) >= magnitude(other) ? [this, other] : [other, this];
+            const limit = Math.min(large.exponent, magnitude(large) - precision - 10);
+            if (magnitude(small) < limit) {
+                // Any value below the last digit of the larger addend rounds the same way
+                const sticky = new Decimal(small.isNegative() ? -1n : 1n, limit - 2);
+                return large.add(sticky).round(precision + 10);
+            }
+        }
+
+        const exponent = Math.min(this.exponent, other.exponent);
+        return new Decimal(
+            this.coefficient * pow10(this.exponent - exponent) + other.coefficient * pow10(other.exponent - exponent),
+            exponent
+        );
+    }
+
+    /**
+     * Subtracts another Decimal, exactly unless the subtrahend is far
+     * smaller than the precision allows, as in `add`.
+     * @param {Decimal} other - The subtrahend
+     * @param {number} [precision] - Significant digits the difference is needed to
+     * @returns {Decimal} The difference
+     */
+    subtract(other, precision) {
+        return this.add(other.negate(), precision);
+    }
+
+    /**
+     * Multiplies by another Decimal exactly.
+     * @param {Decimal} other - The multiplier
+     * @returns {Decimal} The product
+     */
+    multiply(other) {
+        return new Decimal(this.coefficient * other.coefficient, this.exponent + other.exponent);
+    }
+
+    /**
+     * Divides by another Decimal.
+     * The result is exact when it terminates within the precision and is
+     * rounded to `precision` significant digits otherwise.
+     * @param {Decimal} other - The divisor
+     * @param {number} precision - Significant digits of the result
+     * @returns {Decimal} The quotient
+     * @throws {Error} If the divisor is zero
+     */
+    divide(other, precision) {
+        if (other.isZero()) {
+            throw new Error('Division by zero');
+        }
+        if (this.isZero()) {
+            return this;
+        }
+
+        // Scale the dividend so the integer quotient has one guard digit
+        const shift = Math.max(0, precision + 1 + digitCount(other.coefficient) - digitCount(this.coefficient));
+        const dividend = this.coefficient * pow10(shift);
+        const quotient = dividend / other.coefficient;
+        const sticky = dividend % other.coefficient !== 0n;
+
+        return Decimal.rounded(quotient, this.exponent - other.exponent - shift, precision, sticky);
+    }
+
+    /**
+     * Raises this value to an integer power.
+     * @param {number} exponent - The integer exponent
+     * @param {number} precision - Significant digits of the result
+     * @returns {Decimal} The power
+     * @throws {Error} If the exponent is not an integer or 0 is raised to a negative power
+     */
+    pow(exponent, precision) {
+        if (!Number.isInteger(exponent)) {
+            throw new Error('Decimal powers need an integer exponent');
+        }
+        if (exponent < 0) {
+            return new Decimal(1n).divide(this.pow(-exponent, precision + 5), precision);
+        }
+
+        // Square-and-multiply, keeping a few guard digits on the way
+        let result = new Decimal(1n);
+        let base = this;
+        for (let n = exponent; n > 0; n = Math.floor(n / 2)) {
+            if (n % 2 === 1) {
+                result = result.multiply(base).round(precision + 5);
+            }
+            if (n > 1) {
+                base = base.multiply(base).round(precision + 5);
+            }
+        }
+        return result.round(precision);
+    }
+
+    /**
+     * Computes the square root.
+     * @param {number} precision - Significant digits of the result
+     * @returns {Decimal} The square root
+     * @throws {Error} 'Invalid argument' if the value is negative
+     */
+    sqrt(precision) {
+        if (this.isNegative()) {
+            throw new Error('Invalid argument');
+        }
+        if (this.isZero()) {
+            return this;
+        }
+
+        // Scale to an even exponent with enough digits for the result
+        let shift = Math.max(0, 2 * (precision + 1) - digitCount(this.coefficient));
+        if ((this.exponent - shift) % 2 !== 0) {
+            shift++;
+        }
+        const radicand = this.coefficient * pow10(shift);
+        const root = integerSqrt(radicand);
+
+        return Decimal.rounded(root, (this.exponent - shift) / 2, precision, root * root !== radicand);
+    }
+
+    /**
+     * Computes e raised to this value.
+     * @param {number} precision - Significant digits of the result
+     * @returns {Decimal} e^this
+     * @throws {Error} 'Result out of range' if the value is beyond ±10^9
+     */
+    exp(precision) {
+        if (this.isZero()) {
+            return new Decimal(1n);
+        }
+        if (magnitude(this) > 9) {
+            throw new Error('Result out of range');
+        }
+
+        // Halve the value below 1/16 so the series converges fast, then square
+        // the sum back; every squaring doubles the error, hence the guard digits
+        const halvings = Math.max(0, Math.ceil(magnitude(this) * Math.log2(10)) + 4);
+        const guard = precision + 10 + Math.ceil(halvings * Math.log10(2));
+        const scale = pow10(guard);
+        const x = this.multiply(new Decimal(5n ** BigInt(halvings), -halvings)).round(guard);
+        const shift = x.exponent + guard;
+        const fixed = shift >= 0 ? x.coefficient * pow10(shift) : x.coefficient / pow10(-shift);
+
+        let term = scale;
+        let sum = term;
+        for (let k = 1n; term !== 0n; k++) {
+            term = (term * fixed) / scale / k;
+            sum += term;
+        }
+        let result = new Decimal(sum, -guard);
+        for (let i = 0; i < halvings; i++) {
+            result = result.multiply(result).round(guard);
+        }
+        return result.round(precision);
+    }
+
+    /**
+     * Computes the natural logarithm.
+     * @param {number} precision - Significant digits of the result
+     * @returns {Decimal} ln(this)
+     * @throws {Error} 'Invalid argument' if the value is not positive
+     */
+    ln(precision) {
+        if (this.isNegative() || this.isZero()) {
+            throw new Error('Invalid argument');
+        }
+
+        // Start from the floating-point logarithm of the leading digits and
+        // refine it with Halley's method, which triples the correct digits per
+        // step. Values close to 1 have small logarithms, so the working
+        // precision grows with the digits of the value.
+        const working = precision + 10 + digitCount(this.coefficient);
+        const digits = this.coefficient.toString();
+        const leading = Math.min(digits.length, 17);
+        let result = Decimal.from(
+            Math.log(Number(digits.slice(0, leading))) + (this.exponent + digits.length - leading) * Math.LN10
+        );
+        for (let i = 0; i < 20; i++) {
+            const power = result.exp(working);
+            const correction = this.subtract(power).multiply(new Decimal(2n)).divide(this.add(power), working);
+            result = result.add(correction).round(working);
+            if (correction.isZero() || magnitude(result) - magnitude(correction) > working) {
+                break;
+            }
+        }
+        return result.round(precision);
+    }
+
+    /**
+     * Negates the value.
+     * @returns {Decimal} The negated value
+     */
+    negate() {
+        return new Decimal(-this.coefficient, this.exponent);
+    }
+
+    /**
+     * Gets the absolute value.
+     * @returns {Decimal} The absolute value
+     */
+    abs() {
+        return this.isNegative() ? this.negate() : this;
+    }
+
+    /**
+     * Rounds towards negative infinity to an integer.
+     * @returns {Decimal} The rounded value
+     */
+    floor() {
+        if (this.exponent >= 0) {
+            return this;
+        }
+        if (magnitude(this) <= 0) {
+            // Below 1 in magnitude, without scaling by the whole exponent
+            return new Decimal(this.isNegative() ? -1n : 0n);
+        }
+        const divisor = pow10(-this.exponent);
+        let integer = this.coefficient / divisor;
+        if (this.coefficient < 0n && integer * divisor !== this.coefficient) {
+            integer -= 1n;
+        }
+        return new Decimal(integer);
+    }
+
+    /**
+     * Rounds towards positive infinity to an integer.
+     * @returns {Decimal} The rounded value
+     */
+    ceil() {
+        return this.negate().floor().negate();
+    }
+
+    /**
+     * Rounds to the nearest integer, with halves rounded up like `Math.round`.
+     * @returns {Decimal} The rounded value
+     */
+    roundToInteger() {
+        if (this.exponent >= 0) {
+            return this;
+        }
+        if (magnitude(this) < 0) {
+            return new Decimal(0n);
+        }
+        return this.add(new Decimal(5n, -1)).floor();
+    }
+
+    /**
+     * Rounds to a number of significant digits, half to even.
+     * @param {number} precision - Significant digits
+     * @returns {Decimal} The rounded value
+     */
+    round(precision) {
+        return Decimal.rounded(this.coefficient, this.exponent, precision, false);
+    }
+
+    /**
+     * Compares with another Decimal.
+     * @param {Decimal} other - The value to compare with
+     * @returns {number} -1, 0 or 1
+     */
+    compare(other) {
+        // Values of different signs or magnitudes compare without subtracting
+        const sign = Math.sign(Number(this.coefficient > 0n) - Number(this.coefficient < 0n));
+        const otherSign = Math.sign(Number(other.coefficient > 0n) - Number(other.coefficient < 0n));
+        if (sign !== otherSign) {
+            return sign > otherSign ? 1 : -1;
+        }
+        if (sign !== 0 && magnitude(this) !== magnitude(other)) {
+            return magnitude(this) > magnitude(other) ? sign : -sign;
+        }
+        const difference = this.subtract(other).coefficient;
+        return difference === 0n ? 0 : (difference < 0n ? -1 : 1);
+    }
+
+    /**
+     * Checks whether the value is zero.
+     * @returns {boolean} True if the value is zero
+     */
+    isZero() {
+        return this.coefficient === 0n;
+    }
+
+    /**
+     * Checks whether the value is negative.
+     * @returns {boolean} True if the value is below zero
+     */
+    isNegative() {
+        return this.coefficient < 0n;
+    }
+
+    /**
+     * Checks whether the value is an integer.
+     * @returns {boolean} True if the value has no fractional part
+     */
+    isInteger() {
+        return this.exponent >= 0;
+    }
+
+    /**
+     * Converts the value to a BigInt.
+     * @returns {bigint} The integer value
+     * @throws {Error} If the value is not an integer
+     */
+    toBigInt() {
+        if (!this.isInteger()) {
+            throw new Error('Value is not an integer');
+        }
+        return this.coefficient * pow10(this.exponent);
+    }
+
+    /**
+     * Converts the value to the nearest JavaScript number.
+     * @returns {number} The number value
+     */
+    toNumber() {
+        return Number(this.toString());
+    }
+
+    /**
+     * Formats the value with every significant digit.
+     * Plain notation is used in the same range as `Number.prototype.toString`,
+     * scientific notation (e.g. `1.25e+30`) outside it.
+     * @returns {string} The exact value as a string
+     */
+    toString() {
+        const negative = this.coefficient < 0n;
+        const digits = (negative ? -this.coefficient : this.coefficient).toString();
+        const sign = negative ? '-' : '';
+        const adjusted = digits.length - 1 + this.exponent;
+
+        if (adjusted >= 21 || adjusted < -7) {
+            const mantissa = digits.length > 1 ? `${digits[0]}.${digits.slice(1)}` : digits;
+            return `${sign}${mantissa}e${adjusted < 0 ? '-' : '+'}${Math.abs(adjusted)}`;
+        }
+        if (this.exponent >= 0) {
+            return sign + digits + '0'.repeat(this.exponent);
+        }
+
+        const point = digits.length + this.exponent;
+        if (point > 0) {
+            return `${sign}${digits.slice(0, point)}.${digits.slice(point)}`;
+        }
+        return `${sign}0.${'0'.repeat(-point)}${digits}`;
+    }
+
+    /**
+     * Rounds a coefficient to a number of significant digits, half to even.
+     * @private
+     * @param {bigint} coefficient - The unscaled value
+     * @param {number} exponent - The power of ten
+     * @param {number} precision - Significant digits to keep
+     * @param {boolean} sticky - True if non-zero digits were already discarded
+     * @returns {Decimal} The rounded value
+     */
+    static rounded(coefficient, exponent, precision, sticky) {
+        const drop = digitCount(coefficient) - precision;
+        if (drop <= 0) {
+            return new Decimal(coefficient, exponent);
+        }
+
+        const divisor = pow10(drop);
+        const negative = coefficient < 0n;
+        const magnitude = negative ? -coefficient : coefficient;
+        let kept = magnitude / divisor;
+        const remainder = magnitude % divisor;
+        const half = divisor / 2n;
+
+        if (remainder > half || (remainder === half && (sticky || kept % 2n === 1n))) {
+            kept += 1n;
+        }
+        return new Decimal(negative ? -kept : kept, exponent + drop);
+    }
+}
@@ -1,61 +1,96 @@
 /**
  * @fileoverview Manages the calculator display and notifications.
+ * The display has an expression line for the input and a result line for
+ * the result or a live preview of it. It shows the state of the calculator
+ * core and does no formatting of its own.
  */
 
+/**
+ * Smallest font size of a display line, relative to its normal size.
+ * Longer text scrolls instead of shrinking further.
+ * @type {number}
+ */
+const MIN_FONT_SCALE = 0.4;
+
 /**
  * Class representing the calculator display.
  */
 export class Display {
     /**
      * Creates a new Display instance.
+     * @param {CalculatorCore} core - The calculator core to show
      */
-    constructor() {
-        /** @private {HTMLElement|null} The main display element */
+    constructor(core) {
+        /** @private {CalculatorCore} The calculator core */
+        this.core = core;
+
+        /** @private {HTMLElement|null} The result line */
         this.displayElement = null;
-        
+
+        /** @private {HTMLElement|null} The expression line */
+        this.expressionElement = null;
+
         /** @private {HTMLElement|null} The notification element */
         this.notificationElement = null;
-        
-        this.initialize();
     }
 
     /**
-     * Initializes the display by getting DOM elements.
-     * @private
+     * Initializes the display by getting DOM elements and subscribing to
+     * the core.
      */
     initialize() {
         this.displayElement = document.querySelector('.calculator-display');
+        this.expressionElement = document.querySelector('.calculator-expression');
         this.notificationElement = document.querySelector('.calculator-notification');
         
         if (!this.displayElement) {
             console.error('Display element not found');
         }
+        if (!this.expressionElement) {
+            console.error('Expression element not found');
+        }
         if (!this.notificationElement) {
             console.error('Notification element not found');
         }
-    }
 
-    /**
-     * Updates the display with a new value.
-     * @param {number|string} value - The value to display
-     */
-    update(value) {
-        if (!this.displayElement) return;
-        
-        const formattedValue = this.formatNumber(value);
-        this.displayElement.textContent = formattedValue;
+        this.expressionElement?.addEventListener('click', (event) => this.handleExpressionClick(event));
+        this.core.on('change', (state) => this.render(state));
+        this.core.on('notification', ({ type, message, suggestion }) => {
+            if (type === 'error') {
+                this.showError(message, suggestion);
+            } else {
+                this.showNotification(message);
+            }
+        });
+        this.core.on('rejected', ({ message }) => this.showRejected(message));
+        this.render(this.core.getState());
     }
 
     /**
-     * Clears the display.
+     * Shows a state of the core. The result line looks lighter while it
+     * previews the result of the expression being typed, and is greyed out
+     * while the expression cannot be evaluated, e.g. after a trailing
+     * operator. The part of the expression that caused an error is
+     * underlined until the expression changes.
+     * @param {Object} state - The state, as returned by `CalculatorCore.getState`
+     * @example
+     * display.render(core.getState());
      */
-    clear() {
+    render(state) {
+        // A rejected key is forgotten once the input changes
+        this.expressionElement?.classList.remove('rejected');
+        this.expressionElement?.removeAttribute('aria-invalid');
+        this.renderExpression(state);
         if (!this.displayElement) return;
-        this.displayElement.textContent = '0';
+
+        this.displayElement.textContent = state.result;
+        this.displayElement.classList.toggle('preview', state.status === 'preview');
+        this.displayElement.classList.toggle('pending', state.status === 'pending');
+        this.fitText(this.displayElement);
     }
 
     /**
-     * Gets the current display value.
+     * Gets the value on the result line.
      * @returns {string} The current display value
      */
     getValue() {
@@ -65,11 +100,12 @@ export class Display {
     /**
      * Shows an error message.
      * @param {string} message - The error message to display
+     * @param {string} [suggestion] - How to fix the error, shown after the message
      */
-    showError(message) {
+    showError(message, suggestion) {
         if (!this.notificationElement) return;
         
-        this.notificationElement.textContent = message;
+        this.notificationElement.textContent = suggestion ? `${message} — ${suggestion}` : message;
         this.notificationElement.classList.add('error');
         this.notificationElement.classList.remove('notification');
         
@@ -92,6 +128,25 @@ export class Display {
         setTimeout(() => this.clearNotification(), 1000);
     }
 
+    /**
+     * Shows that a typed key was rejected: the expression line shakes and
+     * is marked invalid until the input changes, and the reason is shown
+     * and announced.
+     * @param {string} message - Why the key cannot be typed
+     * @example
+     * display.showRejected("There is no '(' to close");
+     */
+    showRejected(message) {
+        this.showError(message);
+        if (!this.expressionElement) return;
+
+        // Restart the animation when several keys are rejected in a row
+        this.expressionElement.classList.remove('rejected');
+        void this.expressionElement.offsetWidth;
+        this.expressionElement.classList.add('rejected');
+        this.expressionElement.setAttribute('aria-invalid', 'true');
+    }
+
     /**
      * Clears the notification.
      */
@@ -103,46 +158,95 @@ export class Display {
     }
 
     /**
-     * Formats a number for display.
-     * @param {number|string} value - The value to format
-     * @returns {string} The formatted number
+     * Shows the expression line, with the cursor or selection while the
+     * input is edited and the range of an error underlined. Each character
+     * gets its own element, so a click can be mapped to a position.
+     * @param {Object} state - The state of the core
      * @private
      */
-    formatNumber(value) {
-        if (typeof value === 'string') {
-            return value;
+    renderExpression({ expression, error, cursor }) {
+        if (!this.expressionElement) return;
+
+        if (!cursor && error?.start === undefined) {
+            this.expressionElement.textContent = expression;
+            this.fitText(this.expressionElement);
+            return;
         }
-        
-        // Handle very large or small numbers
-        if (Math.abs(value) >= 1e9 || (Math.abs(value) < 1e-9 && value !== 0)) {
-            return value.toExponential(8);
+
+        // Positions in the input count UTF-16 code units, as string indexes do
+        const nodes = expression.split('').map((character, index) => {
+            const span = document.createElement('span');
+            span.textContent = character;
+            span.dataset.index = index;
+            if (cursor && index >= cursor.start && index < cursor.end) {
+                span.classList.add('calculator-selection');
+            }
+            if (error?.start !== undefined && index >= error.start && index < error.end) {
+                span.classList.add('calculator-display-error');
+                if (error.suggestion) {
+                    span.title = error.suggestion;
+                }
+            }
+            return span;
+        });
+
+        // A missing part at the end is marked with a space to underline
+        if (error?.start !== undefined && error.start >= expression.length) {
+            const mark = document.createElement('span');
+            mark.className = 'calculator-display-error';
+            mark.textContent = ' ';
+            if (error.suggestion) {
+                mark.title = error.suggestion;
+            }
+            nodes.push(mark);
         }
-        
-        // Format regular numbers
-        const formatted = value.toString();
-        if (formatted.includes('.')) {
-            const [integer, decimal] = formatted.split('.');
-            return `${this.formatInteger(integer)}.${decimal}`;
+
+        let caret = null;
+        if (cursor && cursor.start === cursor.end) {
+            caret = document.createElement('span');
+            caret.className = 'calculator-cursor';
+            caret.setAttribute('aria-hidden', 'true');
+            nodes.splice(cursor.start, 0, caret);
         }
-        
-        return this.formatInteger(formatted);
+
+        this.expressionElement.replaceChildren(...nodes);
+        this.fitText(this.expressionElement);
+        caret?.scrollIntoView?.({ block: 'nearest', inline: 'nearest' });
     }
 
     /**
-     * Formats an integer with thousands separators.
-     * @param {string} integer - The integer to format
-     * @returns {string} The formatted integer
+     * Places the cursor where the expression line was clicked: before the
+     * clicked character, or after it if the click was on its right half.
+     * A click past the text puts the cursor at the end, and Shift+click
+     * selects up to the click.
+     * @param {MouseEvent} event - The click event
      * @private
      */
-    formatInteger(integer) {
-        const isNegative = integer.startsWith('-');
-        const digits = isNegative ? integer.slice(1) : integer;
-        
-        const parts = [];
-        for (let i = digits.length; i > 0; i -= 3) {
-            parts.unshift(digits.slice(Math.max(0, i - 3), i));
+    handleExpressionClick(event) {
+        const state = this.core.getState();
+        const span = event.target.closest?.('[data-index]');
+        let position = state.input.length;
+        if (span && this.expressionElement.contains(span)) {
+            const { left, width } = span.getBoundingClientRect();
+            position = Number(span.dataset.index) + (event.clientX > left + width / 2 ? 1 : 0);
         }
-        
-        return (isNegative ? '-' : '') + parts.join(',');
+        this.core.dispatch({ type: 'setCursor', position, extend: event.shiftKey });
+    }
+
+    /**
+     * Shrinks the font of a display line until its text fits, down to
+     * MIN_FONT_SCALE of the normal size, and scrolls to the end of the text.
+     * @param {HTMLElement} element - The display line
+     * @private
+     */
+    fitText(element) {
+        element.style.fontSize = '';
+        const overflow = element.scrollWidth / element.clientWidth;
+        if (overflow > 1) {
+            // Text width grows linearly with the font size
+            const size = parseFloat(getComputedStyle(element).fontSize);
+            element.style.fontSize = `${size / Math.min(overflow, 1 / MIN_FONT_SCALE)}px`;
+        }
+        element.scrollLeft = element.scrollWidth;
     }
-} 
\ No newline at end of file
+}
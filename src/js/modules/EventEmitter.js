@@ -0,0 +1,56 @@
+/**
+ * @fileoverview Minimal event emitter.
+ * Works the same in the browser and in Node, without the DOM's EventTarget.
+ */
+
+/**
+ * EventEmitter class for subscribing to named events.
+ * @class EventEmitter
+ * @example
+ * const emitter = new EventEmitter();
+ * const unsubscribe = emitter.on('change', (state) => console.log(state.result));
+ * emitter.emit('change', { result: '4' }); // Logs 4
+ * unsubscribe();
+ */
+export class EventEmitter {
+    /**
+     * Creates a new EventEmitter instance.
+     * @constructor
+     */
+    constructor() {
+        /** @private {Map<string, Set<Function>>} Listeners by event name */
+        this.listeners = new Map();
+    }
+
+    /**
+     * Adds a listener for an event.
+     * @param {string} event - The event name
+     * @param {Function} listener - Called with the event's arguments
+     * @returns {function(): void} Removes the listener again
+     */
+    on(event, listener) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(listener);
+        return () => this.off(event, listener);
+    }
+
+    /**
+     * Removes a listener.
+     * @param {string} event - The event name
+     * @param {Function} listener - The listener passed to `on`
+     */
+    off(event, listener) {
+        this.listeners.get(event)?.delete(listener);
+    }
+
+    /**
+     * Calls the listeners of an event in the order they were added.
+     * @param {string} event - The event name
+     * @param {...*} args - Arguments passed to each listener
+     */
+    emit(event, ...args) {
+        [...(this.listeners.get(event) || [])].forEach((listener) => listener(...args));
+    }
+}
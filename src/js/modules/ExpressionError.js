@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Error type for invalid expressions.
+ * Carries a machine-readable code, the range of the expression that caused
+ * the error and a suggestion for fixing it, so the display can point at the
+ * problem.
+ */
+
+/**
+ * Codes for errors raised by the number systems, by message.
+ * Other errors raised while evaluating get the code 'INVALID_ARGUMENT'.
+ * @type {Object<string, string>}
+ */
+const EVALUATION_CODES = {
+    'Division by zero': 'DIVISION_BY_ZERO',
+    'Result out of range': 'OUT_OF_RANGE'
+};
+
+/**
+ * Class representing an error in an expression.
+ * The message ends with the 1-based position of the error, e.g.
+ * "Missing operand after '*' at position 4"; `start` and `end` are 0-based
+ * string indices.
+ * @class ExpressionError
+ * @extends Error
+ * @example
+ * try {
+ *     engine.calculate('2 * ');
+ * } catch (error) {
+ *     error.code; // 'MISSING_OPERAND'
+ *     error.start; // 2
+ *     error.end; // 3
+ *     error.suggestion; // "Add a number or name after '*'"
+ * }
+ */
+export class ExpressionError extends Error {
+    /**
+     * Creates a new ExpressionError instance.
+     * @constructor
+     * @param {string} code - Machine-readable code, e.g. 'MISSING_OPERAND'
+     * @param {string} description - What went wrong, without the position
+     * @param {Object} [details] - Where the error is and how to fix it
+     * @param {number} [details.start] - Index of the first character of the offending part
+     * @param {number} [details.end] - Index after the last character of the offending part
+     * @param {string} [details.suggestion] - How to fix the expression
+     */
+    constructor(code, description, { start, end, suggestion = null } = {}) {
+        super(start === undefined ? description : `${description} at position ${start + 1}`);
+
+        /** @type {string} The error class name */
+        this.name = 'ExpressionError';
+
+        /** @type {string} Machine-readable code, e.g. 'MISSING_OPERAND' */
+        this.code = code;
+
+        /** @type {string} What went wrong, without the position */
+        this.description = description;
+
+        /** @type {number|undefined} Index of the first character of the offending part */
+        this.start = start;
+
+        /** @type {number|undefined} Index after the last character of the offending part */
+        this.end = end;
+
+        /** @type {string|null} How to fix the expression */
+        this.suggestion = suggestion;
+    }
+
+    /**
+     * Converts any error into an ExpressionError. Errors from the number
+     * systems, such as 'Division by zero', get a code from their message.
+     * @param {Error} error - The error
+     * @returns {ExpressionError} The error, unchanged if it already is one
+     */
+    static from(error) {
+        if (error instanceof ExpressionError) {
+            return error;
+        }
+        return new ExpressionError(EVALUATION_CODES[error.message] || 'INVALID_ARGUMENT', error.message);
+    }
+
+    /**
+     * Checks whether the error points at part of the expression.
+     * @returns {boolean} True if the error has a range
+     */
+    hasRange() {
+        return this.start !== undefined;
+    }
+
+    /**
+     * Creates a copy of the error that points at another range.
+     * @param {number} start - Index of the first character of the offending part
+     * @param {number} end - Index after the last character of the offending part
+     * @returns {ExpressionError} The located error
+     * @example
+     * error.at(error.start + 5, error.end + 5); // The same error, five characters later
+     */
+    at(start, end) {
+        return new ExpressionError(this.code, this.description, { start, end, suggestion: this.suggestion });
+    }
+}
@@ -0,0 +1,365 @@
+/**
+ * @fileoverview Exact rational number type.
+ * Values are stored as a reduced BigInt numerator and a positive BigInt
+ * denominator, so 1/3 + 1/6 is exactly 1/2.
+ */
+
+import { Decimal } from './Decimal.js';
+
+/**
+ * Matches a decimal literal in plain or scientific notation.
+ * @type {RegExp}
+ */
+const DECIMAL_PATTERN = /^([+-])?(\d*)(?:\.(\d*))?(?:[eE]([+-]?\d+))?$/;
+
+/**
+ * Largest root index tried when looking for an exact root.
+ * @type {number}
+ */
+const MAX_EXACT_ROOT = 64;
+
+/**
+ * Largest power of ten a literal may be scaled by, e.g. the 30000 of
+ * `1e30000`; about the 100000 bits an exact power may produce.
+ * @type {number}
+ */
+const MAX_EXACT_SCALE = 30000;
+
+/**
+ * Computes the greatest common divisor of two BigInts.
+ * @param {bigint} a - The first number
+ * @param {bigint} b - The second number
+ * @returns {bigint} The non-negative greatest common divisor
+ */
+function gcd(a, b) {
+    a = a < 0n ? -a : a;
+    b = b < 0n ? -b : b;
+    while (b !== 0n) {
+        [a, b] = [b, a % b];
+    }
+    return a;
+}
+
+/**
+ * Computes the integer n-th root of a non-negative BigInt.
+ * @param {bigint} value - The radicand
+ * @param {number} n - The root index
+ * @returns {bigint} floor(value^(1/n))
+ */
+function integerRoot(value, n) {
+    if (value < 2n) {
+        return value;
+    }
+    const k = BigInt(n);
+    // Newton's method, starting from a power of two above the root
+    let x = 1n << BigInt(Math.ceil(value.toString(2).length / n));
+    while (true) {
+        const next = ((k - 1n) * x + value / x ** (k - 1n)) / k;
+        if (next >= x) {
+            return x;
+        }
+        x = next;
+    }
+}
+
+/**
+ * Fraction class representing an exact rational number.
+ * Instances are immutable and always reduced; every operation returns a new
+ * Fraction. A fraction computed from an inexact result, such as sqrt(2), is
+ * marked `approximate`, and so is anything computed from it.
+ * @class Fraction
+ * @example
+ * const a = Fraction.from('1/3');
+ * a.add(Fraction.from('1/6')).toString(); // Returns '1/2'
+ * Fraction.from('0.75').toString(); // Returns '3/4'
+ */
+export class Fraction {
+    /**
+     * Creates a new Fraction instance.
+     * @constructor
+     * @param {bigint} numerator - The numerator
+     * @param {bigint} [denominator=1n] - The denominator
+     * @param {boolean} [approximate=false] - True if the value is not exact
+     * @throws {Error} If the denominator is zero
+     */
+    constructor(numerator, denominator = 1n, approximate = false) {
+        if (denominator === 0n) {
+            throw new Error('Division by zero');
+        }
+        if (denominator < 0n) {
+            numerator = -numerator;
+            denominator = -denominator;
+        }
+        const divisor = gcd(numerator, denominator) || 1n;
+
+        /** @private {bigint} The numerator, carrying the sign */
+        this.numerator = numerator / divisor;
+
+        /** @private {bigint} The positive denominator */
+        this.denominator = denominator / divisor;
+
+        /** @private {boolean} True if the value is not exact */
+        this.approximate = approximate;
+    }
+
+    /**
+     * Creates a Fraction from a number, BigInt, Decimal, another Fraction or
+     * a string such as '0.75', '1.5e-3' or '-3/4'.
+     * @param {Fraction|Decimal|number|bigint|string} value - The value to convert
+     * @param {boolean} [approximate=false] - True if the value is not exact
+     * @returns {Fraction} The Fraction value
+     * @throws {Error} If the value is not a finite number, or 'Result out of
+     *     range' if it is scaled by more than 30000 powers of ten
+     * @example
+     * Fraction.from(0.1).toString(); // Returns '1/10'
+     */
+    static from(value, approximate = false) {
+        if (value instanceof Fraction) {
+            return approximate && !value.approximate
+                ? new Fraction(value.numerator, value.denominator, true)
+                : value;
+        }
+        if (typeof value === 'bigint') {
+            return new Fraction(value, 1n, approximate);
+        }
+        if (typeof value === 'number' && !Number.isFinite(value)) {
+            throw new Error('Result out of range');
+        }
+
+        const text = String(value).trim();
+        const slash = text.indexOf('/');
+        if (slash !== -1) {
+            return Fraction.from(text.slice(0, slash), approximate).divide(Fraction.from(text.slice(slash + 1)));
+        }
+
+        const match = DECIMAL_PATTERN.exec(text);
+        if (!match || (!match[2] && !match[3])) {
+            throw new Error(`Invalid number '${value}'`);
+        }
+        const [, sign, integer, fraction = '', exponent = '0'] = match;
+        const scale = parseInt(exponent, 10) - fraction.length;
+        if (Math.abs(scale) > MAX_EXACT_SCALE) {
+            throw new Error('Result out of range');
+        }
+        const digits = BigInt((integer || '0') + fraction) * (sign === '-' ? -1n : 1n);
+        return scale >= 0
+            ? new Fraction(digits * 10n ** BigInt(scale), 1n, approximate)
+            : new Fraction(digits, 10n ** BigInt(-scale), approximate);
+    }
+
+    /**
+     * Adds another fraction.
+     * @param {Fraction} other - The addend
+     * @returns {Fraction} The sum
+     */
+    add(other) {
+        return new Fraction(
+            this.numerator * other.denominator + other.numerator * this.denominator,
+            this.denominator * other.denominator,
+            this.approximate || other.approximate
+        );
+    }
+
+    /**
+     * Subtracts another fraction.
+     * @param {Fraction} other - The subtrahend
+     * @returns {Fraction} The difference
+     */
+    subtract(other) {
+        return this.add(other.negate());
+    }
+
+    /**
+     * Multiplies by another fraction.
+     * @param {Fraction} other - The multiplier
+     * @returns {Fraction} The product
+     */
+    multiply(other) {
+        return new Fraction(
+            this.numerator * other.numerator,
+            this.denominator * other.denominator,
+            this.approximate || other.approximate
+        );
+    }
+
+    /**
+     * Divides by another fraction.
+     * @param {Fraction} other - The divisor
+     * @returns {Fraction} The quotient
+     * @throws {Error} If the divisor is zero
+     */
+    divide(other) {
+        return new Fraction(
+            this.numerator * other.denominator,
+            this.denominator * other.numerator,
+            this.approximate || other.approximate
+        );
+    }
+
+    /**
+     * Raises the fraction to an integer power.
+     * @param {number} exponent - The integer exponent
+     * @returns {Fraction} The power
+     * @throws {Error} If zero is raised to a negative power
+     */
+    pow(exponent) {
+        const n = BigInt(Math.abs(exponent));
+        const result = new Fraction(this.numerator ** n, this.denominator ** n, this.approximate);
+        return exponent < 0 ? new Fraction(1n).divide(result) : result;
+    }
+
+    /**
+     * Computes the exact n-th root, if there is one.
+     * @param {number} n - The root index, a positive integer
+     * @returns {Fraction|null} The root, or null if it is not a fraction
+     * @example
+     * Fraction.from('4/9').root(2).toString(); // Returns '2/3'
+     * Fraction.from(2).root(2); // Returns null
+     */
+    root(n) {
+        if (n > MAX_EXACT_ROOT || (this.numerator < 0n && n % 2 === 0)) {
+            return null;
+        }
+        const magnitude = this.numerator < 0n ? -this.numerator : this.numerator;
+        const numerator = integerRoot(magnitude, n);
+        const denominator = integerRoot(this.denominator, n);
+        const k = BigInt(n);
+        if (numerator ** k !== magnitude || denominator ** k !== this.denominator) {
+            return null;
+        }
+        return new Fraction(this.numerator < 0n ? -numerator : numerator, denominator, this.approximate);
+    }
+
+    /**
+     * Negates the fraction.
+     * @returns {Fraction} The negated value
+     */
+    negate() {
+        return new Fraction(-this.numerator, this.denominator, this.approximate);
+    }
+
+    /**
+     * Gets the absolute value.
+     * @returns {Fraction} The absolute value
+     */
+    abs() {
+        return this.numerator < 0n ? this.negate() : this;
+    }
+
+    /**
+     * Rounds towards negative infinity.
+     * @returns {Fraction} The largest integer not above the value
+     */
+    floor() {
+        // BigInt division truncates towards zero
+        const quotient = this.numerator / this.denominator;
+        const adjust = this.numerator < 0n && quotient * this.denominator !== this.numerator ? 1n : 0n;
+        return new Fraction(quotient - adjust, 1n, this.approximate);
+    }
+
+    /**
+     * Rounds towards positive infinity.
+     * @returns {Fraction} The smallest integer not below the value
+     */
+    ceil() {
+        return this.negate().floor().negate();
+    }
+
+    /**
+     * Rounds to the nearest integer, halves away from zero.
+     * @returns {Fraction} The rounded value
+     */
+    roundToInteger() {
+        const half = new Fraction(1n, 2n);
+        return this.isNegative() ? this.negate().add(half).floor().negate() : this.add(half).floor();
+    }
+
+    /**
+     * Checks if the value is zero.
+     * @returns {boolean} True if the value is zero
+     */
+    isZero() {
+        return this.numerator === 0n;
+    }
+
+    /**
+     * Checks if the value is negative.
+     * @returns {boolean} True if the value is below zero
+     */
+    isNegative() {
+        return this.numerator < 0n;
+    }
+
+    /**
+     * Checks if the value is an integer.
+     * @returns {boolean} True if the denominator is 1
+     */
+    isInteger() {
+        return this.denominator === 1n;
+    }
+
+    /**
+     * Splits the value into a whole part and a proper fraction with the same sign.
+     * @returns {{whole: bigint, numerator: bigint, denominator: bigint}} The parts
+     * @example
+     * Fraction.from('-9/4').toMixed(); // Returns { whole: -2n, numerator: -1n, denominator: 4n }
+     */
+    toMixed() {
+        const whole = this.numerator / this.denominator;
+        return { whole, numerator: this.numerator - whole * this.denominator, denominator: this.denominator };
+    }
+
+    /**
+     * Converts the value to a Decimal.
+     * @param {number} precision - Significant digits for non-terminating values
+     * @returns {Decimal} The value, exact when its decimal expansion terminates
+     *     within the precision
+     */
+    toDecimal(precision) {
+        return Decimal.from(this.numerator).divide(Decimal.from(this.denominator), precision);
+    }
+
+    /**
+     * Converts the value to an exact Decimal if its decimal expansion terminates,
+     * i.e. if the denominator has no prime factors other than 2 and 5.
+     * @returns {Decimal|null} The exact value, or null if it does not terminate
+     * @example
+     * Fraction.from('3/8').toTerminatingDecimal().toString(); // Returns '0.375'
+     * Fraction.from('1/3').toTerminatingDecimal(); // Returns null
+     */
+    toTerminatingDecimal() {
+        let rest = this.denominator;
+        let twos = 0;
+        let fives = 0;
+        for (; rest % 2n === 0n; rest /= 2n) twos++;
+        for (; rest % 5n === 0n; rest /= 5n) fives++;
+        if (rest !== 1n) {
+            return null;
+        }
+        // n / (2^a * 5^b) = n * 2^(k-a) * 5^(k-b) / 10^k with k = max(a, b)
+        const scale = Math.max(twos, fives);
+        const coefficient = this.numerator * 2n ** BigInt(scale - twos) * 5n ** BigInt(scale - fives);
+        return new Decimal(coefficient, -scale);
+    }
+
+    /**
+     * Converts the value to a JavaScript number.
+     * @returns {number} The closest number
+     */
+    toNumber() {
+        return this.toDecimal(17).toNumber();
+    }
+
+    /**
+     * Formats the value as `numerator/denominator`, or as an integer.
+     * Approximate values that terminate are written as decimals instead.
+     * @returns {string} The value, e.g. '-9/4'
+     */
+    toString() {
+        const decimal = this.approximate && !this.isInteger() ? this.toTerminatingDecimal() : null;
+        if (decimal) {
+            return decimal.toString();
+        }
+        return this.isInteger() ? this.numerator.toString() : `${this.numerator}/${this.denominator}`;
+    }
+}
@@ -0,0 +1,114 @@
+/**
+ * @fileoverview FunctionLibrary module for storing user-defined functions.
+ * Handles function definition storage and persistence.
+ */
+
+import { MemoryStorage } from './MemoryStorage.js';
+
+/**
+ * FunctionLibrary class for storing user-defined functions.
+ * Each definition holds its parameter names and the body expression as
+ * typed by the user. Definitions are persisted to the given storage. Validation
+ * happens in CalculatorEngine.defineFunction before a definition is stored.
+ * @class FunctionLibrary
+ * @example
+ * const library = new FunctionLibrary(localStorage);
+ * library.set('vat', { params: ['x'], body: 'x * 1.2' });
+ * library.get('vat'); // Returns { params: ['x'], body: 'x * 1.2' }
+ */
+export class FunctionLibrary {
+    /**
+     * Creates a new FunctionLibrary instance.
+     * Loads any saved definitions from storage.
+     * @constructor
+     * @param {Storage|MemoryStorage} [storage] - Where the definitions are
+     *     saved, e.g. localStorage; defaults to an in-memory store
+     */
+    constructor(storage = new MemoryStorage()) {
+        /** @private {Storage|MemoryStorage} Where the definitions are saved */
+        this.storage = storage;
+
+        /** @private {Map<string, {params: string[], body: string}>} Definitions by name */
+        this.definitions = new Map();
+
+        this.initialize();
+    }
+
+    /**
+     * Initializes the function library.
+     * Loads previously saved definitions from storage.
+     * @example
+     * library.initialize(); // Loads saved definitions if any
+     */
+    initialize() {
+        try {
+            const saved = JSON.parse(this.storage.getItem('calculatorFunctions'));
+            if (saved && typeof saved === 'object') {
+                Object.entries(saved).forEach(([name, definition]) => {
+                    if (Array.isArray(definition?.params) && typeof definition.body === 'string') {
+                        this.definitions.set(name, { params: definition.params.map(String), body: definition.body });
+                    }
+                });
+            }
+        } catch (error) {
+            // Ignore a corrupt library and start afresh
+        }
+    }
+
+    /**
+     * Gets a definition.
+     * @param {string} name - The function name
+     * @returns {{params: string[], body: string}|undefined} The definition, if it exists
+     */
+    get(name) {
+        return this.definitions.get(name);
+    }
+
+    /**
+     * Adds or replaces a definition.
+     * @param {string} name - The function name
+     * @param {{params: string[], body: string}} definition - The definition
+     * @example
+     * library.set('hyp', { params: ['a', 'b'], body: 'sqrt(a^2 + b^2)' });
+     */
+    set(name, definition) {
+        this.definitions.set(name, { params: [...definition.params], body: definition.body });
+        this.save();
+    }
+
+    /**
+     * Checks whether a function is defined.
+     * @param {string} name - The function name
+     * @returns {boolean} True if the function is defined
+     */
+    has(name) {
+        return this.definitions.has(name);
+    }
+
+    /**
+     * Removes a definition.
+     * @param {string} name - The function name
+     * @returns {boolean} True if the definition existed
+     */
+    delete(name) {
+        const existed = this.definitions.delete(name);
+        this.save();
+        return existed;
+    }
+
+    /**
+     * Gets all definitions.
+     * @returns {Array<[string, {params: string[], body: string}]>} Name and definition pairs
+     */
+    entries() {
+        return [...this.definitions];
+    }
+
+    /**
+     * Saves the definitions to storage.
+     * @private
+     */
+    save() {
+        this.storage.setItem('calculatorFunctions', JSON.stringify(Object.fromEntries(this.definitions)));
+    }
+}
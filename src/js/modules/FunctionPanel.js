@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Manages the user-defined function panel.
+ */
+
+/**
+ * Class representing the function library panel.
+ * Lists the user-defined functions and lets the user insert, edit or delete them.
+ */
+export class FunctionPanel {
+    /**
+     * Creates a new FunctionPanel instance.
+     * @param {CalculatorCore} core - The calculator core holding the functions
+     */
+    constructor(core) {
+        /** @private {CalculatorCore} The calculator core */
+        this.core = core;
+
+        /** @private {HTMLElement|null} The list element holding the definitions */
+        this.listElement = null;
+    }
+
+    /**
+     * Initializes the panel by getting DOM elements, subscribing to changes
+     * of the definitions and rendering them.
+     */
+    initialize() {
+        this.listElement = document.querySelector('.calculator-function-list');
+        if (!this.listElement) {
+            console.error('Function list element not found');
+            return;
+        }
+
+        this.listElement.addEventListener('click', (event) => this.handleClick(event));
+        this.core.on('functions', () => this.render());
+        this.render();
+    }
+
+    /**
+     * Renders the user-defined functions.
+     */
+    render() {
+        if (!this.listElement) return;
+
+        this.listElement.innerHTML = '';
+        const definitions = this.core.getEngine().getUserFunctions();
+
+        if (!definitions.length) {
+            const empty = document.createElement('li');
+            empty.className = 'calculator-function-empty';
+            empty.textContent = 'Define one by typing e.g. vat(x) = x * 1.2';
+            this.listElement.appendChild(empty);
+            return;
+        }
+
+        definitions.forEach(({ name, params, body }) => {
+            const item = document.createElement('li');
+            item.className = 'calculator-function-entry';
+            item.dataset.name = name;
+
+            const signature = `${name}(${params.join(', ')})`;
+            item.appendChild(this.createButton('insert', signature, `Insert ${signature}`));
+
+            const bodyElement = document.createElement('span');
+            bodyElement.className = 'calculator-function-body';
+            bodyElement.textContent = `= ${body}`;
+            item.appendChild(bodyElement);
+
+            item.appendChild(this.createButton('edit', '✎', `Edit ${name}`));
+            item.appendChild(this.createButton('delete', '×', `Delete ${name}`));
+
+            this.listElement.appendChild(item);
+        });
+    }
+
+    /**
+     * Creates one of the buttons of a definition.
+     * @param {string} action - 'insert', 'edit' or 'delete'
+     * @param {string} text - The button text
+     * @param {string} label - The accessible label
+     * @returns {HTMLButtonElement} The button
+     * @private
+     */
+    createButton(action, text, label) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `calculator-function-${action}`;
+        button.dataset.action = action;
+        button.textContent = text;
+        button.setAttribute('aria-label', label);
+        return button;
+    }
+
+    /**
+     * Handles clicks on the definitions.
+     * Insert appends a call to the input; edit loads the definition into the
+     * input, where pressing Enter saves the changed version.
+     * @param {MouseEvent} event - The click event
+     * @private
+     */
+    handleClick(event) {
+        const button = event.target.closest('button[data-action]');
+        const item = event.target.closest('.calculator-function-entry');
+        if (!button || !item) return;
+
+        const definition = this.core.getEngine().getUserFunctions().find(({ name }) => name === item.dataset.name);
+        if (!definition) return;
+
+        switch (button.dataset.action) {
+            case 'insert':
+                this.core.dispatch({ type: 'append', value: `${definition.name}(` });
+                break;
+            case 'edit':
+                this.core.dispatch({ type: 'load', value: `${definition.name}(${definition.params.join(', ')}) = ${definition.body}` });
+                break;
+            case 'delete':
+                this.core.dispatch({ type: 'removeFunction', name: definition.name });
+                break;
+        }
+    }
+}
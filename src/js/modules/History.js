@@ -0,0 +1,161 @@
+/**
+ * @fileoverview History module for recording evaluated calculations.
+ * Handles history storage, size limits, and persistence.
+ */
+
+import { MemoryStorage } from './MemoryStorage.js';
+
+/**
+ * Default number of entries kept in the history.
+ * @type {number}
+ */
+const DEFAULT_LIMIT = 50;
+
+/**
+ * History class for recording evaluated calculations.
+ * Each entry holds the expression, its result and the time it was evaluated.
+ * Entries are kept newest first and persisted to the given storage.
+ * @class History
+ * @example
+ * const history = new History({ limit: 100, storage: localStorage });
+ * history.add('2+2', '4');
+ * history.getEntries(); // Returns [{ id, expression: '2+2', result: '4', timestamp }]
+ */
+export class History {
+    /**
+     * Creates a new History instance.
+     * Loads any saved entries from storage.
+     * @constructor
+     * @param {Object} [options] - History options
+     * @param {number} [options.limit=50] - Maximum number of entries to keep
+     * @param {Storage|MemoryStorage} [options.storage] - Where the entries are
+     *     saved, e.g. localStorage; defaults to an in-memory store
+     */
+    constructor({ limit = DEFAULT_LIMIT, storage = new MemoryStorage() } = {}) {
+        /** @private {Storage|MemoryStorage} Where the entries are saved */
+        this.storage = storage;
+
+        /** @private {Array<{id: number, expression: string, result: string, timestamp: number}>} Entries, newest first */
+        this.entries = [];
+
+        /** @private {number} Maximum number of entries to keep */
+        this.limit = limit;
+
+        this.initialize();
+    }
+
+    /**
+     * Initializes the history module.
+     * Loads previously saved entries and the saved size limit from storage.
+     * @example
+     * history.initialize(); // Loads saved entries if any
+     */
+    initialize() {
+        const savedLimit = parseInt(this.storage.getItem('calculatorHistoryLimit'), 10);
+        if (savedLimit > 0) {
+            this.limit = savedLimit;
+        }
+
+        try {
+            const savedEntries = JSON.parse(this.storage.getItem('calculatorHistory'));
+            if (Array.isArray(savedEntries)) {
+                this.entries = savedEntries
+                    .filter((entry) => (
+                        Number.isInteger(entry?.id) &&
+                        typeof entry.expression === 'string' &&
+                        typeof entry.result === 'string'
+                    ))
+                    .slice(0, this.limit);
+            }
+        } catch (error) {
+            // Ignore corrupt history and start afresh
+            this.entries = [];
+        }
+    }
+
+    /**
+     * Records an evaluated expression.
+     * The oldest entries are dropped once the size limit is reached.
+     * @param {string} expression - The evaluated expression
+     * @param {string} result - The result of the expression
+     * @returns {Object} The new entry
+     * @example
+     * history.add('(1+2)*3', '9');
+     */
+    add(expression, result) {
+        const entry = {
+            id: this.entries.reduce((max, { id }) => Math.max(max, id), 0) + 1,
+            expression,
+            result,
+            timestamp: Date.now()
+        };
+        this.entries.unshift(entry);
+        this.entries = this.entries.slice(0, this.limit);
+        this.save();
+        return entry;
+    }
+
+    /**
+     * Removes a single entry.
+     * @param {number} id - The id of the entry to remove
+     * @example
+     * history.remove(entry.id);
+     */
+    remove(id) {
+        this.entries = this.entries.filter((entry) => entry.id !== id);
+        this.save();
+    }
+
+    /**
+     * Removes all entries.
+     * @example
+     * history.clear(); // Empties the history
+     */
+    clear() {
+        this.entries = [];
+        this.save();
+    }
+
+    /**
+     * Gets an entry by id.
+     * @param {number} id - The entry id
+     * @returns {Object|undefined} The entry, if it exists
+     */
+    get(id) {
+        return this.entries.find((entry) => entry.id === id);
+    }
+
+    /**
+     * Gets all entries, newest first.
+     * @returns {Array<Object>} A copy of the entries
+     */
+    getEntries() {
+        return [...this.entries];
+    }
+
+    /**
+     * Sets the maximum number of entries to keep.
+     * Older entries beyond the new limit are dropped.
+     * @param {number} limit - The new size limit
+     * @throws {Error} If the limit is not a positive integer
+     * @example
+     * history.setLimit(10); // Keeps only the 10 newest entries
+     */
+    setLimit(limit) {
+        if (!Number.isInteger(limit) || limit < 1) {
+            throw new Error('History limit must be a positive integer');
+        }
+        this.limit = limit;
+        this.entries = this.entries.slice(0, limit);
+        this.storage.setItem('calculatorHistoryLimit', String(limit));
+        this.save();
+    }
+
+    /**
+     * Saves the entries to storage.
+     * @private
+     */
+    save() {
+        this.storage.setItem('calculatorHistory', JSON.stringify(this.entries));
+    }
+}
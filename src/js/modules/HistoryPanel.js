@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Manages the calculation history panel.
+ */
+
+/**
+ * Class representing the history panel next to the display.
+ * Lists the recorded calculations and lets the user reuse or delete them.
+ */
+export class HistoryPanel {
+    /**
+     * Creates a new HistoryPanel instance.
+     * @param {CalculatorCore} core - The calculator core holding the history
+     */
+    constructor(core) {
+        /** @private {CalculatorCore} The calculator core */
+        this.core = core;
+
+        /** @private {HTMLElement|null} The list element holding the entries */
+        this.listElement = null;
+    }
+
+    /**
+     * Initializes the panel by getting DOM elements, subscribing to changes
+     * of the history and rendering the entries.
+     */
+    initialize() {
+        this.listElement = document.querySelector('.calculator-history-list');
+        if (!this.listElement) {
+            console.error('History list element not found');
+            return;
+        }
+
+        const clearButton = document.querySelector('.calculator-history-clear');
+        if (clearButton) {
+            clearButton.addEventListener('click', () => this.core.dispatch({ type: 'clearHistory' }));
+        }
+
+        this.listElement.addEventListener('click', (event) => this.handleClick(event));
+        this.core.on('history', () => this.render());
+        this.render();
+    }
+
+    /**
+     * Renders the history entries, newest first.
+     */
+    render() {
+        if (!this.listElement) return;
+
+        this.listElement.innerHTML = '';
+        const entries = this.core.getHistory().getEntries();
+
+        if (!entries.length) {
+            const empty = document.createElement('li');
+            empty.className = 'calculator-history-empty';
+            empty.textContent = 'No calculations yet';
+            this.listElement.appendChild(empty);
+            return;
+        }
+
+        entries.forEach((entry) => {
+            const item = document.createElement('li');
+            item.className = 'calculator-history-entry';
+            item.dataset.id = entry.id;
+            item.title = new Date(entry.timestamp).toLocaleString();
+
+            item.appendChild(this.createButton('expression', entry.expression, 'Use expression'));
+            item.appendChild(this.createButton('result', `= ${entry.result}`, 'Use result'));
+            item.appendChild(this.createButton('delete', '×', 'Delete entry'));
+
+            this.listElement.appendChild(item);
+        });
+    }
+
+    /**
+     * Creates one of the buttons of a history entry.
+     * @param {string} action - 'expression', 'result' or 'delete'
+     * @param {string} text - The button text
+     * @param {string} label - The accessible label
+     * @returns {HTMLButtonElement} The button
+     * @private
+     */
+    createButton(action, text, label) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `calculator-history-${action}`;
+        button.dataset.action = action;
+        button.textContent = text;
+        button.setAttribute('aria-label', `${label}: ${text}`);
+        return button;
+    }
+
+    /**
+     * Handles clicks on the entries.
+     * @param {MouseEvent} event - The click event
+     * @private
+     */
+    handleClick(event) {
+        const button = event.target.closest('button[data-action]');
+        const item = event.target.closest('.calculator-history-entry');
+        if (!button || !item) return;
+
+        const entry = this.core.getHistory().get(Number(item.dataset.id));
+        if (!entry) return;
+
+        switch (button.dataset.action) {
+            case 'expression':
+                this.core.dispatch({ type: 'load', value: entry.expression });
+                break;
+            case 'result':
+                this.core.dispatch({ type: 'load', value: entry.result });
+                break;
+            case 'delete':
+                this.core.dispatch({ type: 'removeHistoryEntry', id: entry.id });
+                break;
+        }
+    }
+}
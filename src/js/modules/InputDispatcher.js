@@ -0,0 +1,104 @@
+/**
+ * @fileoverview The single place where keyboard and clipboard input reaches
+ * the calculator. Key presses are looked up in the keymap and sent to the
+ * core as commands; keys that are not bound type their character.
+ */
+
+/**
+ * Class routing keyboard and clipboard input to the calculator core.
+ * Input into text fields and menus is left alone, as are unbound chords
+ * with Ctrl, Alt or Meta, so browser shortcuts such as Ctrl+R keep working.
+ * @class InputDispatcher
+ * @example
+ * const dispatcher = new InputDispatcher(core, new Keymap(localStorage), keypad);
+ * dispatcher.initialize();
+ */
+export class InputDispatcher {
+    /**
+     * Creates a new InputDispatcher instance.
+     * @constructor
+     * @param {CalculatorCore} core - The calculator core receiving the commands
+     * @param {Keymap} keymap - The key bindings
+     * @param {Keypad} keypad - The keypad, which knows the digits the active base can use
+     */
+    constructor(core, keymap, keypad) {
+        /** @private {CalculatorCore} The calculator core */
+        this.core = core;
+
+        /** @private {Keymap} The key bindings */
+        this.keymap = keymap;
+
+        /** @private {Keypad} The keypad */
+        this.keypad = keypad;
+    }
+
+    /**
+     * Starts listening to key presses and pastes on the document.
+     */
+    initialize() {
+        document.addEventListener('keydown', (event) => this.handleKeyDown(event));
+        document.addEventListener('paste', (event) => this.handlePaste(event));
+    }
+
+    /**
+     * Handles a key press: runs the command bound to its chord, or types
+     * its character.
+     * @param {KeyboardEvent} event - The keydown event
+     * @example
+     * dispatcher.handleKeyDown(new KeyboardEvent('keydown', { key: 'z', ctrlKey: true })); // Undoes
+     */
+    handleKeyDown(event) {
+        if (event.defaultPrevented || this.isEditable(event.target)) {
+            return;
+        }
+
+        const chord = this.keymap.getChord(event);
+        if (!chord) return;
+
+        const command = this.keymap.getCommand(chord);
+        if (command) {
+            event.preventDefault();
+            this.core.dispatch(command);
+            return;
+        }
+
+        if (event.ctrlKey || event.metaKey || event.altKey) {
+            return;
+        }
+
+        // The locale's decimal separator types '.', e.g. ',' in German
+        let key = this.core.getLocale().mapKey(event.key);
+        if (!this.keymap.isTypedKey(key)) {
+            return;
+        }
+        event.preventDefault();
+        // Hex digits are entered in lower case, as the keypad's A-F keys enter them
+        if (/^[A-F]$/.test(key)) {
+            key = key.toLowerCase();
+        }
+        if (/^[\d.]$/.test(key) && this.keypad.isDisabled(key)) {
+            return;
+        }
+        this.core.dispatch({ type: 'append', value: key });
+    }
+
+    /**
+     * Handles pasted numbers and expressions.
+     * @param {ClipboardEvent} event - The paste event
+     */
+    handlePaste(event) {
+        if (this.isEditable(event.target)) return;
+        event.preventDefault();
+        this.core.dispatch({ type: 'paste', text: event.clipboardData.getData('text') });
+    }
+
+    /**
+     * Checks whether an element handles keys itself, like a text field or menu.
+     * @private
+     * @param {EventTarget} target - The event target
+     * @returns {boolean} True if the calculator should leave the input alone
+     */
+    isEditable(target) {
+        return Boolean(target.closest?.('input, textarea, select, [contenteditable="true"]'));
+    }
+}
@@ -0,0 +1,165 @@
+/**
+ * @fileoverview Checks key presses against the expression being typed.
+ * Reads the input before the cursor with the engine's tokenizer, so it
+ * knows whether the next key starts a value, follows one or closes a
+ * parenthesis, and rejects keys that cannot continue the expression there.
+ */
+
+/**
+ * What an opening parenthesis after a value does: 'multiply' inserts the
+ * `*` it stands for, 'block' rejects it.
+ * @type {string[]}
+ */
+const PAREN_AFTER_NUMBER_MODES = ['multiply', 'block'];
+
+/**
+ * InputValidator class deciding whether a key can be typed at the cursor.
+ * The input before the cursor is read as tokens, whose last one puts it in
+ * one of these states:
+ * - 'start' – at the start, after '(', ',' or '='; a value must follow
+ * - 'operator' – after an infix or prefix operator; a value must follow
+ * - 'number' – after a number
+ * - 'name' – after a name, which '(' turns into a function call
+ * - 'operand' – after ')' or a postfix operator such as '!'
+ *
+ * Signs, digits and names can be typed in any state. Input the tokenizer
+ * cannot read yet, e.g. a half-typed fraction, is left to the calculation
+ * to report.
+ * @class InputValidator
+ * @example
+ * const validator = new InputValidator(engine);
+ * validator.check('1.5+2', '', '.'); // Returns '.'
+ * validator.check('2', '', '('); // Returns '*('
+ * validator.check('(1+2', '', ')'); // Returns ')'
+ * validator.check('', '', '*'); // Throws "Type a value before '*'"
+ */
+export class InputValidator {
+    /**
+     * Creates a new InputValidator instance.
+     * @constructor
+     * @param {CalculatorEngine} engine - The engine whose tokenizer and
+     *     operators define the expression syntax
+     */
+    constructor(engine) {
+        /** @private {CalculatorEngine} The calculation engine */
+        this.engine = engine;
+
+        /** @private {string} What '(' after a value does: 'multiply' or 'block' */
+        this.parenAfterNumber = 'multiply';
+    }
+
+    /**
+     * Sets what an opening parenthesis, or a function, typed right after a
+     * number, a closing parenthesis or a name does.
+     * @param {string} mode - 'multiply' to insert `*` before it, or 'block'
+     *     to reject it
+     * @throws {Error} If the mode is unknown
+     * @example
+     * validator.setParenAfterNumber('block');
+     * validator.check('2', '', '('); // Throws "Type an operator before '('"
+     */
+    setParenAfterNumber(mode) {
+        if (!PAREN_AFTER_NUMBER_MODES.includes(mode)) {
+            throw new Error(`Unknown parenthesis mode '${mode}'`);
+        }
+        this.parenAfterNumber = mode;
+    }
+
+    /**
+     * Checks a value typed at the cursor.
+     * @param {string} before - The input before the cursor, or before the selection
+     * @param {string} after - The input after the cursor, or after the selection
+     * @param {string} value - The typed value, e.g. '.', ')', '*' or 'sin('
+     * @returns {string} The text to insert: the value, or the value after
+     *     an implicit `*`
+     * @throws {Error} If the value cannot be typed there, with a message
+     *     saying why
+     * @example
+     * validator.check('1.5', '', '.'); // Throws 'This number already has a decimal point'
+     * validator.check('3', '', 'sqrt('); // Returns '*sqrt('
+     */
+    check(before, after, value) {
+        // One decimal point per number, counting the digits on both sides of the cursor
+        const number = `${before.match(/[\d.]*$/)[0]}${after.match(/^[\d.]*/)[0]}`;
+        if (value === '.' && number.includes('.')) {
+            throw new Error('This number already has a decimal point');
+        }
+
+        const scan = this.scan(before);
+        if (!scan) {
+            return value;
+        }
+        const { state, depth, isCall } = scan;
+        const symbol = value.trim();
+        const kind = this.engine.getOperatorKind(symbol);
+
+        if (value === ')') {
+            if (depth <= 0) {
+                throw new Error("There is no '(' to close");
+            }
+            // A function may be called without arguments, as in f()
+            if (state === 'operator' || (state === 'start' && !isCall)) {
+                throw new Error("Type a value before ')'");
+            }
+        }
+
+        if ((kind === 'infix' || kind === 'postfix') && (state === 'start' || state === 'operator')) {
+            throw new Error(`Type a value before '${symbol}'`);
+        }
+
+        // '(' after a name calls it, while a function after a name multiplies
+        const isImplicit = state === 'number' || state === 'operand' || (state === 'name' && value !== '(');
+        if (value.endsWith('(') && isImplicit) {
+            if (this.parenAfterNumber === 'block') {
+                throw new Error(`Type an operator before '${value}'`);
+            }
+            return `*${value}`;
+        }
+        return value;
+    }
+
+    /**
+     * Reads the state of the input: what its last token is, and how many
+     * parentheses are open.
+     * @param {string} text - The input before the cursor
+     * @returns {{state: string, depth: number, isCall: boolean}|null} The
+     *     state (see the class description), the number of open parentheses,
+     *     and whether the last '(' follows a name; null if the tokenizer
+     *     cannot read the text
+     * @example
+     * validator.scan('sqrt(2+'); // Returns { state: 'operator', depth: 1, isCall: false }
+     */
+    scan(text) {
+        let tokens;
+        try {
+            tokens = this.engine.tokenize(text);
+        } catch (error) {
+            return null;
+        }
+
+        let state = 'start';
+        let depth = 0;
+        let isCall = false;
+        tokens.forEach(({ type, value }) => {
+            isCall = false;
+            if (type === 'number') {
+                state = 'number';
+            } else if (type === 'identifier') {
+                state = 'name';
+            } else if (type === 'operator') {
+                state = this.engine.getOperatorKind(value) === 'postfix' ? 'operand' : 'operator';
+            } else if (value === '(') {
+                isCall = state === 'name';
+                state = 'start';
+                depth++;
+            } else if (value === ')') {
+                state = 'operand';
+                depth--;
+            } else {
+                // A comma between arguments, or the '=' of an assignment
+                state = 'start';
+            }
+        });
+        return { state, depth, isCall };
+    }
+}
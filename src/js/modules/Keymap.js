@@ -0,0 +1,324 @@
+/**
+ * @fileoverview Keymap mapping keys and key chords to named commands.
+ * Holds the default bindings, the user's changes to them and their
+ * persistence, independent of the page.
+ */
+
+import { MemoryStorage } from './MemoryStorage.js';
+
+/**
+ * Commands that keys can be bound to, in the order they are listed, with
+ * their label, the core command they send and their default chords.
+ * @type {Object<string, {label: string, command: {type: string}, keys: string[]}>}
+ */
+const COMMANDS = {
+    calculate: { label: 'Calculate', command: { type: 'calculate' }, keys: ['Enter'] },
+    equals: { label: 'Equals (or start an assignment)', command: { type: 'equals' }, keys: ['='] },
+    clear: { label: 'Clear', command: { type: 'clear' }, keys: ['Escape'] },
+    backspace: { label: 'Delete before the cursor', command: { type: 'backspace' }, keys: ['Backspace'] },
+    deleteForward: { label: 'Delete after the cursor', command: { type: 'deleteForward' }, keys: ['Delete'] },
+    undo: { label: 'Undo', command: { type: 'undo' }, keys: ['Ctrl+Z', 'Meta+Z'] },
+    redo: { label: 'Redo', command: { type: 'redo' }, keys: ['Ctrl+Y', 'Ctrl+Shift+Z', 'Meta+Shift+Z'] },
+    cursorLeft: { label: 'Cursor left', command: { type: 'moveCursor', direction: 'left' }, keys: ['ArrowLeft'] },
+    cursorRight: { label: 'Cursor right', command: { type: 'moveCursor', direction: 'right' }, keys: ['ArrowRight'] },
+    cursorHome: { label: 'Cursor to start', command: { type: 'moveCursor', direction: 'home' }, keys: ['Home'] },
+    cursorEnd: { label: 'Cursor to end', command: { type: 'moveCursor', direction: 'end' }, keys: ['End'] },
+    selectLeft: { label: 'Select left', command: { type: 'moveCursor', direction: 'left', extend: true }, keys: ['Shift+ArrowLeft'] },
+    selectRight: { label: 'Select right', command: { type: 'moveCursor', direction: 'right', extend: true }, keys: ['Shift+ArrowRight'] },
+    selectHome: { label: 'Select to start', command: { type: 'moveCursor', direction: 'home', extend: true }, keys: ['Shift+Home'] },
+    selectEnd: { label: 'Select to end', command: { type: 'moveCursor', direction: 'end', extend: true }, keys: ['Shift+End'] },
+    memoryStore: { label: 'Memory store (MS)', command: { type: 'memoryStore' }, keys: ['Alt+M'] },
+    memoryAdd: { label: 'Memory add (M+)', command: { type: 'memoryAdd' }, keys: ['Alt+P'] },
+    memorySubtract: { label: 'Memory subtract (M-)', command: { type: 'memorySubtract' }, keys: ['Alt+Q'] },
+    memoryRecall: { label: 'Memory recall (MR)', command: { type: 'memoryRecall' }, keys: ['Alt+R'] },
+    memoryClear: { label: 'Memory clear (MC)', command: { type: 'memoryClear' }, keys: ['Alt+L'] },
+    fractionBar: { label: 'Fraction bar (a⁄b)', command: { type: 'fractionBar' }, keys: [] },
+    cycleAngleMode: { label: 'Next angle mode', command: { type: 'cycleAngleMode' }, keys: [] },
+    toggleFractionOutput: { label: 'Fraction or decimal output (S⇔D)', command: { type: 'toggleFractionOutput' }, keys: [] },
+    toggleComplexOutput: { label: 'Rectangular or polar output (R⇔P)', command: { type: 'toggleComplexOutput' }, keys: [] }
+};
+
+/**
+ * Modifier keys, in the order they are written in a chord.
+ * @type {Array<[string, string]>}
+ */
+const MODIFIERS = [['ctrlKey', 'Ctrl'], ['altKey', 'Alt'], ['shiftKey', 'Shift'], ['metaKey', 'Meta']];
+
+/**
+ * Keys that only modify other keys and cannot be bound on their own.
+ * @type {string[]}
+ */
+const MODIFIER_KEYS = ['Control', 'Alt', 'AltGraph', 'Shift', 'Meta', 'OS', 'CapsLock', 'Dead', 'Unidentified'];
+
+/**
+ * Characters typed into the expression by their key. Letters allow typing
+ * function names, constants, hex digits, units and scientific notation such
+ * as 1.5e-7; commas separate arguments and spaces separate numbers from units.
+ * Upper case A-F are hex digits typed with Shift or Caps Lock.
+ * @type {RegExp}
+ */
+const TYPED_KEYS = /^[\d+\-*/.,^!%()a-zA-F&|~<> ]$/;
+
+/**
+ * Storage key of the user's bindings.
+ * @type {string}
+ */
+const STORAGE_KEY = 'calculatorKeymap';
+
+/**
+ * Keymap class holding the chords bound to each command.
+ * A chord is written as its modifiers and key joined by '+', e.g.
+ * 'Ctrl+Shift+Z', 'Shift+ArrowLeft', 'Enter' or '='. Letters are written in
+ * upper case and need Shift to be typed in upper case; other characters
+ * are written as typed, without the Shift that typed them. A chord is bound
+ * to at most one command, while a command can have several chords. Keys
+ * that type a character into the expression, such as `5` or `S`, cannot be
+ * bound without a modifier.
+ * @class Keymap
+ * @example
+ * const keymap = new Keymap(localStorage);
+ * keymap.getCommand('Ctrl+Z'); // Returns { type: 'undo' }
+ * keymap.bind('memoryRecall', 'Alt+K');
+ * keymap.findConflict('Enter'); // Returns 'calculate'
+ */
+export class Keymap {
+    /**
+     * Creates a new Keymap instance and loads the saved bindings.
+     * @constructor
+     * @param {Storage|MemoryStorage} [storage] - Where the bindings are saved,
+     *     e.g. localStorage; defaults to an in-memory store
+     */
+    constructor(storage = new MemoryStorage()) {
+        /** @private {Storage|MemoryStorage} Where the bindings are saved */
+        this.storage = storage;
+
+        /** @private {Map<string, string[]>} Chords bound to each command, by command name */
+        this.bindings = new Map();
+
+        this.initialize();
+    }
+
+    /**
+     * Loads the saved bindings. Commands without saved bindings, e.g. ones
+     * added since they were saved, get their default chords unless another
+     * command took them.
+     * @private
+     */
+    initialize() {
+        let saved = null;
+        try {
+            saved = JSON.parse(this.storage.getItem(STORAGE_KEY));
+        } catch (error) {
+            // Ignore a corrupt keymap and use the defaults
+        }
+
+        const used = new Set();
+        Object.keys(COMMANDS).forEach((name) => {
+            const chords = saved?.[name];
+            if (Array.isArray(chords)) {
+                const valid = chords.filter((chord) => typeof chord === 'string' && !used.has(chord) && !this.typesCharacter(chord));
+                valid.forEach((chord) => used.add(chord));
+                this.bindings.set(name, valid);
+            }
+        });
+        Object.entries(COMMANDS).forEach(([name, { keys }]) => {
+            if (!this.bindings.has(name)) {
+                const available = keys.filter((chord) => !used.has(chord));
+                available.forEach((chord) => used.add(chord));
+                this.bindings.set(name, available);
+            }
+        });
+    }
+
+    /**
+     * Gets the chord of a key press.
+     * @param {KeyboardEvent} event - The keydown event
+     * @returns {string|null} The chord, or null for a modifier key on its own
+     * @example
+     * keymap.getChord(event); // Returns 'Ctrl+Shift+Z' when Ctrl, Shift and Z are pressed
+     */
+    getChord(event) {
+        let key = event.key;
+        if (!key || MODIFIER_KEYS.includes(key)) {
+            return null;
+        }
+
+        // Alt changes the character of letters on some keyboards, e.g. Alt+M types µ on a Mac
+        if (event.altKey && /^Key[A-Z]$/.test(event.code)) {
+            key = event.code.slice(3);
+        }
+        if (key === ' ') {
+            key = 'Space';
+        }
+
+        const isLetter = /^[a-z]$/i.test(key);
+        const isCharacter = [...key].length === 1;
+        const modifiers = MODIFIERS
+            // Shift is part of the character typed, e.g. '+' or '(', except for letters
+            .filter(([property, name]) => event[property] && (name !== 'Shift' || isLetter || !isCharacter))
+            .map(([, name]) => name);
+        return [...modifiers, isLetter ? key.toUpperCase() : key].join('+');
+    }
+
+    /**
+     * Checks whether a key types its character into the expression when no
+     * command is bound to it.
+     * @param {string} key - The key's character, e.g. '5', 's' or '('
+     * @returns {boolean} True if the key is typed
+     * @example
+     * keymap.isTypedKey('('); // Returns true
+     * keymap.isTypedKey('Enter'); // Returns false
+     */
+    isTypedKey(key) {
+        return TYPED_KEYS.test(key);
+    }
+
+    /**
+     * Checks whether a chord is a key that types a character, such as `5`,
+     * `S` (typing s) or `Space`, which would stop typing it if it were bound.
+     * @param {string} chord - The chord
+     * @returns {boolean} True if the chord types a character
+     * @example
+     * keymap.typesCharacter('S'); // Returns true
+     * keymap.typesCharacter('Alt+S'); // Returns false
+     */
+    typesCharacter(chord) {
+        if (chord === 'Space') {
+            return this.isTypedKey(' ');
+        }
+        if (/^(Shift\+)?[A-Z]$/.test(chord)) {
+            const letter = chord.slice(-1);
+            return this.isTypedKey(chord.length === 1 ? letter.toLowerCase() : letter);
+        }
+        return this.isTypedKey(chord);
+    }
+
+    /**
+     * Gets the core command bound to a chord.
+     * @param {string} chord - The chord
+     * @returns {Object|null} The command to dispatch, or null if the chord is not bound
+     * @example
+     * keymap.getCommand('Shift+ArrowLeft'); // Returns { type: 'moveCursor', direction: 'left', extend: true }
+     */
+    getCommand(chord) {
+        const name = this.findConflict(chord);
+        return name ? { ...COMMANDS[name].command } : null;
+    }
+
+    /**
+     * Finds the command a chord is bound to.
+     * @param {string} chord - The chord
+     * @param {string} [except] - A command to ignore, e.g. the one being bound
+     * @returns {string|null} The command name, or null if no other command uses the chord
+     * @example
+     * keymap.findConflict('Ctrl+Z', 'redo'); // Returns 'undo'
+     */
+    findConflict(chord, except) {
+        for (const [name, chords] of this.bindings) {
+            if (name !== except && chords.includes(chord)) {
+                return name;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Binds a chord to a command.
+     * @param {string} name - The command name
+     * @param {string} chord - The chord
+     * @param {Object} [options] - Binding options
+     * @param {boolean} [options.replace=false] - Whether to take the chord
+     *     from a command it is bound to
+     * @throws {Error} If the command is unknown, the chord types a
+     *     character, or the chord is bound to another command and `replace`
+     *     is not set
+     * @example
+     * keymap.bind('memoryStore', 'Alt+S');
+     * keymap.bind('redo', 'Ctrl+Z', { replace: true }); // Ctrl+Z no longer undoes
+     * keymap.bind('memoryStore', 'S'); // Throws: S types a character
+     */
+    bind(name, chord, { replace = false } = {}) {
+        this.assertCommand(name);
+        if (this.typesCharacter(chord)) {
+            throw new Error(`${chord} types a character; add Ctrl, Alt or Meta to use it as a shortcut`);
+        }
+        const conflict = this.findConflict(chord, name);
+        if (conflict && !replace) {
+            throw new Error(`${chord} is already used for ${COMMANDS[conflict].label}`);
+        }
+        if (conflict) {
+            this.bindings.set(conflict, this.bindings.get(conflict).filter((bound) => bound !== chord));
+        }
+        if (!this.bindings.get(name).includes(chord)) {
+            this.bindings.get(name).push(chord);
+        }
+        this.save();
+    }
+
+    /**
+     * Removes a chord from a command.
+     * @param {string} name - The command name
+     * @param {string} chord - The chord
+     * @throws {Error} If the command is unknown
+     * @example
+     * keymap.unbind('clear', 'Escape');
+     */
+    unbind(name, chord) {
+        this.assertCommand(name);
+        this.bindings.set(name, this.bindings.get(name).filter((bound) => bound !== chord));
+        this.save();
+    }
+
+    /**
+     * Restores the default bindings of all commands.
+     * @example
+     * keymap.reset();
+     */
+    reset() {
+        Object.entries(COMMANDS).forEach(([name, { keys }]) => this.bindings.set(name, [...keys]));
+        this.storage.removeItem(STORAGE_KEY);
+    }
+
+    /**
+     * Gets all commands with their bindings, in display order.
+     * @returns {Array<{name: string, label: string, chords: string[]}>} The bindings
+     */
+    getBindings() {
+        return Object.entries(COMMANDS).map(([name, { label }]) => ({
+            name,
+            label,
+            chords: [...this.bindings.get(name)]
+        }));
+    }
+
+    /**
+     * Gets the label of a command.
+     * @param {string} name - The command name
+     * @returns {string} The label
+     * @throws {Error} If the command is unknown
+     */
+    getLabel(name) {
+        this.assertCommand(name);
+        return COMMANDS[name].label;
+    }
+
+    /**
+     * Throws if a command does not exist.
+     * @private
+     * @param {string} name - The command name
+     * @throws {Error} If the command does not exist
+     */
+    assertCommand(name) {
+        if (!Object.hasOwn(COMMANDS, name)) {
+            throw new Error(`Unknown command '${name}'`);
+        }
+    }
+
+    /**
+     * Saves the bindings to storage.
+     * @private
+     */
+    save() {
+        this.storage.setItem(STORAGE_KEY, JSON.stringify(Object.fromEntries(this.bindings)));
+    }
+}
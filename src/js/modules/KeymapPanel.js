@@ -0,0 +1,249 @@
+/**
+ * @fileoverview Manages the keyboard settings screen.
+ */
+
+/**
+ * Class representing the keyboard settings screen.
+ * Lists every command with the keys bound to it, and lets the user add a
+ * key by pressing it, remove keys and restore the defaults. A key that is
+ * already used for another command is only moved after confirmation, and a
+ * key that types a character needs a modifier.
+ */
+export class KeymapPanel {
+    /**
+     * Creates a new KeymapPanel instance.
+     * @param {Keymap} keymap - The key bindings to edit
+     */
+    constructor(keymap) {
+        /** @private {Keymap} The key bindings */
+        this.keymap = keymap;
+
+        /** @private {HTMLElement|null} The settings screen */
+        this.panelElement = null;
+
+        /** @private {HTMLElement|null} The list element holding the commands */
+        this.listElement = null;
+
+        /** @private {HTMLElement|null} Where conflicts and hints are shown */
+        this.messageElement = null;
+
+        /** @private {HTMLElement|null} The header button opening the screen */
+        this.toggleButton = null;
+
+        /** @private {string|null} Command waiting for a key press */
+        this.capturing = null;
+
+        /** @private {{name: string, chord: string}|null} Binding waiting for confirmation of its conflict */
+        this.pending = null;
+
+        /** @private {string|null} Why the last key pressed for the waiting command was not bound */
+        this.rejection = null;
+
+        /** @private {boolean} True while the list is rebuilt, which takes the focus off its buttons */
+        this.isRendering = false;
+    }
+
+    /**
+     * Initializes the panel by getting DOM elements and rendering the bindings.
+     */
+    initialize() {
+        this.panelElement = document.querySelector('.calculator-keymap-panel');
+        this.listElement = document.querySelector('.calculator-keymap-list');
+        this.messageElement = document.querySelector('.calculator-keymap-message');
+        this.toggleButton = document.getElementById('keymapToggle');
+        if (!this.panelElement || !this.listElement) {
+            console.error('Keymap panel element not found');
+            return;
+        }
+
+        this.toggleButton?.addEventListener('click', () => this.setOpen(this.panelElement.hidden));
+        this.panelElement.addEventListener('click', (event) => this.handleClick(event));
+        this.listElement.addEventListener('keydown', (event) => this.handleKeyDown(event));
+        this.listElement.addEventListener('focusout', (event) => {
+            // Cancel in place, so a button being clicked is not replaced under the pointer
+            if (this.capturing && !this.isRendering && event.target.dataset.action === 'add') {
+                event.target.textContent = '+';
+                event.target.setAttribute('aria-label', `Add a key for ${this.keymap.getLabel(this.capturing)}`);
+                this.capturing = null;
+                this.renderMessage();
+            }
+        });
+        this.render();
+    }
+
+    /**
+     * Opens or closes the settings screen.
+     * @param {boolean} isOpen - True to open it
+     * @example
+     * keymapPanel.setOpen(true);
+     */
+    setOpen(isOpen) {
+        if (!this.panelElement) return;
+
+        this.panelElement.hidden = !isOpen;
+        this.toggleButton?.setAttribute('aria-expanded', String(isOpen));
+        if (!isOpen) {
+            this.capturing = null;
+            this.pending = null;
+            this.render();
+        }
+    }
+
+    /**
+     * Renders the commands with their keys, the one waiting for a key and
+     * any unconfirmed conflict.
+     */
+    render() {
+        if (!this.listElement) return;
+
+        this.isRendering = true;
+        this.listElement.innerHTML = '';
+        this.keymap.getBindings().forEach(({ name, label, chords }) => {
+            const item = document.createElement('li');
+            item.className = 'calculator-keymap-command';
+            item.dataset.command = name;
+
+            const labelElement = document.createElement('span');
+            labelElement.className = 'calculator-keymap-label';
+            labelElement.textContent = label;
+            item.appendChild(labelElement);
+
+            chords.forEach((chord) => {
+                const key = document.createElement('span');
+                key.className = 'calculator-keymap-key';
+                key.innerHTML = '<kbd></kbd><button type="button" data-action="remove">×</button>';
+                key.querySelector('kbd').textContent = chord;
+                key.querySelector('button').dataset.chord = chord;
+                key.querySelector('button').setAttribute('aria-label', `Remove ${chord} from ${label}`);
+                item.appendChild(key);
+            });
+
+            const addButton = document.createElement('button');
+            addButton.type = 'button';
+            addButton.dataset.action = 'add';
+            addButton.className = 'calculator-keymap-add';
+            addButton.textContent = this.capturing === name ? 'Press a key…' : '+';
+            addButton.setAttribute('aria-label', this.capturing === name ? `Press a key for ${label}` : `Add a key for ${label}`);
+            item.appendChild(addButton);
+
+            this.listElement.appendChild(item);
+        });
+
+        if (this.capturing) {
+            this.listElement.querySelector(`[data-command="${this.capturing}"] [data-action="add"]`)?.focus();
+        }
+        this.isRendering = false;
+        this.renderMessage();
+    }
+
+    /**
+     * Shows the unconfirmed conflict with buttons to replace or cancel, or
+     * how to add a key while one is awaited.
+     * @private
+     */
+    renderMessage() {
+        if (!this.messageElement) return;
+
+        this.messageElement.innerHTML = '';
+        if (this.pending) {
+            const { name, chord } = this.pending;
+            const conflict = this.keymap.findConflict(chord, name);
+            const text = document.createElement('span');
+            text.textContent = `${chord} is used for ${this.keymap.getLabel(conflict)}. Use it for ${this.keymap.getLabel(name)} instead?`;
+            const replaceButton = document.createElement('button');
+            replaceButton.type = 'button';
+            replaceButton.dataset.action = 'replace';
+            replaceButton.textContent = 'Replace';
+            const cancelButton = document.createElement('button');
+            cancelButton.type = 'button';
+            cancelButton.dataset.action = 'cancel';
+            cancelButton.textContent = 'Cancel';
+            this.messageElement.append(text, replaceButton, cancelButton);
+            this.messageElement.classList.add('error');
+        } else if (this.capturing && this.rejection) {
+            this.messageElement.textContent = this.rejection;
+            this.messageElement.classList.add('error');
+        } else {
+            this.messageElement.textContent = this.capturing ? 'Press the key or chord to add, or Escape to cancel.' : '';
+            this.messageElement.classList.remove('error');
+        }
+    }
+
+    /**
+     * Handles clicks on the buttons of the screen.
+     * @param {MouseEvent} event - The click event
+     * @private
+     */
+    handleClick(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+
+        const name = button.closest('.calculator-keymap-command')?.dataset.command;
+        this.rejection = null;
+        switch (button.dataset.action) {
+            case 'add':
+                this.pending = null;
+                this.capturing = this.capturing === name ? null : name;
+                break;
+            case 'remove':
+                this.keymap.unbind(name, button.dataset.chord);
+                break;
+            case 'replace':
+                this.keymap.bind(this.pending.name, this.pending.chord, { replace: true });
+                this.pending = null;
+                break;
+            case 'cancel':
+                this.pending = null;
+                break;
+            case 'reset':
+                this.keymap.reset();
+                this.capturing = null;
+                this.pending = null;
+                break;
+            case 'close':
+                this.setOpen(false);
+                return;
+            default:
+                return;
+        }
+        this.render();
+    }
+
+    /**
+     * Binds the key pressed while a command waits for one. The key does not
+     * reach the calculator. Escape cancels the wait, and Tab and Shift+Tab
+     * move the focus as usual, which also cancels it.
+     * @param {KeyboardEvent} event - The keydown event
+     * @private
+     */
+    handleKeyDown(event) {
+        if (!this.capturing || event.target.dataset.action !== 'add') return;
+
+        const chord = this.keymap.getChord(event);
+        if (!chord || chord === 'Tab' || chord === 'Shift+Tab') return;
+
+        event.preventDefault();
+        event.stopPropagation();
+        if (chord === 'Escape') {
+            this.capturing = null;
+            this.rejection = null;
+            this.render();
+            return;
+        }
+        if (this.keymap.typesCharacter(chord)) {
+            // Keep waiting, so the key can be pressed again with a modifier
+            this.rejection = `${chord} types a character. Press it with Ctrl, Alt or Meta.`;
+            this.renderMessage();
+            return;
+        }
+        const name = this.capturing;
+        this.capturing = null;
+        this.rejection = null;
+        if (this.keymap.findConflict(chord, name)) {
+            this.pending = { name, chord };
+        } else {
+            this.keymap.bind(name, chord);
+        }
+        this.render();
+    }
+}
@@ -1,201 +1,291 @@
 /**
  * @fileoverview Manages the calculator keypad and button interactions.
+ * The buttons are built from the active layout of the core's layout
+ * library; they send commands to the calculator core, and their labels and
+ * enabled state follow the core's state.
  */
 
+/**
+ * CSS classes of the button types.
+ * @type {Object<string, string>}
+ */
+const TYPE_CLASSES = {
+    number: 'number-button',
+    operation: 'operation-button',
+    function: 'function-button',
+    edit: 'function-button',
+    mode: 'function-button',
+    radix: 'function-button',
+    shift: 'function-button',
+    memory: 'memory-button',
+    scientific: 'scientific-button'
+};
+
+/**
+ * Labels that show a setting, by the command of the button.
+ * @type {Object<string, function(Object): string>}
+ */
+const STATE_LABELS = {
+    cycleAngleMode: ({ settings }) => settings.angleMode,
+    cycleWordSize: ({ settings }) => `${settings.wordSize}-bit`,
+    toggleSigned: ({ settings }) => (settings.signed ? 'Signed' : 'Unsigned')
+};
+
+/**
+ * Commands that make no sense with integers, disabled in programmer mode.
+ * @type {string[]}
+ */
+const NON_INTEGER_COMMANDS = ['fractionBar', 'toggleFractionOutput'];
+
 /**
  * Class representing the calculator keypad.
  */
 export class Keypad {
     /**
      * Creates a new Keypad instance.
-     * @param {Display} display - The display module instance
-     * @param {Calculator} calculator - The calculator instance
+     * @param {CalculatorCore} core - The calculator core the buttons control
      */
-    constructor(display, calculator) {
-        /** @private {Display} The display module instance */
-        this.display = display;
-        
-        /** @private {Calculator} The calculator instance */
-        this.calculator = calculator;
-        
-        /** @private {Object} Button definitions */
-        this.buttons = {
-            // Memory buttons
-            'M+': { type: 'memory', value: 'M+', order: 0 },
-            'M-': { type: 'memory', value: 'M-', order: 1 },
-            'MR': { type: 'memory', value: 'MR', order: 2 },
-            'MC': { type: 'memory', value: 'MC', order: 3 },
-            
-            // Functions
-            'C': { type: 'function', value: 'C', order: 4 },
-            '⌫': { type: 'function', value: '⌫', order: 5 },
-            '(': { type: 'function', value: '(', order: 6 },
-            ')': { type: 'function', value: ')', order: 7 },
-            
-            // Numbers and operations
-            '7': { type: 'number', value: '7', order: 8 },
-            '8': { type: 'number', value: '8', order: 9 },
-            '9': { type: 'number', value: '9', order: 10 },
-            '/': { type: 'operation', value: '/', order: 11 },
-            
-            '4': { type: 'number', value: '4', order: 12 },
-            '5': { type: 'number', value: '5', order: 13 },
-            '6': { type: 'number', value: '6', order: 14 },
-            '*': { type: 'operation', value: '*', order: 15 },
-            
-            '1': { type: 'number', value: '1', order: 16 },
-            '2': { type: 'number', value: '2', order: 17 },
-            '3': { type: 'number', value: '3', order: 18 },
-            '-': { type: 'operation', value: '-', order: 19 },
-            
-            '0': { type: 'number', value: '0', order: 20 },
-            '.': { type: 'number', value: '.', order: 21 },
-            '=': { type: 'function', value: '=', order: 22 },
-            '+': { type: 'operation', value: '+', order: 23 }
-        };
-        
-        this.initialize();
+    constructor(core) {
+        /** @private {CalculatorCore} The calculator core */
+        this.core = core;
+
+        /** @private {HTMLElement|null} The keypad container */
+        this.container = null;
+
+        /** @private {Object|null} The layout the buttons were built from */
+        this.layout = null;
+
+        /** @private {Array<{element: HTMLButtonElement, button: Object}>} The buttons with their definitions */
+        this.buttonElements = [];
+
+        /** @private {boolean} Whether the next button press uses its second function */
+        this.isShifted = false;
+
+        /** @private {Object|null} The last state shown */
+        this.state = null;
     }
 
     /**
-     * Initializes the keypad by creating buttons and setting up event listeners.
-     * @private
+     * Initializes the keypad by subscribing to the core and building the
+     * buttons of its layout.
      */
     initialize() {
-        const keypadContainer = document.querySelector('.calculator-keypad');
-        if (!keypadContainer) {
+        this.container = document.querySelector('.calculator-keypad');
+        if (!this.container) {
             console.error('Keypad container not found');
             return;
         }
 
-        // Clear any existing buttons
-        keypadContainer.innerHTML = '';
-
-        // Create memory buttons container
-        const memoryContainer = document.createElement('div');
-        memoryContainer.className = 'calculator-memory-buttons';
-        keypadContainer.appendChild(memoryContainer);
-
-        // Create main buttons container
-        const mainContainer = document.createElement('div');
-        mainContainer.className = 'calculator-main-buttons';
-        keypadContainer.appendChild(mainContainer);
-
-        // Sort buttons by order
-        const sortedButtons = Object.entries(this.buttons)
-            .sort(([, a], [, b]) => a.order - b.order);
-
-        // Create buttons
-        sortedButtons.forEach(([key, button]) => {
-            const buttonElement = document.createElement('button');
-            buttonElement.textContent = button.value;
-            buttonElement.dataset.type = button.type;
-            buttonElement.dataset.value = button.value;
-            buttonElement.classList.add('calculator-button');
-            
-            // Add specific classes based on button type
-            switch (button.type) {
-                case 'number':
-                    buttonElement.classList.add('number-button');
-                    break;
-                case 'operation':
-                    buttonElement.classList.add('operation-button');
-                    break;
-                case 'function':
-                    buttonElement.classList.add('function-button');
-                    break;
-                case 'memory':
-                    buttonElement.classList.add('memory-button');
-                    break;
+        // An imported layout may replace the active one under the same name
+        this.core.on('layouts', () => {
+            this.layout = null;
+            this.render(this.core.getState());
+        });
+        this.core.on('change', (state) => this.render(state));
+        this.render(this.core.getState());
+    }
+
+    /**
+     * Shows a state of the core: the buttons of its layout, the ones that
+     * can be used with its base and number mode, and the labels of the mode
+     * buttons.
+     * @param {Object} state - The state, as returned by `CalculatorCore.getState`
+     * @example
+     * keypad.render(core.getState());
+     */
+    render(state) {
+        if (!this.container) return;
+
+        this.state = state;
+        const layout = this.core.getLayouts().get(state.settings.layout);
+        if (layout !== this.layout) {
+            this.layout = layout;
+            this.isShifted = false;
+            this.build();
+        }
+        this.updateButtons();
+    }
+
+    /**
+     * Checks whether a typed digit or decimal point cannot be entered, e.g.
+     * a digit that is not valid in the active base.
+     * @param {string} value - The typed key
+     * @returns {boolean} True if the value cannot be entered
+     */
+    isDisabled(value) {
+        if (this.state?.numberMode !== 'programmer') {
+            return false;
+        }
+        const radix = this.core.getEngine().getRadixes()[this.state.settings.radix];
+        return value === '.' || parseInt(value, 36) >= radix;
+    }
+
+    /**
+     * Builds the sections and buttons of the layout. Each row of a section
+     * starts a grid row; buttons go to the next free cell, skipping cells
+     * covered by a button above that spans several rows.
+     * @private
+     */
+    build() {
+        this.container.innerHTML = '';
+        this.buttonElements = [];
+        this.container.dataset.layout = this.layout.name;
+
+        this.layout.sections.forEach(({ columns, size = 'normal', rows }) => {
+            const sectionElement = document.createElement('div');
+            sectionElement.className = 'calculator-keypad-section';
+            if (size !== 'normal') {
+                sectionElement.classList.add(size);
             }
-            
-            // Add click event listener
-            buttonElement.addEventListener('click', () => {
-                this.handleButtonClick(button.value);
+            sectionElement.style.gridTemplateColumns = `repeat(${columns}, 1fr)`;
+
+            const covered = new Set();
+            rows.forEach((row, rowIndex) => {
+                let column = 0;
+                row.forEach((button) => {
+                    while (covered.has(`${rowIndex},${column}`)) {
+                        column++;
+                    }
+                    if (button === null) {
+                        column++;
+                        return;
+                    }
+                    const span = Math.min(button.span || 1, Math.max(1, columns - column));
+                    const rowSpan = button.rowSpan || 1;
+                    for (let r = rowIndex; r < rowIndex + rowSpan; r++) {
+                        for (let c = column; c < column + span; c++) {
+                            covered.add(`${r},${c}`);
+                        }
+                    }
+
+                    const element = this.createButton(button);
+                    element.style.gridRow = `${rowIndex + 1} / span ${rowSpan}`;
+                    element.style.gridColumn = `${column + 1} / span ${span}`;
+                    element.classList.toggle('spanned', span > 1 || rowSpan > 1);
+                    sectionElement.appendChild(element);
+                    column += span;
+                });
             });
-            
-            // Add to appropriate container
-            if (button.type === 'memory') {
-                memoryContainer.appendChild(buttonElement);
-            } else {
-                mainContainer.appendChild(buttonElement);
-            }
+            this.container.appendChild(sectionElement);
         });
+    }
+
+    /**
+     * Creates the element of a button.
+     * @param {Object} button - The button definition
+     * @returns {HTMLButtonElement} The button element
+     * @private
+     */
+    createButton(button) {
+        const element = document.createElement('button');
+        element.type = 'button';
+        element.textContent = button.label;
+        element.dataset.type = button.type;
+        element.classList.add('calculator-button');
+        if (TYPE_CLASSES[button.type]) {
+            element.classList.add(TYPE_CLASSES[button.type]);
+        }
+        if (button.command) {
+            element.dataset.command = button.command.type;
+            const value = button.command.value ?? button.command.radix;
+            if (value !== undefined) {
+                element.dataset.value = value;
+            }
+        }
+        if (button.title) {
+            element.title = button.title;
+            element.setAttribute('aria-label', button.title);
+        }
 
-        // Add keyboard event listener
-        document.addEventListener('keydown', (event) => {
-            this.handleKeyboardInput(event);
+        element.addEventListener('click', () => this.handleButtonClick(button));
+        this.buttonElements.push({ element, button });
+        return element;
+    }
+
+    /**
+     * Updates the labels, the disabled buttons and the pressed base and
+     * shift buttons. While shift is on, buttons with a second function show
+     * and send it.
+     * @private
+     */
+    updateButtons() {
+        const { settings } = this.state;
+        this.buttonElements.forEach(({ element, button }) => {
+            if (button.type === 'shift') {
+                element.setAttribute('aria-pressed', String(this.isShifted));
+                return;
+            }
+
+            const active = this.isShifted && button.shift ? button.shift : button;
+            const { command } = active;
+            element.textContent = this.getLabel(active);
+            element.classList.toggle('shifted', active !== button);
+            if (command.type === 'setRadix') {
+                element.setAttribute('aria-pressed', String(command.radix === settings.radix));
+            } else {
+                element.disabled = this.isButtonDisabled(active, button);
+            }
         });
     }
 
     /**
-     * Handles button click events.
-     * @param {string} value - The button value
+     * Gets the label of a button or its second function: the setting it
+     * shows, the local decimal separator, or its own label.
+     * @param {{label: string, command: Object}} active - The button or its second function
+     * @returns {string} The label
      * @private
      */
-    handleButtonClick(value) {
-        switch (value) {
-            case 'M+':
-                this.calculator.memoryAdd();
-                break;
-            case 'M-':
-                this.calculator.memorySubtract();
-                break;
-            case 'MR':
-                this.calculator.memoryRecall();
-                break;
-            case 'MC':
-                this.calculator.memoryClear();
-                break;
-            case 'C':
-                this.calculator.clear();
-                break;
-            case '⌫':
-                this.calculator.backspace();
-                break;
-            case '=':
-                this.calculator.calculate();
-                break;
-            default:
-                this.calculator.appendValue(value);
+    getLabel({ label, command }) {
+        if (STATE_LABELS[command.type]) {
+            return STATE_LABELS[command.type](this.state);
+        }
+        if (command.type === 'append' && command.value === '.') {
+            return this.core.getLocale().getDecimalSeparator();
         }
+        return label;
     }
 
     /**
-     * Handles keyboard input events.
-     * @param {KeyboardEvent} event - The keyboard event
+     * Checks whether a button cannot be used: a digit that is not valid in
+     * the active base, fraction keys with integers, complex keys outside
+     * complex mode, or undo and redo without a step to take.
+     * @param {{command: Object}} active - The button or its second function
+     * @param {Object} button - The button
+     * @returns {boolean} True if the button is disabled
      * @private
      */
-    handleKeyboardInput(event) {
-        const key = event.key;
-        
-        // Prevent default behavior for calculator keys
-        if (this.isCalculatorKey(key)) {
-            event.preventDefault();
+    isButtonDisabled({ command }, button) {
+        const { numberMode, canUndo, canRedo } = this.state;
+        if (button.complex && numberMode !== 'complex') {
+            return true;
         }
-        
-        // Map keyboard keys to calculator functions
-        const keyMap = {
-            'Enter': '=',
-            'Escape': 'C',
-            'Backspace': '⌫',
-            'Delete': 'C'
-        };
-        
-        const value = keyMap[key] || key;
-        if (this.buttons[value]) {
-            this.handleButtonClick(value);
+        if (numberMode === 'programmer' && NON_INTEGER_COMMANDS.includes(command.type)) {
+            return true;
         }
+        if (button.type === 'number' && command.type === 'append' && this.isDisabled(command.value)) {
+            return true;
+        }
+        return (command.type === 'undo' && !canUndo) || (command.type === 'redo' && !canRedo);
     }
 
     /**
-     * Checks if a keyboard key is used by the calculator.
-     * @param {string} key - The keyboard key
-     * @returns {boolean} True if the key is used by the calculator
+     * Handles button click events. The shift button switches the next
+     * press to the second functions.
+     * @param {Object} button - The button definition
      * @private
      */
-    isCalculatorKey(key) {
-        return Object.keys(this.buttons).includes(key) ||
-               ['Enter', 'Escape', 'Backspace', 'Delete'].includes(key);
+    handleButtonClick(button) {
+        if (button.type === 'shift') {
+            this.isShifted = !this.isShifted;
+            this.updateButtons();
+            return;
+        }
+
+        const command = this.isShifted && button.shift ? button.shift.command : button.command;
+        if (this.isShifted) {
+            this.isShifted = false;
+            this.updateButtons();
+        }
+        this.core.dispatch({ ...command });
     }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,530 @@
+/**
+ * @fileoverview LayoutLibrary module holding the keypad layouts.
+ * Layouts are plain data: sections of button rows, where each button has a
+ * type, a label and the core command it sends, and optionally a second
+ * function used after the shift button. The built-in layouts are defined
+ * here; custom layouts are imported as JSON and saved to storage.
+ */
+
+import { MemoryStorage } from './MemoryStorage.js';
+
+/**
+ * Button types, which decide how a button looks. A 'shift' button sends no
+ * command; it switches the next button press to its second function.
+ * @type {string[]}
+ */
+const BUTTON_TYPES = ['number', 'operation', 'function', 'memory', 'scientific', 'mode', 'radix', 'edit', 'shift'];
+
+/**
+ * Button sizes of a section: 'normal' square buttons, 'small' wide and
+ * flat ones for rows of functions, and 'short' ones for a toolbar.
+ * @type {string[]}
+ */
+const SECTION_SIZES = ['normal', 'small', 'short'];
+
+/**
+ * Valid layout names.
+ * @type {RegExp}
+ */
+const LAYOUT_NAME_PATTERN = /^[a-z][a-z0-9-]{0,31}$/;
+
+/**
+ * Most columns of a section.
+ * @type {number}
+ */
+const MAX_COLUMNS = 8;
+
+/**
+ * The arguments each command needs, by command type, with the kind of value
+ * each one takes: 'string', 'integer' or 'boolean'. Commands not listed take
+ * no arguments.
+ * @type {Object<string, Object<string, string>>}
+ */
+const COMMAND_ARGUMENTS = {
+    append: { value: 'string' },
+    paste: { text: 'string' },
+    load: { value: 'string' },
+    moveCursor: { direction: 'string' },
+    setCursor: { position: 'integer' },
+    selectMemory: { slot: 'string' },
+    createMemory: { name: 'string' },
+    removeMemory: { name: 'string' },
+    removeHistoryEntry: { id: 'integer' },
+    removeFunction: { name: 'string' },
+    setAngleMode: { mode: 'string' },
+    setNumberMode: { mode: 'string' },
+    setPrecision: { digits: 'integer' },
+    setFractionOutput: { output: 'string' },
+    setComplexOutput: { output: 'string' },
+    setLocale: { locale: 'string' },
+    setParenAfterNumber: { mode: 'string' },
+    setImplicitMultiplication: { enabled: 'boolean' },
+    setLayout: { layout: 'string' },
+    importLayout: { json: 'string' },
+    removeLayout: { name: 'string' },
+    setRadix: { radix: 'string' },
+    toggleBit: { index: 'integer' }
+};
+
+/**
+ * Creates the command that types a value.
+ * @param {string} value - The value
+ * @returns {{type: string, value: string}} The command
+ */
+const append = (value) => ({ type: 'append', value });
+
+/**
+ * Creates a button that types a value.
+ * @param {string} type - The button type
+ * @param {string} value - The value
+ * @param {string} [label] - The label, defaults to the value
+ * @returns {Object} The button
+ */
+const typing = (type, value, label = value) => ({ label, type, command: append(value) });
+
+/**
+ * The undo and redo buttons.
+ * @type {Object}
+ */
+const EDIT_SECTION = {
+    size: 'short',
+    columns: 2,
+    rows: [[
+        { label: '↶', type: 'edit', title: 'Undo (Ctrl+Z)', command: { type: 'undo' } },
+        { label: '↷', type: 'edit', title: 'Redo (Ctrl+Y)', command: { type: 'redo' } }
+    ]]
+};
+
+/**
+ * The memory buttons, acting on the selected register.
+ * @type {Object}
+ */
+const MEMORY_SECTION = {
+    columns: 5,
+    rows: [[
+        { label: 'MS', type: 'memory', title: 'Memory store', command: { type: 'memoryStore' } },
+        { label: 'M+', type: 'memory', title: 'Memory add', command: { type: 'memoryAdd' } },
+        { label: 'M-', type: 'memory', title: 'Memory subtract', command: { type: 'memorySubtract' } },
+        { label: 'MR', type: 'memory', title: 'Memory recall', command: { type: 'memoryRecall' } },
+        { label: 'MC', type: 'memory', title: 'Memory clear', command: { type: 'memoryClear' } }
+    ]]
+};
+
+/**
+ * The digits, operators and fraction keys shared by the standard layouts.
+ * @type {Object}
+ */
+const MAIN_SECTION = {
+    columns: 4,
+    rows: [
+        [
+            { label: 'C', type: 'function', title: 'Clear', command: { type: 'clear' } },
+            { label: '⌫', type: 'function', title: 'Backspace', command: { type: 'backspace' } },
+            typing('function', '('),
+            typing('function', ')')
+        ],
+        [typing('number', '7'), typing('number', '8'), typing('number', '9'), typing('operation', '/')],
+        [typing('number', '4'), typing('number', '5'), typing('number', '6'), typing('operation', '*')],
+        [typing('number', '1'), typing('number', '2'), typing('number', '3'), typing('operation', '-')],
+        [typing('number', '0'), typing('number', '.'), typing('operation', '%'), typing('operation', '+')],
+        [
+            { label: 'a⁄b', type: 'function', title: 'Fraction', command: { type: 'fractionBar' } },
+            { label: 'S⇔D', type: 'mode', title: 'Fraction or decimal output', command: { type: 'toggleFractionOutput' } },
+            { label: '=', type: 'function', span: 2, command: { type: 'equals' } }
+        ]
+    ]
+};
+
+/**
+ * The built-in layouts, by name.
+ * @type {Object<string, Object>}
+ */
+const BUILT_IN_LAYOUTS = {
+    basic: {
+        name: 'basic',
+        label: 'Basic',
+        sections: [EDIT_SECTION, MEMORY_SECTION, MAIN_SECTION]
+    },
+    scientific: {
+        name: 'scientific',
+        label: 'Scientific',
+        sections: [
+            {
+                size: 'small',
+                columns: 5,
+                rows: [
+                    [
+                        { label: '2nd', type: 'shift', title: 'Second functions' },
+                        { label: 'DEG', type: 'mode', title: 'Angle mode', command: { type: 'cycleAngleMode' } },
+                        { ...typing('scientific', 'sin(', 'sin'), shift: { label: 'sin⁻¹', command: append('asin(') } },
+                        { ...typing('scientific', 'cos(', 'cos'), shift: { label: 'cos⁻¹', command: append('acos(') } },
+                        { ...typing('scientific', 'tan(', 'tan'), shift: { label: 'tan⁻¹', command: append('atan(') } }
+                    ],
+                    [
+                        typing('scientific', '^', 'xʸ'),
+                        { ...typing('scientific', 'sqrt(', '√'), shift: { label: '∛', command: append('cbrt(') } },
+                        typing('scientific', '!', 'n!'),
+                        { ...typing('scientific', 'pi', 'π'), shift: { label: 'e', command: append('e') } },
+                        typing('scientific', 'abs(', '|x|')
+                    ],
+                    [
+                        typing('scientific', 'log(', 'log'),
+                        { ...typing('scientific', 'ln(', 'ln'), shift: { label: 'eˣ', command: append('exp(') } },
+                        { ...typing('scientific', 'floor(', 'floor'), shift: { label: 'ceil', command: append('ceil(') } },
+                        typing('scientific', 'round(', 'round'),
+                        // ° also works outside complex mode
+                        typing('scientific', '°')
+                    ],
+                    [
+                        { ...typing('scientific', 'i'), complex: true },
+                        { ...typing('scientific', '∠'), complex: true },
+                        { label: 'R⇔P', type: 'mode', title: 'Rectangular or polar output', complex: true, command: { type: 'toggleComplexOutput' } },
+                        { ...typing('scientific', 're(', 're'), complex: true, shift: { label: 'im', command: append('im(') } },
+                        { ...typing('scientific', 'conj(', 'conj'), complex: true, shift: { label: 'arg', command: append('arg(') } }
+                    ]
+                ]
+            },
+            EDIT_SECTION,
+            MEMORY_SECTION,
+            MAIN_SECTION
+        ]
+    },
+    programmer: {
+        name: 'programmer',
+        label: 'Programmer',
+        programmer: true,
+        sections: [
+            {
+                size: 'small',
+                columns: 4,
+                rows: [
+                    ['HEX', 'DEC', 'OCT', 'BIN'].map((radix) => ({ label: radix, type: 'radix', command: { type: 'setRadix', radix } })),
+                    [typing('number', 'a', 'A'), typing('number', 'b', 'B'), typing('number', 'c', 'C'), typing('operation', '&', 'AND')],
+                    [typing('number', 'd', 'D'), typing('number', 'e', 'E'), typing('number', 'f', 'F'), typing('operation', '|', 'OR')],
+                    [typing('operation', '~', 'NOT'), typing('operation', ' xor ', 'XOR'), typing('operation', '<<', '≪'), typing('operation', '>>', '≫')],
+                    [
+                        { label: '64-bit', type: 'mode', title: 'Word size', span: 2, command: { type: 'cycleWordSize' } },
+                        { label: 'Signed', type: 'mode', title: 'Signed or unsigned', span: 2, command: { type: 'toggleSigned' } }
+                    ]
+                ]
+            },
+            EDIT_SECTION,
+            MEMORY_SECTION,
+            MAIN_SECTION
+        ]
+    },
+    phone: {
+        name: 'phone',
+        label: 'Phone',
+        sections: [
+            EDIT_SECTION,
+            {
+                columns: 4,
+                rows: [
+                    [
+                        { label: 'C', type: 'function', title: 'Clear', command: { type: 'clear' } },
+                        { label: '⌫', type: 'function', title: 'Backspace', command: { type: 'backspace' } },
+                        typing('operation', '%'),
+                        typing('operation', '/')
+                    ],
+                    [typing('number', '1'), typing('number', '2'), typing('number', '3'), typing('operation', '*')],
+                    [typing('number', '4'), typing('number', '5'), typing('number', '6'), typing('operation', '-')],
+                    [typing('number', '7'), typing('number', '8'), typing('number', '9'), typing('operation', '+')],
+                    [
+                        typing('number', '.'),
+                        typing('number', '0'),
+                        { label: '=', type: 'function', span: 2, command: { type: 'equals' } }
+                    ]
+                ]
+            }
+        ]
+    }
+};
+
+/**
+ * LayoutLibrary class holding the built-in and imported keypad layouts.
+ *
+ * A layout is `{ name, label, programmer, sections }`. `programmer: true`
+ * switches the engine to programmer mode while the layout is active. Each
+ * section is `{ columns, size, rows }`, where `size` is 'normal' (the
+ * default), 'small' or 'short', and each row is an array of buttons, or
+ * null for an empty cell. A button is
+ * `{ label, type, command, title, span, rowSpan, complex, shift }`:
+ * `type` is one of 'number', 'operation', 'function', 'memory',
+ * 'scientific', 'mode', 'radix', 'edit' or 'shift'; `command` is the
+ * command sent to the core, e.g. `{ "type": "append", "value": "sin(" }`;
+ * `span` and `rowSpan` are the columns and rows it covers; `complex: true`
+ * disables it outside complex mode; and `shift` is
+ * `{ label, command }` for its second function.
+ * @class LayoutLibrary
+ * @example
+ * const library = new LayoutLibrary(localStorage, core.getCommands());
+ * library.get('phone').sections[1].columns; // Returns 4
+ * library.import('{"name": "tiny", "label": "Tiny", "sections": [{"columns": 1,' +
+ *     '"rows": [[{"label": "1", "type": "number", "command": {"type": "append", "value": "1"}}]]}]}');
+ */
+export class LayoutLibrary {
+    /**
+     * Creates a new LayoutLibrary instance.
+     * Loads any saved custom layouts from storage.
+     * @constructor
+     * @param {Storage|MemoryStorage} [storage] - Where the custom layouts are
+     *     saved, e.g. localStorage; defaults to an in-memory store
+     * @param {string[]} [commands] - The command types buttons may send
+     */
+    constructor(storage = new MemoryStorage(), commands = []) {
+        /** @private {Storage|MemoryStorage} Where the custom layouts are saved */
+        this.storage = storage;
+
+        /** @private {Set<string>} The command types buttons may send */
+        this.commands = new Set(commands);
+
+        /** @private {Map<string, Object>} Custom layouts by name */
+        this.customLayouts = new Map();
+
+        this.initialize();
+    }
+
+    /**
+     * Initializes the layout library.
+     * Loads previously saved custom layouts, skipping any that are no longer valid.
+     * @example
+     * library.initialize(); // Loads saved layouts if any
+     */
+    initialize() {
+        try {
+            const saved = JSON.parse(this.storage.getItem('calculatorCustomLayouts'));
+            if (Array.isArray(saved)) {
+                saved.forEach((layout) => {
+                    try {
+                        const valid = this.validate(layout);
+                        this.customLayouts.set(valid.name, valid);
+                    } catch (error) {
+                        // Skip a layout that no longer validates
+                    }
+                });
+            }
+        } catch (error) {
+            // Ignore corrupt layouts and start afresh
+        }
+    }
+
+    /**
+     * Gets a layout.
+     * @param {string} name - The layout name
+     * @returns {Object|undefined} The layout, if it exists
+     */
+    get(name) {
+        return Object.hasOwn(BUILT_IN_LAYOUTS, name) ? BUILT_IN_LAYOUTS[name] : this.customLayouts.get(name);
+    }
+
+    /**
+     * Checks whether a layout exists.
+     * @param {string} name - The layout name
+     * @returns {boolean} True if the layout exists
+     */
+    has(name) {
+        return this.get(name) !== undefined;
+    }
+
+    /**
+     * Gets all layouts, built-in ones first.
+     * @returns {Array<{name: string, label: string, builtIn: boolean}>} The layouts
+     */
+    getLayouts() {
+        return [
+            ...Object.values(BUILT_IN_LAYOUTS).map(({ name, label }) => ({ name, label, builtIn: true })),
+            ...[...this.customLayouts.values()].map(({ name, label }) => ({ name, label, builtIn: false }))
+        ];
+    }
+
+    /**
+     * Adds a custom layout from its JSON, replacing a custom layout of the
+     * same name.
+     * @param {string} json - The layout as JSON
+     * @returns {Object} The layout
+     * @throws {Error} If the JSON is invalid, the layout is malformed or its
+     *     name is that of a built-in layout
+     * @example
+     * const layout = library.import(fileText);
+     * core.setLayout(layout.name);
+     */
+    import(json) {
+        let layout;
+        try {
+            layout = JSON.parse(json);
+        } catch (error) {
+            throw new Error(`Layout is not valid JSON: ${error.message}`);
+        }
+        const valid = this.validate(layout);
+        if (Object.hasOwn(BUILT_IN_LAYOUTS, valid.name)) {
+            throw new Error(`Layout '${valid.name}' is built in`);
+        }
+        this.customLayouts.set(valid.name, valid);
+        this.save();
+        return valid;
+    }
+
+    /**
+     * Removes a custom layout. The built-in layouts cannot be removed.
+     * @param {string} name - The layout name
+     * @throws {Error} If the layout is built in or does not exist
+     * @example
+     * library.delete('tiny');
+     */
+    delete(name) {
+        if (Object.hasOwn(BUILT_IN_LAYOUTS, name)) {
+            throw new Error(`Layout '${name}' cannot be removed`);
+        }
+        if (!this.customLayouts.delete(name)) {
+            throw new Error(`Layout '${name}' does not exist`);
+        }
+        this.save();
+    }
+
+    /**
+     * Checks a layout and copies the parts the keypad uses.
+     * @private
+     * @param {*} layout - The parsed layout
+     * @returns {Object} The layout
+     * @throws {Error} Naming the first problem found
+     */
+    validate(layout) {
+        if (!layout || typeof layout !== 'object' || Array.isArray(layout)) {
+            throw new Error('Layout must be an object');
+        }
+        if (typeof layout.name !== 'string' || !LAYOUT_NAME_PATTERN.test(layout.name)) {
+            throw new Error('Layout name must be lower case letters, digits and dashes, starting with a letter');
+        }
+        if (layout.label !== undefined && (typeof layout.label !== 'string' || !layout.label.trim())) {
+            throw new Error('Layout label must be a non-empty string');
+        }
+        if (!Array.isArray(layout.sections) || !layout.sections.length) {
+            throw new Error('Layout needs at least one section');
+        }
+        return {
+            name: layout.name,
+            label: layout.label?.trim() || layout.name,
+            programmer: layout.programmer === true,
+            sections: layout.sections.map((section, index) => this.validateSection(section, `sections[${index}]`))
+        };
+    }
+
+    /**
+     * Checks a section of a layout.
+     * @private
+     * @param {*} section - The section
+     * @param {string} path - Where the section is, for error messages
+     * @returns {Object} The section
+     * @throws {Error} Naming the first problem found
+     */
+    validateSection(section, path) {
+        if (!section || typeof section !== 'object') {
+            throw new Error(`${path} must be an object`);
+        }
+        const { columns, size = 'normal', rows } = section;
+        if (!Number.isInteger(columns) || columns < 1 || columns > MAX_COLUMNS) {
+            throw new Error(`${path}.columns must be a whole number from 1 to ${MAX_COLUMNS}`);
+        }
+        if (!SECTION_SIZES.includes(size)) {
+            throw new Error(`${path}.size must be one of ${SECTION_SIZES.join(', ')}`);
+        }
+        if (!Array.isArray(rows) || !rows.length || !rows.every(Array.isArray)) {
+            throw new Error(`${path}.rows must be a non-empty array of rows`);
+        }
+        const validRows = rows.map((row, rowIndex) => row.map((button, index) => (button === null
+            ? null
+            : this.validateButton(button, `${path}.rows[${rowIndex}][${index}]`, columns))));
+        validRows.forEach((row, rowIndex) => {
+            const width = row.reduce((sum, button) => sum + (button?.span ?? 1), 0);
+            if (width > columns) {
+                throw new Error(`${path}.rows[${rowIndex}] is ${width} columns wide, but the section has ${columns}`);
+            }
+        });
+        return { columns, size, rows: validRows };
+    }
+
+    /**
+     * Checks a button of a layout.
+     * @private
+     * @param {*} button - The button
+     * @param {string} path - Where the button is, for error messages
+     * @param {number} columns - The columns of its section
+     * @returns {Object} The button
+     * @throws {Error} Naming the first problem found
+     */
+    validateButton(button, path, columns) {
+        if (!button || typeof button !== 'object') {
+            throw new Error(`${path} must be a button object or null`);
+        }
+        const { label, type, title, span = 1, rowSpan = 1, complex = false, shift } = button;
+        if (typeof label !== 'string' || !label) {
+            throw new Error(`${path}.label must be a non-empty string`);
+        }
+        if (!BUTTON_TYPES.includes(type)) {
+            throw new Error(`${path}.type must be one of ${BUTTON_TYPES.join(', ')}`);
+        }
+        if (title !== undefined && typeof title !== 'string') {
+            throw new Error(`${path}.title must be a string`);
+        }
+        if (!Number.isInteger(span) || span < 1 || span > columns) {
+            throw new Error(`${path}.span must be a whole number from 1 to ${columns}`);
+        }
+        if (!Number.isInteger(rowSpan) || rowSpan < 1) {
+            throw new Error(`${path}.rowSpan must be a whole number of at least 1`);
+        }
+
+        const valid = { label, type, span, rowSpan, complex: complex === true };
+        if (title !== undefined) {
+            valid.title = title;
+        }
+        if (type === 'shift') {
+            return valid;
+        }
+        valid.command = this.validateCommand(button.command, `${path}.command`);
+        if (shift !== undefined) {
+            if (!shift || typeof shift.label !== 'string' || !shift.label) {
+                throw new Error(`${path}.shift.label must be a non-empty string`);
+            }
+            valid.shift = { label: shift.label, command: this.validateCommand(shift.command, `${path}.shift.command`) };
+        }
+        return valid;
+    }
+
+    /**
+     * Checks the command of a button.
+     * @private
+     * @param {*} command - The command
+     * @param {string} path - Where the command is, for error messages
+     * @returns {Object} The command
+     * @throws {Error} If the command is not one the core accepts, or lacks
+     *     an argument it needs
+     */
+    validateCommand(command, path) {
+        if (!command || typeof command !== 'object' || !this.commands.has(command.type)) {
+            throw new Error(`${path} must be a command such as { "type": "append", "value": "7" }`);
+        }
+        if (command.type === 'append' && (typeof command.value !== 'string' || !command.value)) {
+            throw new Error(`${path}.value must be the text to type`);
+        }
+        const required = Object.hasOwn(COMMAND_ARGUMENTS, command.type) ? COMMAND_ARGUMENTS[command.type] : {};
+        Object.entries(required).forEach(([field, kind]) => {
+            const value = command[field];
+            const isValid = kind === 'integer' ? Number.isInteger(value) : typeof value === kind;
+            if (!isValid) {
+                throw new Error(`${path}.${field} must be ${kind === 'integer' ? 'a whole number' : `a ${kind}`}`);
+            }
+        });
+        // Commands hold only plain values
+        const fields = Object.entries(command).filter(([, value]) => ['string', 'number', 'boolean'].includes(typeof value));
+        return Object.fromEntries(fields);
+    }
+
+    /**
+     * Saves the custom layouts to storage.
+     * @private
+     */
+    save() {
+        this.storage.setItem('calculatorCustomLayouts', JSON.stringify([...this.customLayouts.values()]));
+    }
+}
@@ -1,113 +1,319 @@
 /**
  * @fileoverview Memory module for managing calculator memory operations.
- * Handles memory storage, retrieval, and persistence.
+ * Handles a bank of memory registers, their retrieval, and persistence.
  */
 
+import { Decimal } from './Decimal.js';
+import { Fraction } from './Fraction.js';
+import { MemoryStorage } from './MemoryStorage.js';
+
+/**
+ * Names of the built-in memory registers.
+ * @type {string[]}
+ */
+const BUILT_IN_SLOTS = ['M1', 'M2', 'M3', 'M4', 'M5', 'M6', 'M7', 'M8', 'M9'];
+
+/**
+ * Valid names for user-defined registers.
+ * @type {RegExp}
+ */
+const SLOT_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]{0,15}$/;
+
+/**
+ * Checks whether a value is a fraction, either a Fraction or the `n/d`
+ * text a register holds for one.
+ * @param {*} value - The value
+ * @returns {boolean} True if the value is a fraction
+ */
+function isFraction(value) {
+    return value instanceof Fraction || (typeof value === 'string' && value.includes('/'));
+}
+
+/**
+ * Converts a value to the text a register holds: a decimal, or `n/d` for a
+ * fraction without a terminating decimal expansion, which is kept exactly.
+ * @param {Fraction|Decimal|number|string} value - The value
+ * @returns {string} The register text, e.g. '0.25' or '1/3'
+ */
+function toRegisterText(value) {
+    if (isFraction(value)) {
+        const fraction = Fraction.from(value);
+        return (fraction.toTerminatingDecimal() ?? fraction).toString();
+    }
+    return Decimal.from(value).toString();
+}
+
 /**
  * Memory class for managing calculator memory operations.
- * Provides functionality for storing, retrieving, and manipulating memory values.
+ * Provides a bank of registers (M1–M9 plus user-named slots). Every register
+ * is either empty or holds a number, so a register holding 0 is distinct
+ * from an empty one. Values are kept as exact decimal strings, or as `n/d`
+ * for fractions such as 1/3 that have no exact decimal.
  * @class Memory
  * @example
- * const memory = new Memory();
- * memory.add(5); // Adds 5 to memory
- * memory.recall(); // Returns 5
+ * const memory = new Memory(localStorage);
+ * memory.add(5); // Adds 5 to the selected register (M1)
+ * memory.recall(); // Returns '5'
+ * memory.store(0, 'M2');
+ * memory.recall('M2'); // Returns '0'
+ * memory.recall('M3'); // Returns null, M3 is empty
  */
 export class Memory {
     /**
      * Creates a new Memory instance.
-     * Initializes memory value and loads any saved value from storage.
+     * Initializes the registers and loads any saved values from storage.
      * @constructor
+     * @param {Storage|MemoryStorage} [storage] - Where the registers are saved,
+     *     e.g. localStorage; defaults to an in-memory store
      */
-    constructor() {
-        /** @private {number} Current memory value */
-        this.value = 0;
+    constructor(storage = new MemoryStorage()) {
+        /** @private {Storage|MemoryStorage} Where the registers are saved */
+        this.storage = storage;
+
+        /** @private {Map<string, string|null>} Register values, null when empty */
+        this.slots = new Map(BUILT_IN_SLOTS.map((name) => [name, null]));
+
+        /** @private {string} Register the memory buttons act on */
+        this.selected = BUILT_IN_SLOTS[0];
+
         this.initialize();
     }
 
     /**
      * Initializes the memory module.
-     * Loads any previously saved memory value from localStorage.
+     * Loads previously saved registers from storage, migrating the
+     * single value saved by older versions into M1.
      * @example
-     * memory.initialize(); // Loads saved memory value if any
+     * memory.initialize(); // Loads saved registers if any
      */
     initialize() {
-        // Load memory value from localStorage if available
-        const savedMemory = localStorage.getItem('calculatorMemory');
-        if (savedMemory !== null) {
-            this.value = parseFloat(savedMemory);
+        try {
+            const saved = JSON.parse(this.storage.getItem('calculatorMemoryRegisters'));
+            if (saved && typeof saved.slots === 'object') {
+                Object.entries(saved.slots).forEach(([name, value]) => {
+                    if (SLOT_NAME_PATTERN.test(name)) {
+                        this.slots.set(name, typeof value === 'string' ? value : null);
+                    }
+                });
+                if (this.slots.has(saved.selected)) {
+                    this.selected = saved.selected;
+                }
+            }
+        } catch (error) {
+            // Ignore corrupt registers and keep the defaults
+        }
+
+        const legacyMemory = this.storage.getItem('calculatorMemory');
+        if (legacyMemory !== null) {
+            // Older versions stored 0 for an empty memory
+            if (parseFloat(legacyMemory) !== 0 && !isNaN(parseFloat(legacyMemory))) {
+                this.slots.set(BUILT_IN_SLOTS[0], Decimal.from(parseFloat(legacyMemory)).toString());
+            }
+            this.storage.removeItem('calculatorMemory');
+            this.save();
         }
     }
 
     /**
-     * Adds a value to the current memory value.
-     * @param {number} value - The value to add to memory
+     * Stores a value in a register, replacing its contents.
+     * @param {Fraction|Decimal|number|string} value - The value to store
+     * @param {string} [slot] - The register name, defaults to the selected register
+     * @throws {Error} If the register does not exist or the value is not a number
      * @example
-     * memory.add(10); // Adds 10 to current memory value
+     * memory.store(42, 'M3'); // M3 now holds 42
+     * memory.store(Fraction.from('1/3')); // The selected register holds '1/3'
      */
-    add(value) {
-        this.value += value;
+    store(value, slot = this.selected) {
+        this.assertSlot(slot);
+        this.slots.set(slot, toRegisterText(value));
         this.save();
     }
 
     /**
-     * Subtracts a value from the current memory value.
-     * @param {number} value - The value to subtract from memory
+     * Adds a value to a register. An empty register counts as 0. Fractions
+     * are added exactly.
+     * @param {Fraction|Decimal|number|string} value - The value to add to memory
+     * @param {string} [slot] - The register name, defaults to the selected register
+     * @throws {Error} If the register does not exist or the value is not a number
      * @example
-     * memory.subtract(5); // Subtracts 5 from current memory value
+     * memory.add(10); // Adds 10 to the selected register
      */
-    subtract(value) {
-        this.value -= value;
+    add(value, slot = this.selected) {
+        this.assertSlot(slot);
+        const current = this.slots.get(slot) ?? '0';
+        const sum = isFraction(current) || isFraction(value)
+            ? Fraction.from(current).add(Fraction.from(value))
+            : Decimal.from(current).add(Decimal.from(value));
+        this.slots.set(slot, toRegisterText(sum));
         this.save();
     }
 
     /**
-     * Recalls the current memory value.
-     * @returns {number|null} The current memory value, or null if memory is empty
+     * Subtracts a value from a register. An empty register counts as 0.
+     * @param {Fraction|Decimal|number|string} value - The value to subtract from memory
+     * @param {string} [slot] - The register name, defaults to the selected register
+     * @throws {Error} If the register does not exist or the value is not a number
      * @example
-     * const value = memory.recall(); // Returns current memory value
+     * memory.subtract(5); // Subtracts 5 from the selected register
      */
-    recall() {
-        return this.value !== 0 ? this.value : null;
+    subtract(value, slot = this.selected) {
+        this.add(isFraction(value) ? Fraction.from(value).negate() : Decimal.from(value).negate(), slot);
     }
 
     /**
-     * Clears the memory value.
+     * Recalls the value of a register.
+     * @param {string} [slot] - The register name, defaults to the selected register
+     * @returns {string|null} The stored value, or null if the register is empty
      * @example
-     * memory.clear(); // Resets memory to 0
+     * const value = memory.recall('M2'); // Returns the value stored in M2
      */
-    clear() {
-        this.value = 0;
+    recall(slot = this.selected) {
+        return this.slots.get(slot) ?? null;
+    }
+
+    /**
+     * Empties a register.
+     * @param {string} [slot] - The register name, defaults to the selected register
+     * @example
+     * memory.clear(); // Empties the selected register
+     */
+    clear(slot = this.selected) {
+        this.assertSlot(slot);
+        this.slots.set(slot, null);
         this.save();
     }
 
     /**
-     * Saves the current memory value to localStorage.
-     * @private
+     * Selects the register the memory buttons act on.
+     * @param {string} slot - The register name
+     * @throws {Error} If the register does not exist
+     * @example
+     * memory.select('M4');
      */
-    save() {
-        // Save memory value to localStorage
-        localStorage.setItem('calculatorMemory', this.value.toString());
+    select(slot) {
+        this.assertSlot(slot);
+        this.selected = slot;
+        this.save();
+    }
+
+    /**
+     * Gets the name of the selected register.
+     * @returns {string} The register name
+     */
+    getSelected() {
+        return this.selected;
     }
 
     /**
-     * Gets the current memory value.
-     * @returns {number} The current memory value
+     * Creates an empty user-named register.
+     * @param {string} name - The register name (letters, digits and underscores)
+     * @throws {Error} If the name is invalid or already in use
      * @example
-     * const value = memory.getValue(); // Returns current memory value
+     * memory.createSlot('tax');
+     * memory.store(0.2, 'tax');
      */
-    getValue() {
-        return this.value;
+    createSlot(name) {
+        if (!SLOT_NAME_PATTERN.test(name)) {
+            throw new Error(`Invalid register name '${name}'`);
+        }
+        if (this.slots.has(name)) {
+            throw new Error(`Register '${name}' already exists`);
+        }
+        this.slots.set(name, null);
+        this.save();
     }
 
     /**
-     * Checks if memory has a non-zero value.
-     * @returns {boolean} True if memory has a non-zero value
+     * Removes a user-named register. The built-in registers cannot be removed.
+     * @param {string} name - The register name
+     * @throws {Error} If the register is built in or does not exist
      * @example
-     * if (memory.hasValue()) {
-     *     // Memory contains a value
+     * memory.removeSlot('tax');
+     */
+    removeSlot(name) {
+        if (BUILT_IN_SLOTS.includes(name)) {
+            throw new Error(`Register '${name}' cannot be removed`);
+        }
+        this.assertSlot(name);
+        this.slots.delete(name);
+        if (this.selected === name) {
+            this.selected = BUILT_IN_SLOTS[0];
+        }
+        this.save();
+    }
+
+    /**
+     * Gets all registers in display order.
+     * @returns {Array<{name: string, value: (string|null), builtIn: boolean, selected: boolean}>} The registers
+     */
+    getSlots() {
+        return [...this.slots].map(([name, value]) => ({
+            name,
+            value,
+            builtIn: BUILT_IN_SLOTS.includes(name),
+            selected: name === this.selected
+        }));
+    }
+
+    /**
+     * Gets the values of all registers, e.g. to restore them later.
+     * @returns {Object<string, string|null>} Register values by name, null when empty
+     */
+    getValues() {
+        return Object.fromEntries(this.slots);
+    }
+
+    /**
+     * Restores register values saved with `getValues`. Registers that were
+     * created since keep their value, and removed ones stay removed.
+     * @param {Object<string, string|null>} values - Register values by name
+     * @example
+     * const values = memory.getValues();
+     * memory.add(5);
+     * memory.setValues(values); // Undoes the M+
+     */
+    setValues(values) {
+        Object.entries(values).forEach(([name, value]) => {
+            if (this.slots.has(name)) {
+                this.slots.set(name, value);
+            }
+        });
+        this.save();
+    }
+
+    /**
+     * Checks if a register holds a value. A register holding 0 is not empty.
+     * @param {string} [slot] - The register name, defaults to the selected register
+     * @returns {boolean} True if the register is not empty
+     * @example
+     * if (memory.hasValue('M2')) {
+     *     // M2 contains a value
      * }
      */
-    hasValue() {
-        return this.value !== 0;
+    hasValue(slot = this.selected) {
+        return this.recall(slot) !== null;
+    }
+
+    /**
+     * Throws if a register does not exist.
+     * @private
+     * @param {string} slot - The register name
+     * @throws {Error} If the register does not exist
+     */
+    assertSlot(slot) {
+        if (!this.slots.has(slot)) {
+            throw new Error(`Register '${slot}' does not exist`);
+        }
+    }
+
+    /**
+     * Saves the registers to storage.
+     * @private
+     */
+    save() {
+        this.storage.setItem('calculatorMemoryRegisters', JSON.stringify({
+            selected: this.selected,
+            slots: Object.fromEntries(this.slots)
+        }));
     }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Manages the memory register panel.
+ */
+
+/**
+ * Class representing the memory panel.
+ * Lists the memory registers, marks the selected one and lets the user
+ * select, create and remove registers.
+ */
+export class MemoryPanel {
+    /**
+     * Creates a new MemoryPanel instance.
+     * @param {CalculatorCore} core - The calculator core holding the registers
+     */
+    constructor(core) {
+        /** @private {CalculatorCore} The calculator core */
+        this.core = core;
+
+        /** @private {HTMLElement|null} The list element holding the registers */
+        this.listElement = null;
+    }
+
+    /**
+     * Initializes the panel by getting DOM elements, subscribing to changes
+     * of the registers and rendering them.
+     */
+    initialize() {
+        this.listElement = document.querySelector('.calculator-memory-list');
+        if (!this.listElement) {
+            console.error('Memory list element not found');
+            return;
+        }
+
+        const form = document.querySelector('.calculator-memory-form');
+        if (form) {
+            form.addEventListener('submit', (event) => {
+                event.preventDefault();
+                const input = form.querySelector('input');
+                this.core.dispatch({ type: 'createMemory', name: input.value.trim() });
+                input.value = '';
+            });
+        }
+
+        this.listElement.addEventListener('click', (event) => this.handleClick(event));
+        this.core.on('memory', () => this.render());
+        this.render();
+    }
+
+    /**
+     * Renders the registers, highlighting the selected one.
+     */
+    render() {
+        if (!this.listElement) return;
+
+        this.listElement.innerHTML = '';
+        this.core.getMemory().getSlots().forEach((slot) => {
+            const item = document.createElement('li');
+            item.className = 'calculator-memory-slot';
+            item.classList.toggle('selected', slot.selected);
+            item.classList.toggle('empty', slot.value === null);
+            item.dataset.slot = slot.name;
+
+            const selectButton = document.createElement('button');
+            selectButton.type = 'button';
+            selectButton.dataset.action = 'select';
+            selectButton.setAttribute('aria-pressed', String(slot.selected));
+            selectButton.innerHTML = '<span class="calculator-memory-name"></span><span class="calculator-memory-value"></span>';
+            selectButton.querySelector('.calculator-memory-name').textContent = slot.name;
+            selectButton.querySelector('.calculator-memory-value').textContent = slot.value ?? 'empty';
+            item.appendChild(selectButton);
+
+            if (!slot.builtIn) {
+                const removeButton = document.createElement('button');
+                removeButton.type = 'button';
+                removeButton.dataset.action = 'remove';
+                removeButton.className = 'calculator-memory-remove';
+                removeButton.textContent = '×';
+                removeButton.setAttribute('aria-label', `Remove register ${slot.name}`);
+                item.appendChild(removeButton);
+            }
+
+            this.listElement.appendChild(item);
+        });
+    }
+
+    /**
+     * Handles clicks on the registers.
+     * @param {MouseEvent} event - The click event
+     * @private
+     */
+    handleClick(event) {
+        const button = event.target.closest('button[data-action]');
+        const item = event.target.closest('.calculator-memory-slot');
+        if (!button || !item) return;
+
+        const name = item.dataset.slot;
+        switch (button.dataset.action) {
+            case 'select':
+                this.core.dispatch({ type: 'selectMemory', slot: name });
+                break;
+            case 'remove':
+                this.core.dispatch({ type: 'removeMemory', name });
+                break;
+        }
+    }
+}
@@ -0,0 +1,80 @@
+/**
+ * @fileoverview In-memory storage backend.
+ * Implements the part of the Web Storage interface the calculator uses, so
+ * the calculator core can run where `localStorage` does not exist, e.g. in
+ * Node or in tests.
+ */
+
+/**
+ * MemoryStorage class holding string values by key for the life of the
+ * object. Any object with the same `getItem`, `setItem` and `removeItem`
+ * methods can be used as a storage backend, e.g. `localStorage`, or a
+ * wrapper that writes to a file or a database.
+ * @class MemoryStorage
+ * @example
+ * const storage = new MemoryStorage();
+ * storage.setItem('calculatorPrecision', '50');
+ * storage.getItem('calculatorPrecision'); // Returns '50'
+ * storage.getItem('calculatorTheme'); // Returns null
+ */
+export class MemoryStorage {
+    /**
+     * Creates a new MemoryStorage instance.
+     * @constructor
+     * @param {Object<string, string>} [entries] - Initial values by key
+     */
+    constructor(entries = {}) {
+        /** @private {Map<string, string>} Stored values by key */
+        this.items = new Map(Object.entries(entries).map(([key, value]) => [key, String(value)]));
+    }
+
+    /**
+     * Gets the number of stored values.
+     * @returns {number} The number of keys
+     */
+    get length() {
+        return this.items.size;
+    }
+
+    /**
+     * Gets a stored value.
+     * @param {string} key - The key
+     * @returns {string|null} The value, or null if the key is not set
+     */
+    getItem(key) {
+        return this.items.get(String(key)) ?? null;
+    }
+
+    /**
+     * Stores a value. Values are converted to strings, as in localStorage.
+     * @param {string} key - The key
+     * @param {*} value - The value
+     */
+    setItem(key, value) {
+        this.items.set(String(key), String(value));
+    }
+
+    /**
+     * Removes a stored value.
+     * @param {string} key - The key
+     */
+    removeItem(key) {
+        this.items.delete(String(key));
+    }
+
+    /**
+     * Removes all stored values.
+     */
+    clear() {
+        this.items.clear();
+    }
+
+    /**
+     * Gets the key at a position.
+     * @param {number} index - The position
+     * @returns {string|null} The key, or null if the position is out of range
+     */
+    key(index) {
+        return [...this.items.keys()][index] ?? null;
+    }
+}
@@ -0,0 +1,212 @@
+/**
+ * @fileoverview Locale-specific number formatting and parsing.
+ * Reads the decimal separator and digit grouping of a locale from `Intl`,
+ * then formats digit strings itself so exact decimals keep all their digits.
+ */
+
+/**
+ * Characters also accepted as group separators when parsing, by the
+ * separator the locale uses. Pasted numbers often have a plain space or
+ * apostrophe instead of the typographic one.
+ * @type {Object<string, string>}
+ */
+const GROUP_ALTERNATIVES = {
+    '\u202f': ' \u00a0',
+    '\u00a0': ' \u202f',
+    '\u2019': "'"
+};
+
+/**
+ * Escapes a string for use in a regular expression.
+ * @param {string} text - The text to escape
+ * @returns {string} The escaped text
+ */
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Class representing the number format of a locale.
+ * Expressions are always stored with `.` as the decimal point and `,`
+ * between function arguments; this class converts between that form and
+ * what the user sees and types. Locales with a decimal comma separate
+ * function arguments with `;`.
+ * @class NumberLocale
+ * @example
+ * const locale = new NumberLocale('de-DE');
+ * locale.formatNumber('1234567.89'); // Returns '1.234.567,89'
+ * locale.parse('1.234.567,89'); // Returns '1234567.89'
+ * new NumberLocale('en-IN').formatInteger('12345678'); // Returns '1,23,45,678'
+ */
+export class NumberLocale {
+    /**
+     * Creates a new NumberLocale instance.
+     * @constructor
+     * @param {string} [locale] - A BCP 47 language tag such as 'de-DE',
+     *     defaults to the browser locale
+     * @throws {RangeError} If the tag is not a valid locale
+     */
+    constructor(locale) {
+        // The engine only reads ASCII digits, so locales such as ar-EG keep them
+        const format = new Intl.NumberFormat(locale || undefined, { numberingSystem: 'latn' });
+        const parts = format.formatToParts(123456789.5);
+        const find = (type) => parts.find((part) => part.type === type)?.value;
+        const groups = parts.filter((part) => part.type === 'integer').map((part) => part.value.length);
+
+        /** @private {string} The resolved language tag */
+        this.locale = format.resolvedOptions().locale;
+
+        /** @private {string} The decimal separator */
+        this.decimal = find('decimal') || '.';
+
+        /** @private {string} The group separator */
+        this.group = find('group') || ',';
+
+        /** @private {number} Digits in the group next to the decimal separator */
+        this.primaryGroup = groups[groups.length - 1];
+
+        /** @private {number} Digits in the other groups, 2 for lakh grouping */
+        this.secondaryGroup = groups.length > 2 ? groups[groups.length - 2] : this.primaryGroup;
+
+        /** @private {number} Fewest integer digits that get grouped, 5 in Spanish */
+        this.minimumGroupedDigits = this.primaryGroup +
+            (format.formatToParts(1000).some((part) => part.type === 'group') ? 1 : 2);
+
+        /** @private {string} The separator between function arguments */
+        this.argumentSeparator = this.decimal === ',' ? ';' : ',';
+
+        /** @private {RegExp} Matches a lone number written in this locale */
+        this.numberPattern = this.createNumberPattern();
+    }
+
+    /**
+     * Gets the resolved language tag.
+     * @returns {string} The locale, e.g. 'de-DE'
+     */
+    getLocale() {
+        return this.locale;
+    }
+
+    /**
+     * Gets the decimal separator.
+     * @returns {string} The separator, e.g. ',' in German
+     */
+    getDecimalSeparator() {
+        return this.decimal;
+    }
+
+    /**
+     * Gets the separator between function arguments.
+     * @returns {string} ';' in locales with a decimal comma, otherwise ','
+     */
+    getArgumentSeparator() {
+        return this.argumentSeparator;
+    }
+
+    /**
+     * Groups the digits of an integer.
+     * @param {string} integer - The integer, with an optional '-' sign
+     * @returns {string} The grouped integer
+     * @example
+     * new NumberLocale('fr-FR').formatInteger('-1234567'); // Returns '-1 234 567' (narrow spaces)
+     */
+    formatInteger(integer) {
+        const isNegative = integer.startsWith('-');
+        const digits = isNegative ? integer.slice(1) : integer;
+        if (digits.length < this.minimumGroupedDigits) {
+            return integer;
+        }
+
+        // Groups are collected from the right and reversed once, which keeps
+        // long integers linear
+        const parts = [digits.slice(-this.primaryGroup)];
+        for (let i = digits.length - this.primaryGroup; i > 0; i -= this.secondaryGroup) {
+            parts.push(digits.slice(Math.max(0, i - this.secondaryGroup), i));
+        }
+        return (isNegative ? '-' : '') + parts.reverse().join(this.group);
+    }
+
+    /**
+     * Formats a number string such as '-1234.5' or '1.5e+21'.
+     * Numbers in scientific notation only get the local decimal separator.
+     * @param {string} text - The number with '.' as the decimal point
+     * @returns {string} The formatted number
+     * @example
+     * new NumberLocale('de-DE').formatNumber('1.5e+21'); // Returns '1,5e+21'
+     */
+    formatNumber(text) {
+        if (/e/i.test(text)) {
+            return text.replace('.', this.decimal);
+        }
+        const [integer, fraction] = text.split('.');
+        const grouped = this.formatInteger(integer);
+        return fraction === undefined ? grouped : `${grouped}${this.decimal}${fraction}`;
+    }
+
+    /**
+     * Shows a stored expression with the local separators. Every character
+     * maps to one character, so positions in the expression stay valid.
+     * @param {string} expression - The expression with '.' and ','
+     * @returns {string} The expression as the user types it
+     * @example
+     * new NumberLocale('de-DE').formatExpression('max(1.5, 2)'); // Returns 'max(1,5; 2)'
+     */
+    formatExpression(expression) {
+        if (this.decimal === '.') {
+            return expression;
+        }
+        return expression.replace(/[.,]/g, (char) => (char === '.' ? this.decimal : this.argumentSeparator));
+    }
+
+    /**
+     * Converts typed or pasted text to a stored expression. A lone number may
+     * use group separators; in longer expressions only the decimal and
+     * argument separators are converted, since a grouping comma could not be
+     * told apart from one between arguments.
+     * @param {string} text - The text in the local format
+     * @returns {string} The text with '.' as the decimal point and ',' between arguments
+     * @example
+     * new NumberLocale('de-DE').parse('1.234.567,89'); // Returns '1234567.89'
+     * new NumberLocale('de-DE').parse('2,5 * 3'); // Returns '2.5 * 3'
+     * new NumberLocale('en-IN').parse('12,34,567.5'); // Returns '1234567.5'
+     */
+    parse(text) {
+        const trimmed = text.trim();
+        const match = this.numberPattern.exec(trimmed);
+        if (match) {
+            const [, sign, integer, fraction] = match;
+            const digits = integer.replace(/\D/g, '');
+            return `${sign}${digits}${fraction === undefined ? '' : `.${fraction}`}`;
+        }
+        return [...text].map((char) => this.mapKey(char)).join('');
+    }
+
+    /**
+     * Maps a typed key to the character stored in the expression: the local
+     * decimal separator becomes '.' and the argument separator ','.
+     * @param {string} key - The key, as in `KeyboardEvent.key`
+     * @returns {string} The stored character, or the key unchanged
+     * @example
+     * new NumberLocale('de-DE').mapKey(','); // Returns '.'
+     */
+    mapKey(key) {
+        if (key === this.decimal) {
+            return '.';
+        }
+        return key === this.argumentSeparator ? ',' : key;
+    }
+
+    /**
+     * Builds the pattern for a lone number in this locale, grouped or not.
+     * The groups are the sign, the integer part and the fraction digits.
+     * @private
+     * @returns {RegExp} The pattern
+     */
+    createNumberPattern() {
+        const group = `[${escapeRegExp(this.group + (GROUP_ALTERNATIVES[this.group] || ''))}]`;
+        const primary = `\\d{${this.primaryGroup}}`;
+        const secondary = `\\d{${this.secondaryGroup}}`;
+        const grouped = `\\d{1,${this.secondaryGroup}}(?:${group}${secondary})*${group}${primary}`;
+        return new RegExp(`^([-+]?)(${grouped}|\\d+)(?:${escapeRegExp(this.decimal)}(\\d+))?$`);
+    }
+}
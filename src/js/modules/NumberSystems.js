@@ -0,0 +1,410 @@
+/**
+ * @fileoverview Number systems used by the calculator engine.
+ * A number system decides how literals are parsed and how the arithmetic
+ * operators behave, so the engine can evaluate the same expression with
+ * binary floating point, exact decimals, exact fractions, complex numbers
+ * or fixed-width integers.
+ *
+ * Every number system implements the same interface:
+ * - `parse(literal, radix)` converts a number literal to a value; only the
+ *   programmer system uses the radix
+ * - `fromNumber(n)` / `toNumber(value)` convert to and from JavaScript numbers
+ * - `add`, `subtract`, `multiply`, `divide`, `power`, `negate`
+ * - `abs`, `sqrt`, `floor`, `ceil`, `round`, `factorial`
+ * - `constant(name)` returns `pi` or `e`
+ * - `normalize(value)` checks and tidies a final result
+ *
+ * The programmer system also implements `and`, `or`, `xor`, `not`,
+ * `shiftLeft` and `shiftRight`. The complex system also implements `re`,
+ * `im`, `conj` and `arg` (in radians), and its `parse` reads imaginary
+ * literals such as `2i`.
+ */
+
+import { Complex } from './Complex.js';
+import { Decimal } from './Decimal.js';
+import { Fraction } from './Fraction.js';
+
+/**
+ * Largest integer accepted by the exact factorial.
+ * @type {number}
+ */
+const MAX_EXACT_FACTORIAL = 5000;
+
+/**
+ * Largest number of bits an exact fractional power may produce.
+ * @type {number}
+ */
+const MAX_EXACT_POWER_BITS = 100000;
+
+/**
+ * The exponent of a square root.
+ * @type {Decimal}
+ */
+const HALF = Decimal.from('0.5');
+
+/**
+ * Creates the binary floating-point number system.
+ * Results are rounded to 15 significant digits to hide representation
+ * errors such as 0.1 + 0.2 = 0.30000000000000004.
+ * @returns {Object} The number system
+ * @example
+ * const numbers = createFloatSystem();
+ * numbers.add(0.1, 0.2); // Returns 0.30000000000000004
+ * numbers.normalize(0.30000000000000004); // Returns 0.3
+ */
+export function createFloatSystem() {
+    return {
+        name: 'float',
+        parse: (literal) => parseFloat(literal),
+        fromNumber: (n) => n,
+        toNumber: (value) => value,
+        add: (a, b) => a + b,
+        subtract: (a, b) => a - b,
+        multiply: (a, b) => a * b,
+        divide: (a, b) => {
+            if (b === 0) throw new Error('Division by zero');
+            return a / b;
+        },
+        power: (a, b) => {
+            if (a === 0 && b < 0) throw new Error('Division by zero');
+            const result = Math.pow(a, b);
+            if (Number.isNaN(result)) throw new Error("Invalid argument for '^'");
+            return result;
+        },
+        negate: (a) => -a,
+        abs: (a) => Math.abs(a),
+        sqrt: (a) => {
+            if (a < 0) throw new Error('Invalid argument');
+            return Math.sqrt(a);
+        },
+        floor: (a) => Math.floor(a),
+        ceil: (a) => Math.ceil(a),
+        round: (a) => Math.round(a),
+        factorial: (n) => {
+            if (!Number.isInteger(n) || n < 0) {
+                throw new Error('Factorial is only defined for non-negative integers');
+            }
+            let result = 1;
+            for (let i = 2; i <= n && Number.isFinite(result); i++) {
+                result *= i;
+            }
+            return result;
+        },
+        constant: (name) => (name === 'pi' ? Math.PI : Math.E),
+        normalize: (value) => {
+            if (!Number.isFinite(value)) {
+                throw new Error('Result out of range');
+            }
+            return Number.isInteger(value) ? value : parseFloat(value.toPrecision(15));
+        }
+    };
+}
+
+/**
+ * Creates the exact decimal number system.
+ * Addition, subtraction and multiplication are exact; division, roots and
+ * non-terminating constants are rounded to `precision` significant digits.
+ * An addend too small to change the first `precision` digits of the other
+ * only decides the rounding.
+ * @param {number} precision - Significant digits for inexact results
+ * @returns {Object} The number system
+ * @example
+ * const numbers = createDecimalSystem(34);
+ * numbers.add(numbers.parse('0.1'), numbers.parse('0.2')).toString(); // Returns '0.3'
+ */
+export function createDecimalSystem(precision) {
+    return {
+        name: 'decimal',
+        precision,
+        parse: (literal) => Decimal.from(literal),
+        fromNumber: (n) => Decimal.from(n),
+        toNumber: (value) => value.toNumber(),
+        add: (a, b) => a.add(b, precision),
+        subtract: (a, b) => a.subtract(b, precision),
+        multiply: (a, b) => a.multiply(b),
+        divide: (a, b) => a.divide(b, precision),
+        power: (a, b) => {
+            if (a.isZero() && b.isNegative()) {
+                throw new Error('Division by zero');
+            }
+            if (b.isInteger()) {
+                return a.pow(b.toNumber(), precision);
+            }
+            if (a.isZero()) {
+                return a;
+            }
+            if (a.isNegative()) {
+                throw new Error("Invalid argument for '^'");
+            }
+            // Square roots stay exact when they terminate, e.g. 6.25^0.5 = 2.5
+            if (b.compare(HALF) === 0) {
+                return a.sqrt(precision);
+            }
+            // a^b = e^(b ln a); the error of ln a is multiplied by b, hence the guard digits
+            return b.multiply(a.ln(precision + 20)).exp(precision);
+        },
+        negate: (a) => a.negate(),
+        abs: (a) => a.abs(),
+        sqrt: (a) => a.sqrt(precision),
+        floor: (a) => a.floor(),
+        ceil: (a) => a.ceil(),
+        round: (a) => a.roundToInteger(),
+        factorial: (n) => {
+            if (!n.isInteger() || n.isNegative()) {
+                throw new Error('Factorial is only defined for non-negative integers');
+            }
+            if (n.toNumber() > MAX_EXACT_FACTORIAL) {
+                throw new Error('Result out of range');
+            }
+            let result = 1n;
+            for (let i = 2n; i <= n.toBigInt(); i++) {
+                result *= i;
+            }
+            return Decimal.from(result).round(precision);
+        },
+        constant: (name) => (name === 'pi' ? Decimal.pi(precision) : Decimal.e(precision)),
+        normalize: (value) => value.round(precision)
+    };
+}
+
+/**
+ * Creates the exact fraction number system.
+ * Rational results are exact and always reduced. Results that are not
+ * rational, such as sqrt(2), pi or 2^0.5, are computed as decimals rounded to
+ * `precision` significant digits and marked approximate.
+ * @param {number} precision - Significant digits for approximate results
+ * @returns {Object} The number system
+ * @example
+ * const numbers = createFractionSystem(34);
+ * numbers.add(numbers.parse('1/3'), numbers.parse('1/6')).toString(); // Returns '1/2'
+ */
+export function createFractionSystem(precision) {
+    const approximate = (decimal) => Fraction.from(decimal.round(precision), true);
+    const pow = (a, exponent) => {
+        const bits = Math.max(a.numerator.toString(2).length, a.denominator.toString(2).length);
+        if (Math.abs(exponent) * bits > MAX_EXACT_POWER_BITS) {
+            throw new Error('Result out of range');
+        }
+        return a.pow(exponent);
+    };
+
+    return {
+        name: 'fraction',
+        precision,
+        parse: (literal) => Fraction.from(literal),
+        fromNumber: (n) => Fraction.from(n, !Number.isInteger(n)),
+        toNumber: (value) => value.toNumber(),
+        add: (a, b) => a.add(b),
+        subtract: (a, b) => a.subtract(b),
+        multiply: (a, b) => a.multiply(b),
+        divide: (a, b) => a.divide(b),
+        power: (a, b) => {
+            if (a.isZero() && b.isNegative()) {
+                throw new Error('Division by zero');
+            }
+            if (b.isInteger()) {
+                return pow(a, Number(b.numerator));
+            }
+            // A rational power is exact when the root exists, e.g. (8/27)^(2/3) = 4/9
+            const root = b.denominator <= 64n ? a.root(Number(b.denominator)) : null;
+            if (root) {
+                return pow(root, Number(b.numerator));
+            }
+            if (a.isZero()) {
+                return a;
+            }
+            if (a.isNegative()) {
+                throw new Error("Invalid argument for '^'");
+            }
+            const exponent = b.toDecimal(precision + 20);
+            return approximate(exponent.multiply(a.toDecimal(precision + 20).ln(precision + 20)).exp(precision));
+        },
+        negate: (a) => a.negate(),
+        abs: (a) => a.abs(),
+        sqrt: (a) => {
+            if (a.isNegative()) throw new Error('Invalid argument');
+            const root = a.root(2);
+            return root ? root : approximate(a.toDecimal(precision + 5).sqrt(precision));
+        },
+        floor: (a) => a.floor(),
+        ceil: (a) => a.ceil(),
+        round: (a) => a.roundToInteger(),
+        factorial: (n) => {
+            if (!n.isInteger() || n.isNegative()) {
+                throw new Error('Factorial is only defined for non-negative integers');
+            }
+            if (n.numerator > BigInt(MAX_EXACT_FACTORIAL)) {
+                throw new Error('Result out of range');
+            }
+            let result = 1n;
+            for (let i = 2n; i <= n.numerator; i++) {
+                result *= i;
+            }
+            return Fraction.from(result);
+        },
+        constant: (name) => approximate(name === 'pi' ? Decimal.pi(precision) : Decimal.e(precision)),
+        normalize: (value) => (value.approximate ? approximate(value.toDecimal(precision)) : value)
+    };
+}
+
+/**
+ * Creates the complex number system.
+ * Both parts are floating-point numbers. Like the float system, results are
+ * rounded to 15 significant digits, and a part that is that much smaller
+ * than the other one is rounded to 0, so 5∠90° is exactly 5i.
+ * Functions that only work on real numbers reject a non-zero imaginary part.
+ * @returns {Object} The number system
+ * @example
+ * const numbers = createComplexSystem();
+ * numbers.sqrt(numbers.parse('-4')).toString(); // Returns '2i'
+ */
+export function createComplexSystem() {
+    const toNumber = (value) => {
+        if (!value.isReal()) throw new Error('Invalid argument');
+        return value.re;
+    };
+    const real = (fn) => (a) => new Complex(fn(a.re), fn(a.im));
+
+    return {
+        name: 'complex',
+        parse: (literal) => (
+            literal.endsWith('i')
+                ? new Complex(0, literal.length > 1 ? parseFloat(literal) : 1)
+                : new Complex(parseFloat(literal))
+        ),
+        fromNumber: (n) => new Complex(n),
+        toNumber,
+        add: (a, b) => a.add(b),
+        subtract: (a, b) => a.subtract(b),
+        multiply: (a, b) => a.multiply(b),
+        divide: (a, b) => a.divide(b),
+        power: (a, b) => a.pow(b),
+        negate: (a) => a.negate(),
+        abs: (a) => new Complex(a.abs()),
+        sqrt: (a) => a.sqrt(),
+        floor: real(Math.floor),
+        ceil: real(Math.ceil),
+        round: real(Math.round),
+        factorial: (n) => {
+            if (!n.isReal()) {
+                throw new Error('Factorial is only defined for non-negative integers');
+            }
+            return new Complex(createFloatSystem().factorial(n.re));
+        },
+        constant: (name) => new Complex(name === 'pi' ? Math.PI : Math.E),
+        normalize: (value) => {
+            if (!Number.isFinite(value.re) || !Number.isFinite(value.im)) {
+                throw new Error('Result out of range');
+            }
+            const magnitude = Math.max(Math.abs(value.re), Math.abs(value.im));
+            const round = (part) => (
+                Math.abs(part) < magnitude * 1e-15 ? 0 : parseFloat(part.toPrecision(15))
+            );
+            // Adding 0 turns -0 into 0
+            return new Complex(round(value.re) + 0, round(value.im) + 0);
+        },
+        re: (a) => new Complex(a.re),
+        im: (a) => new Complex(a.im),
+        conj: (a) => a.conjugate(),
+        arg: (a) => a.arg()
+    };
+}
+
+/**
+ * Creates the programmer number system.
+ * Values are BigInts wrapped to a fixed word size after every operation,
+ * either as signed two's complement or unsigned integers. Division truncates
+ * towards zero. The system also provides the bitwise operations.
+ * @param {Object} options - Programmer mode options
+ * @param {number} options.wordSize - Word size in bits (8, 16, 32 or 64)
+ * @param {boolean} options.signed - True for signed wrap-around
+ * @param {number} options.radix - Default base for literals (2, 8, 10 or 16)
+ * @returns {Object} The number system
+ * @example
+ * const numbers = createProgrammerSystem({ wordSize: 8, signed: false, radix: 16 });
+ * numbers.add(numbers.parse('FF'), 1n); // Returns 0n
+ */
+export function createProgrammerSystem({ wordSize, signed, radix }) {
+    const bits = BigInt(wordSize);
+    const wrap = (value) => (signed ? BigInt.asIntN(wordSize, value) : BigInt.asUintN(wordSize, value));
+    const toShift = (b) => {
+        if (b < 0n) throw new Error('Shift amount must not be negative');
+        return b > bits ? bits : b;
+    };
+
+    return {
+        name: 'programmer',
+        wordSize,
+        signed,
+        radix,
+        parse: (literal, base = radix) => {
+            // In HEX only 0x is a prefix, since 0b and 0o are hex digits
+            const prefixes = base === 16 ? { '0x': 16 } : { '0x': 16, '0o': 8, '0b': 2 };
+            const prefix = prefixes[literal.slice(0, 2).toLowerCase()];
+            const digits = prefix ? literal.slice(2) : literal;
+            const multiplier = BigInt(prefix || base);
+            let value = 0n;
+            for (const digit of digits.toLowerCase()) {
+                value = value * multiplier + BigInt(parseInt(digit, 36));
+            }
+            return wrap(value);
+        },
+        fromNumber: (n) => wrap(BigInt(Math.trunc(n))),
+        toNumber: (value) => Number(value),
+        add: (a, b) => wrap(a + b),
+        subtract: (a, b) => wrap(a - b),
+        multiply: (a, b) => wrap(a * b),
+        divide: (a, b) => {
+            if (b === 0n) throw new Error('Division by zero');
+            return wrap(a / b);
+        },
+        power: (a, b) => {
+            if (b < 0n) throw new Error('Programmer mode needs a non-negative exponent');
+            // Square-and-multiply, wrapping on the way so values stay small
+            let result = 1n;
+            let base = a;
+            for (let n = b; n > 0n; n >>= 1n) {
+                if (n & 1n) result = wrap(result * base);
+                base = wrap(base * base);
+            }
+            return result;
+        },
+        negate: (a) => wrap(-a),
+        abs: (a) => wrap(a < 0n ? -a : a),
+        sqrt: (a) => {
+            if (a < 0n) throw new Error('Invalid argument');
+            let x = a;
+            let y = (x + 1n) >> 1n;
+            while (y < x) {
+                x = y;
+                y = (x + a / x) >> 1n;
+            }
+            return x;
+        },
+        floor: (a) => a,
+        ceil: (a) => a,
+        round: (a) => a,
+        factorial: (n) => {
+            if (n < 0n) {
+                throw new Error('Factorial is only defined for non-negative integers');
+            }
+            // From (wordSize + 2)! on the product is a multiple of 2^wordSize,
+            // which wraps to 0 and stays 0
+            let result = 1n;
+            for (let i = 2n; i <= n && result !== 0n; i++) {
+                result = wrap(result * i);
+            }
+            return result;
+        },
+        constant: (name) => {
+            throw new Error(`'${name}' is not available in programmer mode`);
+        },
+        normalize: (value) => wrap(value),
+        and: (a, b) => wrap(a & b),
+        or: (a, b) => wrap(a | b),
+        xor: (a, b) => wrap(a ^ b),
+        not: (a) => wrap(~a),
+        shiftLeft: (a, b) => wrap(a << toShift(b)),
+        shiftRight: (a, b) => wrap(a >> toShift(b))
+    };
+}
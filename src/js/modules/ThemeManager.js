@@ -1,69 +1,136 @@
 /**
  * @fileoverview ThemeManager module for handling calculator theme management.
- * Provides functionality for theme switching, persistence, and customization.
+ * Provides functionality for theme switching, persistence, and customization:
+ * custom themes are checked against the colours of the light theme, saved to
+ * storage, and exported and imported as JSON.
  */
 
+import { EventEmitter } from './EventEmitter.js';
+import { MemoryStorage } from './MemoryStorage.js';
+
+/**
+ * CSS variables a theme sets, in the order they are edited, with their labels.
+ * The stylesheet's other variables, such as the background gradient and the
+ * shadows, follow the built-in theme a theme is based on.
+ * @type {Object<string, string>}
+ */
+const THEME_VARIABLES = {
+    '--text-color': 'Text',
+    '--text-secondary': 'Secondary text',
+    '--display-bg': 'Display',
+    '--display-border': 'Borders',
+    '--button-bg': 'Buttons',
+    '--button-hover': 'Button hover',
+    '--button-active': 'Button pressed',
+    '--primary-color': 'Primary accent',
+    '--secondary-color': 'Secondary accent',
+    '--accent-color': 'Highlight',
+    '--error-color': 'Errors',
+    '--success-color': 'Success',
+    '--warning-color': 'Warnings'
+};
+
+/**
+ * The built-in themes, matching the variables of the stylesheet.
+ * @type {Object<string, Object<string, string>>}
+ */
+const BUILT_IN_THEMES = {
+    light: {
+        '--text-color': '#1e293b',
+        '--text-secondary': '#64748b',
+        '--display-bg': '#f8fafc',
+        '--display-border': '#e2e8f0',
+        '--button-bg': '#ffffff',
+        '--button-hover': '#f1f5f9',
+        '--button-active': '#e2e8f0',
+        '--primary-color': '#3b82f6',
+        '--secondary-color': '#8b5cf6',
+        '--accent-color': '#06b6d4',
+        '--error-color': '#ef4444',
+        '--success-color': '#10b981',
+        '--warning-color': '#f59e0b'
+    },
+    dark: {
+        '--text-color': '#f1f5f9',
+        '--text-secondary': '#94a3b8',
+        '--display-bg': '#0f172a',
+        '--display-border': '#334155',
+        '--button-bg': '#1e293b',
+        '--button-hover': '#334155',
+        '--button-active': '#475569',
+        '--primary-color': '#60a5fa',
+        '--secondary-color': '#a78bfa',
+        '--accent-color': '#22d3ee',
+        '--error-color': '#f87171',
+        '--success-color': '#34d399',
+        '--warning-color': '#fbbf24'
+    }
+};
+
+/**
+ * Names of custom themes: lower case letters, digits and dashes.
+ * @type {RegExp}
+ */
+const THEME_NAME_PATTERN = /^[a-z][a-z0-9-]{0,31}$/;
+
+/**
+ * Colours a theme can use: six-digit hex, as colour pickers give them.
+ * @type {RegExp}
+ */
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+/**
+ * Storage key of the custom themes.
+ * @type {string}
+ */
+const STORAGE_KEY = 'calculatorCustomThemes';
+
 /**
  * ThemeManager class for managing calculator themes.
  * Handles theme switching, persistence, and provides theme-related utilities.
+ * Every theme sets the colours the light theme sets and is based on the
+ * light or dark theme, whose `data-theme` styles it gets. Emits:
+ * - 'change' (name) – a theme was applied
+ * - 'themes' (names) – a custom theme was added, replaced or removed
  * @class ThemeManager
+ * @extends EventEmitter
  * @example
- * const themeManager = new ThemeManager();
+ * const themeManager = new ThemeManager(localStorage);
+ * themeManager.initialize();
  * themeManager.setTheme('dark'); // Switches to dark theme
  * themeManager.toggleTheme(); // Toggles between light and dark themes
+ * themeManager.importTheme('{"name": "mint", "variables": {"--primary-color": "#10b981"}}');
+ * // Returns { name: 'mint', missing: [...] }, the colours taken from the light theme
  */
-export class ThemeManager {
+export class ThemeManager extends EventEmitter {
     /**
      * Creates a new ThemeManager instance.
-     * Initializes available themes and loads the saved theme preference.
+     * Initializes the available themes with the saved custom ones;
+     * `initialize` applies the saved choice.
      * @constructor
+     * @param {Storage|MemoryStorage} [storage] - Where the theme choice and
+     *     custom themes are saved, e.g. localStorage; defaults to an
+     *     in-memory store
      */
-    constructor() {
+    constructor(storage = new MemoryStorage()) {
+        super();
+
+        /** @private {Storage|MemoryStorage} Where the theme choice and custom themes are saved */
+        this.storage = storage;
+
         /** @private {Object} Available themes with their CSS variables */
         this.themes = {
-            light: {
-                '--bg-color': '#ffffff',
-                '--text-color': '#333333',
-                '--button-bg': '#f0f0f0',
-                '--button-hover': '#e0e0e0',
-                '--button-active': '#d0d0d0',
-                '--operator-bg': '#ffd700',
-                '--operator-hover': '#ffed4a',
-                '--operator-active': '#ffd700',
-                '--equals-bg': '#4CAF50',
-                '--equals-hover': '#45a049',
-                '--equals-active': '#3d8b40',
-                '--clear-bg': '#ff4444',
-                '--clear-hover': '#ff6b6b',
-                '--clear-active': '#cc0000',
-                '--display-bg': '#f8f9fa',
-                '--display-text': '#212529',
-                '--shadow-color': 'rgba(0, 0, 0, 0.1)'
-            },
-            dark: {
-                '--bg-color': '#1a1a1a',
-                '--text-color': '#ffffff',
-                '--button-bg': '#333333',
-                '--button-hover': '#404040',
-                '--button-active': '#4d4d4d',
-                '--operator-bg': '#ffd700',
-                '--operator-hover': '#ffed4a',
-                '--operator-active': '#ffd700',
-                '--equals-bg': '#4CAF50',
-                '--equals-hover': '#45a049',
-                '--equals-active': '#3d8b40',
-                '--clear-bg': '#ff4444',
-                '--clear-hover': '#ff6b6b',
-                '--clear-active': '#cc0000',
-                '--display-bg': '#2d2d2d',
-                '--display-text': '#ffffff',
-                '--shadow-color': 'rgba(0, 0, 0, 0.3)'
-            }
+            light: { ...BUILT_IN_THEMES.light },
+            dark: { ...BUILT_IN_THEMES.dark }
         };
 
+        /** @private {Object<string, string>} Built-in theme each theme is based on, by theme name */
+        this.bases = { light: 'light', dark: 'dark' };
+
         /** @private {string} Current active theme */
         this.currentTheme = 'light';
-        this.initialize();
+
+        this.loadCustomThemes();
     }
 
     /**
@@ -73,8 +140,8 @@ export class ThemeManager {
      * themeManager.initialize(); // Loads and applies saved theme
      */
     initialize() {
-        const savedTheme = localStorage.getItem('calculatorTheme');
-        if (savedTheme && this.themes[savedTheme]) {
+        const savedTheme = this.storage.getItem('calculatorTheme');
+        if (savedTheme && Object.hasOwn(this.themes, savedTheme)) {
             this.setTheme(savedTheme);
         } else {
             // Check system preference for dark mode
@@ -84,7 +151,7 @@ export class ThemeManager {
 
         // Listen for system theme changes
         window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', (e) => {
-            if (!localStorage.getItem('calculatorTheme')) {
+            if (!this.storage.getItem('calculatorTheme')) {
                 this.setTheme(e.matches ? 'dark' : 'light');
             }
         });
@@ -92,39 +159,49 @@ export class ThemeManager {
 
     /**
      * Sets the calculator theme.
-     * @param {string} themeName - The name of the theme to apply ('light' or 'dark')
+     * @param {string} themeName - The name of the theme to apply, e.g. 'light' or 'dark'
      * @throws {Error} If the specified theme does not exist
      * @example
      * themeManager.setTheme('dark'); // Applies dark theme
      */
     setTheme(themeName) {
-        if (!this.themes[themeName]) {
+        if (!Object.hasOwn(this.themes, themeName)) {
             throw new Error(`Theme '${themeName}' does not exist`);
         }
 
-        const theme = this.themes[themeName];
-        Object.entries(theme).forEach(([property, value]) => {
-            document.documentElement.style.setProperty(property, value);
-        });
-
+        this.applyTheme(this.themes[themeName], this.bases[themeName]);
         this.currentTheme = themeName;
-        localStorage.setItem('calculatorTheme', themeName);
+        this.storage.setItem('calculatorTheme', themeName);
 
         // Update theme toggle button state
         const themeToggle = document.getElementById('themeToggle');
         if (themeToggle) {
-            themeToggle.checked = themeName === 'dark';
+            themeToggle.checked = this.bases[themeName] === 'dark';
         }
+        this.emit('change', themeName);
     }
 
     /**
-     * Toggles between light and dark themes.
+     * Shows colours without saving them or changing the current theme, e.g.
+     * while they are edited. Setting a theme shows its colours again.
+     * @param {Object<string, string>} variables - The CSS variables
+     * @param {string} [base='light'] - The built-in theme whose other styles to use
+     * @example
+     * themeManager.previewTheme({ ...themeManager.getTheme('light').variables, '--button-bg': '#fef3c7' });
+     */
+    previewTheme(variables, base = 'light') {
+        this.applyTheme(variables, base);
+    }
+
+    /**
+     * Toggles between light and dark themes. A custom theme based on the
+     * dark theme toggles to the light one.
      * @returns {string} The new active theme name
      * @example
      * const newTheme = themeManager.toggleTheme(); // Switches between light and dark
      */
     toggleTheme() {
-        const newTheme = this.currentTheme === 'light' ? 'dark' : 'light';
+        const newTheme = this.bases[this.currentTheme] === 'dark' ? 'light' : 'dark';
         this.setTheme(newTheme);
         return newTheme;
     }
@@ -151,28 +228,82 @@ export class ThemeManager {
     }
 
     /**
-     * Adds a new theme to the available themes.
-     * @param {string} name - The name of the new theme
-     * @param {Object} theme - The theme configuration object
-     * @throws {Error} If a theme with the same name already exists
+     * Gets the CSS variables a theme sets, in the order they are edited.
+     * @returns {Array<{name: string, label: string}>} The variables with their labels
+     * @example
+     * themeManager.getVariables()[0]; // Returns { name: '--text-color', label: 'Text' }
+     */
+    getVariables() {
+        return Object.entries(THEME_VARIABLES).map(([name, label]) => ({ name, label }));
+    }
+
+    /**
+     * Gets a theme.
+     * @param {string} name - The theme name
+     * @returns {{name: string, base: string, builtIn: boolean, variables: Object<string, string>}|null}
+     *     A copy of the theme, or null if it does not exist
+     * @example
+     * themeManager.getTheme('dark').variables['--text-color']; // Returns '#f1f5f9'
+     */
+    getTheme(name) {
+        if (!Object.hasOwn(this.themes, name)) {
+            return null;
+        }
+        return {
+            name,
+            base: this.bases[name],
+            builtIn: Object.hasOwn(BUILT_IN_THEMES, name),
+            variables: { ...this.themes[name] }
+        };
+    }
+
+    /**
+     * Adds a new theme to the available themes and saves it.
+     * @param {string} name - The name of the new theme: lower case letters,
+     *     digits and dashes
+     * @param {Object<string, string>} theme - The CSS variables; every
+     *     variable of the light theme, as a hex colour
+     * @param {Object} [options] - Theme options
+     * @param {string} [options.base='light'] - The built-in theme whose
+     *     other styles, such as the background, the theme uses
+     * @param {boolean} [options.replace=false] - Replace a custom theme of
+     *     the same name instead of throwing
+     * @throws {Error} If a theme with the same name already exists, the name
+     *     is invalid, or a variable is missing, unknown or not a colour
      * @example
      * themeManager.addTheme('custom', {
-     *     '--bg-color': '#000000',
-     *     '--text-color': '#ffffff'
-     *     // ... other theme properties
-     * });
+     *     ...themeManager.getTheme('dark').variables,
+     *     '--primary-color': '#f97316'
+     * }, { base: 'dark' });
      */
-    addTheme(name, theme) {
-        if (this.themes[name]) {
+    addTheme(name, theme, { base = 'light', replace = false } = {}) {
+        if (Object.hasOwn(BUILT_IN_THEMES, name)) {
+            throw new Error(`Theme '${name}' is built in and cannot be replaced`);
+        }
+        if (Object.hasOwn(this.themes, name) && !replace) {
             throw new Error(`Theme '${name}' already exists`);
         }
-        this.themes[name] = theme;
+        const valid = this.validate({ name, base, variables: theme });
+        const missing = Object.keys(THEME_VARIABLES).filter((variable) => !Object.hasOwn(valid.variables, variable));
+        if (missing.length) {
+            throw new Error(`Theme '${name}' is missing ${missing.join(', ')}`);
+        }
+
+        this.themes[name] = valid.variables;
+        this.bases[name] = valid.base;
+        this.save();
+        this.emit('themes', Object.keys(this.themes));
+        if (name === this.currentTheme) {
+            this.setTheme(name);
+        }
     }
 
     /**
-     * Removes a theme from the available themes.
+     * Removes a theme from the available themes. The built-in themes cannot
+     * be removed.
      * @param {string} name - The name of the theme to remove
-     * @throws {Error} If trying to remove the current theme or if theme doesn't exist
+     * @throws {Error} If trying to remove the current theme, a built-in one
+     *     or one that doesn't exist
      * @example
      * themeManager.removeTheme('custom'); // Removes the custom theme
      */
@@ -180,9 +311,160 @@ export class ThemeManager {
         if (name === this.currentTheme) {
             throw new Error('Cannot remove the current theme');
         }
-        if (!this.themes[name]) {
+        if (!Object.hasOwn(this.themes, name)) {
             throw new Error(`Theme '${name}' does not exist`);
         }
+        if (Object.hasOwn(BUILT_IN_THEMES, name)) {
+            throw new Error(`Theme '${name}' is built in and cannot be removed`);
+        }
         delete this.themes[name];
+        delete this.bases[name];
+        this.save();
+        this.emit('themes', Object.keys(this.themes));
+    }
+
+    /**
+     * Writes a theme as JSON, to be saved to a file and imported again.
+     * @param {string} name - The theme name
+     * @returns {string} The theme as JSON: its name, base and variables
+     * @throws {Error} If the theme does not exist
+     * @example
+     * themeManager.exportTheme('dark');
+     * // Returns '{ "name": "dark", "base": "dark", "variables": { "--text-color": "#f1f5f9", ... } }'
+     */
+    exportTheme(name) {
+        if (!Object.hasOwn(this.themes, name)) {
+            throw new Error(`Theme '${name}' does not exist`);
+        }
+        return JSON.stringify({ name, base: this.bases[name], variables: this.themes[name] }, null, 4);
+    }
+
+    /**
+     * Imports a theme from JSON, as written by `exportTheme`, replacing a
+     * custom theme of the same name. Colours the theme leaves out are taken
+     * from the theme it is based on.
+     * @param {string} json - The theme as JSON
+     * @returns {{name: string, missing: string[]}} The name of the theme, and
+     *     the variables that were filled in
+     * @throws {Error} If the JSON is invalid, or naming the first problem
+     *     found in the theme
+     * @example
+     * themeManager.importTheme('{"name": "night", "base": "dark", "variables": {"--accent-color": "#f472b6"}}');
+     * // Returns { name: 'night', missing: ['--text-color', ...] }
+     */
+    importTheme(json) {
+        let theme;
+        try {
+            theme = JSON.parse(json);
+        } catch (error) {
+            throw new Error(`Theme is not valid JSON: ${error.message}`);
+        }
+        const { name, base, variables, missing } = this.complete(this.validate(theme));
+        this.addTheme(name, variables, { base, replace: true });
+        return { name, missing };
+    }
+
+    /**
+     * Checks a theme and copies its known parts.
+     * @private
+     * @param {*} theme - The theme, e.g. parsed from JSON
+     * @returns {{name: string, base: string, variables: Object<string, string>}} The
+     *     theme, whose variables may be incomplete
+     * @throws {Error} Naming the first problem found
+     */
+    validate(theme) {
+        if (!theme || typeof theme !== 'object' || Array.isArray(theme)) {
+            throw new Error('Theme must be an object');
+        }
+        const { name, base = 'light', variables } = theme;
+        if (typeof name !== 'string' || !THEME_NAME_PATTERN.test(name)) {
+            throw new Error('Theme name must be lower case letters, digits and dashes, starting with a letter');
+        }
+        if (Object.hasOwn(BUILT_IN_THEMES, name)) {
+            throw new Error(`Theme '${name}' is built in and cannot be replaced`);
+        }
+        if (!Object.hasOwn(BUILT_IN_THEMES, base)) {
+            throw new Error(`Theme base must be one of ${Object.keys(BUILT_IN_THEMES).join(', ')}`);
+        }
+        if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+            throw new Error('Theme variables must be an object of CSS variables and colours');
+        }
+        Object.entries(variables).forEach(([variable, value]) => {
+            if (!Object.hasOwn(THEME_VARIABLES, variable)) {
+                throw new Error(`Unknown theme variable '${variable}'`);
+            }
+            if (typeof value !== 'string' || !COLOR_PATTERN.test(value)) {
+                throw new Error(`variables['${variable}'] must be a colour such as #1e293b`);
+            }
+        });
+        const known = Object.keys(THEME_VARIABLES).filter((variable) => Object.hasOwn(variables, variable));
+        return {
+            name,
+            base,
+            variables: Object.fromEntries(known.map((variable) => [variable, variables[variable].toLowerCase()]))
+        };
+    }
+
+    /**
+     * Fills in the variables a theme leaves out from its base.
+     * @private
+     * @param {{name: string, base: string, variables: Object<string, string>}} theme - A valid theme
+     * @returns {{name: string, base: string, variables: Object<string, string>, missing: string[]}}
+     *     The complete theme, with the variables that were filled in
+     */
+    complete({ name, base, variables }) {
+        const missing = Object.keys(THEME_VARIABLES).filter((variable) => !Object.hasOwn(variables, variable));
+        return { name, base, variables: { ...BUILT_IN_THEMES[base], ...variables }, missing };
+    }
+
+    /**
+     * Sets the CSS variables of a theme on the page, and the `data-theme`
+     * attribute of its base.
+     * @private
+     * @param {Object<string, string>} variables - The CSS variables
+     * @param {string} base - The built-in theme it is based on
+     */
+    applyTheme(variables, base) {
+        const root = document.documentElement;
+        Object.entries(variables).forEach(([property, value]) => {
+            root.style.setProperty(property, value);
+        });
+        root.dataset.theme = base;
+    }
+
+    /**
+     * Loads the saved custom themes. Themes saved before a variable was added
+     * get it from their base; invalid ones are skipped.
+     * @private
+     */
+    loadCustomThemes() {
+        let saved = [];
+        try {
+            saved = JSON.parse(this.storage.getItem(STORAGE_KEY)) || [];
+        } catch (error) {
+            // Ignore corrupt themes and keep the built-in ones
+        }
+        if (!Array.isArray(saved)) return;
+
+        saved.forEach((theme) => {
+            try {
+                const { name, base, variables } = this.complete(this.validate(theme));
+                this.themes[name] = variables;
+                this.bases[name] = base;
+            } catch (error) {
+                // Skip a theme that is no longer valid
+            }
+        });
+    }
+
+    /**
+     * Saves the custom themes to storage.
+     * @private
+     */
+    save() {
+        const custom = Object.keys(this.themes)
+            .filter((name) => !Object.hasOwn(BUILT_IN_THEMES, name))
+            .map((name) => ({ name, base: this.bases[name], variables: this.themes[name] }));
+        this.storage.setItem(STORAGE_KEY, JSON.stringify(custom));
     }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,303 @@
+/**
+ * @fileoverview Manages the theme editor.
+ */
+
+/**
+ * Class representing the theme editor.
+ * Picks the theme, edits its colours with a colour picker per CSS variable
+ * and previews them on the whole calculator as they change. The colours are
+ * saved as a custom theme under a name, and themes are exported to and
+ * imported from JSON files. Closing the editor or picking a theme discards
+ * unsaved colours.
+ */
+export class ThemePanel {
+    /**
+     * Creates a new ThemePanel instance.
+     * @param {ThemeManager} themeManager - The themes to edit
+     */
+    constructor(themeManager) {
+        /** @private {ThemeManager} The theme manager */
+        this.themeManager = themeManager;
+
+        /** @private {HTMLElement|null} The editor */
+        this.panelElement = null;
+
+        /** @private {HTMLSelectElement|null} The theme picker */
+        this.themeSelect = null;
+
+        /** @private {HTMLSelectElement|null} The picker of the built-in theme the colours are based on */
+        this.baseSelect = null;
+
+        /** @private {HTMLInputElement|null} The name to save the colours under */
+        this.nameInput = null;
+
+        /** @private {HTMLElement|null} The list element holding the colour pickers */
+        this.listElement = null;
+
+        /** @private {HTMLElement|null} Where results and errors are shown */
+        this.messageElement = null;
+
+        /** @private {HTMLInputElement|null} The file input for imports */
+        this.fileInput = null;
+
+        /** @private {HTMLElement|null} The header button opening the editor */
+        this.toggleButton = null;
+
+        /** @private {{base: string, variables: Object<string, string>}|null} The colours being edited */
+        this.draft = null;
+
+        /** @private {boolean} Whether the colours differ from the saved theme */
+        this.isDirty = false;
+    }
+
+    /**
+     * Initializes the editor by getting DOM elements, subscribing to the
+     * theme manager and rendering the current theme.
+     */
+    initialize() {
+        this.panelElement = document.querySelector('.calculator-theme-panel');
+        this.themeSelect = document.querySelector('.calculator-theme-select');
+        this.baseSelect = document.querySelector('.calculator-theme-base');
+        this.nameInput = document.querySelector('.calculator-theme-name');
+        this.listElement = document.querySelector('.calculator-theme-list');
+        this.messageElement = document.querySelector('.calculator-theme-message');
+        this.fileInput = document.querySelector('.calculator-theme-file');
+        this.toggleButton = document.getElementById('themeEditorToggle');
+        if (!this.panelElement || !this.listElement || !this.themeSelect) {
+            console.error('Theme panel element not found');
+            return;
+        }
+
+        this.toggleButton?.addEventListener('click', () => this.setOpen(this.panelElement.hidden));
+        this.panelElement.addEventListener('click', (event) => this.handleClick(event));
+        this.panelElement.querySelector('form')?.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.save();
+        });
+        this.themeSelect.addEventListener('change', () => this.themeManager.setTheme(this.themeSelect.value));
+        this.baseSelect?.addEventListener('change', () => {
+            this.draft.base = this.baseSelect.value;
+            this.preview();
+        });
+        this.listElement.addEventListener('input', (event) => {
+            const { variable } = event.target.dataset;
+            if (!variable) return;
+            this.draft.variables[variable] = event.target.value;
+            event.target.nextElementSibling.textContent = event.target.value;
+            this.preview();
+        });
+        this.fileInput?.addEventListener('change', async () => {
+            const [file] = this.fileInput.files;
+            if (!file) return;
+            this.import(await file.text());
+            this.fileInput.value = '';
+        });
+
+        this.themeManager.on('change', () => this.reset());
+        this.themeManager.on('themes', () => this.renderThemeOptions());
+        this.reset();
+    }
+
+    /**
+     * Opens or closes the editor. Closing it discards unsaved colours.
+     * @param {boolean} isOpen - True to open it
+     * @example
+     * themePanel.setOpen(true);
+     */
+    setOpen(isOpen) {
+        if (!this.panelElement) return;
+
+        this.panelElement.hidden = !isOpen;
+        this.toggleButton?.setAttribute('aria-expanded', String(isOpen));
+        if (!isOpen && this.isDirty) {
+            this.themeManager.setTheme(this.themeManager.getCurrentTheme());
+        }
+    }
+
+    /**
+     * Starts editing the current theme again, discarding unsaved colours.
+     * @private
+     */
+    reset() {
+        const { name, base, builtIn, variables } = this.themeManager.getTheme(this.themeManager.getCurrentTheme());
+        this.draft = { base, variables };
+        this.isDirty = false;
+        if (this.nameInput) {
+            this.nameInput.value = builtIn ? '' : name;
+        }
+        this.renderThemeOptions();
+        this.render();
+        this.showMessage('');
+    }
+
+    /**
+     * Lists the themes in the theme picker.
+     * @private
+     */
+    renderThemeOptions() {
+        if (!this.themeSelect) return;
+
+        this.themeSelect.innerHTML = '';
+        Object.keys(this.themeManager.getAvailableThemes()).forEach((name) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            this.themeSelect.appendChild(option);
+        });
+        this.themeSelect.value = this.themeManager.getCurrentTheme();
+    }
+
+    /**
+     * Renders a colour picker for each variable of the colours being edited,
+     * and whether the current theme can be deleted.
+     */
+    render() {
+        if (!this.listElement) return;
+
+        this.listElement.innerHTML = '';
+        this.themeManager.getVariables().forEach(({ name, label }) => {
+            const item = document.createElement('li');
+            item.className = 'calculator-theme-variable';
+            item.innerHTML = '<label><span></span><input type="color" /><code></code></label>';
+            item.querySelector('span').textContent = label;
+            const input = item.querySelector('input');
+            input.value = this.draft.variables[name];
+            input.dataset.variable = name;
+            item.querySelector('code').textContent = this.draft.variables[name];
+            this.listElement.appendChild(item);
+        });
+
+        if (this.baseSelect) {
+            this.baseSelect.value = this.draft.base;
+        }
+        const deleteButton = this.panelElement.querySelector('[data-action="delete"]');
+        if (deleteButton) {
+            deleteButton.hidden = this.themeManager.getTheme(this.themeManager.getCurrentTheme()).builtIn;
+        }
+    }
+
+    /**
+     * Shows the colours being edited on the calculator.
+     * @private
+     */
+    preview() {
+        this.isDirty = true;
+        this.themeManager.previewTheme(this.draft.variables, this.draft.base);
+        this.showMessage('Previewing unsaved colours. Save them under a name to keep them.');
+    }
+
+    /**
+     * Shows a result or an error below the editor header.
+     * @param {string} message - The text, or '' to clear it
+     * @param {boolean} [isError=false] - Whether it is an error
+     * @private
+     */
+    showMessage(message, isError = false) {
+        if (!this.messageElement) return;
+
+        this.messageElement.textContent = message;
+        this.messageElement.classList.toggle('error', isError);
+    }
+
+    /**
+     * Handles clicks on the buttons of the editor.
+     * @param {MouseEvent} event - The click event
+     * @private
+     */
+    handleClick(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+
+        switch (button.dataset.action) {
+            case 'delete':
+                this.delete();
+                break;
+            case 'revert':
+                this.themeManager.setTheme(this.themeManager.getCurrentTheme());
+                break;
+            case 'export':
+                this.export();
+                break;
+            case 'import':
+                this.fileInput?.click();
+                break;
+            case 'close':
+                this.setOpen(false);
+                break;
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Saves the colours being edited under the typed name and applies them.
+     * Only the current theme is replaced by saving under its name.
+     * @private
+     */
+    save() {
+        const name = this.nameInput?.value.trim() ?? '';
+        try {
+            const isCurrent = name === this.themeManager.getCurrentTheme();
+            this.themeManager.addTheme(name, this.draft.variables, { base: this.draft.base, replace: isCurrent });
+            if (!isCurrent) {
+                this.themeManager.setTheme(name);
+            }
+            this.showMessage(`Saved theme ${name}`);
+        } catch (error) {
+            this.showMessage(error.message, true);
+        }
+    }
+
+    /**
+     * Deletes the current custom theme, switching to the theme it is based on.
+     * @private
+     */
+    delete() {
+        const name = this.themeManager.getCurrentTheme();
+        const { base } = this.themeManager.getTheme(name);
+        try {
+            this.themeManager.setTheme(base);
+            this.themeManager.removeTheme(name);
+            this.showMessage(`Deleted theme ${name}`);
+        } catch (error) {
+            this.showMessage(error.message, true);
+        }
+    }
+
+    /**
+     * Downloads the current theme as a JSON file.
+     * @private
+     */
+    export() {
+        if (this.isDirty) {
+            this.showMessage('Save the colours before exporting them', true);
+            return;
+        }
+        const name = this.themeManager.getCurrentTheme();
+        const blob = new Blob([this.themeManager.exportTheme(name)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${name}.theme.json`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Imports a theme from JSON and applies it, saying which colours were
+     * taken from its base.
+     * @param {string} json - The contents of the theme file
+     * @private
+     */
+    import(json) {
+        try {
+            const { name, missing } = this.themeManager.importTheme(json);
+            this.themeManager.setTheme(name);
+            const { base } = this.themeManager.getTheme(name);
+            const filled = missing.length ? `; ${missing.length} missing colours were taken from the ${base} theme` : '';
+            this.showMessage(`Imported theme ${name}${filled}`);
+        } catch (error) {
+            this.showMessage(error.message, true);
+        }
+    }
+}
@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Bounded undo and redo stacks.
+ * Holds snapshots of earlier states, dropping the oldest once the depth is
+ * reached so memory use stays small.
+ */
+
+/**
+ * Default number of steps that can be undone.
+ * @type {number}
+ */
+const DEFAULT_DEPTH = 50;
+
+/**
+ * UndoStack class keeping snapshots of the states before each change.
+ * The owner records the state before every change with `push`, and passes
+ * its current state to `undo` and `redo`, which return the state to go back
+ * or forward to.
+ * @class UndoStack
+ * @example
+ * const stack = new UndoStack({ depth: 2 });
+ * stack.push('1');
+ * stack.push('12');
+ * stack.undo('123'); // Returns '12'
+ * stack.redo('12'); // Returns '123'
+ */
+export class UndoStack {
+    /**
+     * Creates a new UndoStack instance.
+     * @constructor
+     * @param {Object} [options] - Stack options
+     * @param {number} [options.depth=50] - Most steps kept for undo
+     */
+    constructor({ depth = DEFAULT_DEPTH } = {}) {
+        /** @private {number} Most steps kept for undo */
+        this.depth = depth;
+
+        /** @private {Array<*>} States to go back to, newest last */
+        this.undoStates = [];
+
+        /** @private {Array<*>} States to go forward to, newest last */
+        this.redoStates = [];
+    }
+
+    /**
+     * Records the state before a change. A new change cannot be redone
+     * over, so the redo stack is emptied.
+     * @param {*} state - The state before the change
+     */
+    push(state) {
+        this.undoStates.push(state);
+        if (this.undoStates.length > this.depth) {
+            this.undoStates.shift();
+        }
+        this.redoStates = [];
+    }
+
+    /**
+     * Steps back.
+     * @param {*} current - The current state, kept for redo
+     * @returns {*} The state to restore, or null if there is nothing to undo
+     */
+    undo(current) {
+        if (!this.undoStates.length) {
+            return null;
+        }
+        this.redoStates.push(current);
+        return this.undoStates.pop();
+    }
+
+    /**
+     * Steps forward again after an undo.
+     * @param {*} current - The current state, kept for undo
+     * @returns {*} The state to restore, or null if there is nothing to redo
+     */
+    redo(current) {
+        if (!this.redoStates.length) {
+            return null;
+        }
+        this.undoStates.push(current);
+        return this.redoStates.pop();
+    }
+
+    /**
+     * Checks whether there is a step to undo.
+     * @returns {boolean} True if `undo` would return a state
+     */
+    canUndo() {
+        return this.undoStates.length > 0;
+    }
+
+    /**
+     * Checks whether there is a step to redo.
+     * @returns {boolean} True if `redo` would return a state
+     */
+    canRedo() {
+        return this.redoStates.length > 0;
+    }
+
+    /**
+     * Forgets all steps.
+     */
+    clear() {
+        this.undoStates = [];
+        this.redoStates = [];
+    }
+}
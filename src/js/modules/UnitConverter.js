@@ -0,0 +1,584 @@
+/**
+ * @fileoverview Unit conversion built on the calculator engine.
+ * Evaluates expressions such as `12 in to cm` or `(3 kg + 400 g) to lb`
+ * using an offline table of units with dimension checking.
+ */
+
+import { createDecimalSystem } from './NumberSystems.js';
+import { ExpressionError } from './ExpressionError.js';
+
+/**
+ * Extra significant digits used while converting in decimal mode, so that
+ * inexact factors such as 5/9 do not show up in results like -40 °C to °F.
+ * @type {number}
+ */
+const GUARD_DIGITS = 10;
+
+/**
+ * Base units, one per dimension. Every unit is a factor times a product of
+ * powers of these.
+ * @type {string[]}
+ */
+const BASE_UNITS = ['m', 'kg', 's', 'K', 'bit'];
+
+/**
+ * The unit table, by category. Factors are exact decimal strings or ratios
+ * converting one unit to the base units of its category. Units with an
+ * offset (°C, °F) are affine: value in kelvin = value × factor + offset.
+ * `shortcuts` are compound units offered by the unit picker.
+ * @type {Object<string, Object>}
+ */
+const UNIT_CATEGORIES = {
+    length: {
+        label: 'Length',
+        dimensions: { m: 1 },
+        units: {
+            m: '1', km: '1000', cm: '0.01', mm: '0.001', um: '0.000001', nm: '1e-9',
+            in: '0.0254', ft: '0.3048', yd: '0.9144', mi: '1609.344', nmi: '1852'
+        }
+    },
+    mass: {
+        label: 'Mass',
+        dimensions: { kg: 1 },
+        units: {
+            kg: '1', g: '0.001', mg: '0.000001', t: '1000',
+            lb: '0.45359237', oz: '0.028349523125', st: '6.35029318'
+        }
+    },
+    time: {
+        label: 'Time',
+        dimensions: { s: 1 },
+        units: { s: '1', ms: '0.001', min: '60', h: '3600', d: '86400', wk: '604800' }
+    },
+    temperature: {
+        label: 'Temperature',
+        dimensions: { K: 1 },
+        units: {
+            K: '1',
+            degC: { factor: '1', offset: '273.15', label: '°C' },
+            degF: { factor: '5/9', offset: '45967/180', label: '°F' },
+            degR: { factor: '5/9', label: '°R' }
+        }
+    },
+    data: {
+        label: 'Data',
+        dimensions: { bit: 1 },
+        units: {
+            bit: '1', kbit: '1000', Mbit: '1e6', Gbit: '1e9',
+            B: '8', kB: '8000', MB: '8e6', GB: '8e9', TB: '8e12',
+            KiB: '8192', MiB: '8388608', GiB: '8589934592', TiB: '8796093022208'
+        }
+    },
+    pressure: {
+        label: 'Pressure',
+        dimensions: { kg: 1, m: -1, s: -2 },
+        units: {
+            Pa: '1', hPa: '100', kPa: '1000', MPa: '1e6', bar: '100000', mbar: '100',
+            atm: '101325', psi: '4.4482216152605/0.00064516', mmHg: '133.322387415', torr: '101325/760'
+        }
+    },
+    speed: {
+        label: 'Speed',
+        dimensions: { m: 1, s: -1 },
+        units: { mph: '0.44704', kn: '1852/3600' },
+        shortcuts: ['m/s', 'km/h', 'ft/s']
+    },
+    energy: {
+        label: 'Energy',
+        dimensions: { kg: 1, m: 2, s: -2 },
+        units: {
+            J: '1', kJ: '1000', MJ: '1e6', cal: '4.184', kcal: '4184',
+            Wh: '3600', kWh: '3600000', eV: '1.602176634e-19', BTU: '1055.05585262'
+        }
+    }
+};
+
+/**
+ * Unit spellings that are not valid names, mapped to the names used in the table.
+ * @type {Array<[RegExp, string]>}
+ */
+const UNIT_ALIASES = [
+    [/°C|℃/g, 'degC'],
+    [/°F|℉/g, 'degF'],
+    [/°R/g, 'degR'],
+    [/µ|μ/g, 'u']
+];
+
+/**
+ * A value with dimensions, kept in base units.
+ * Absolute temperatures (from °C or °F) are marked so that they cannot be
+ * added to each other or scaled, which would give meaningless results.
+ * Differences of absolute temperatures are marked too, so that converting
+ * one to °C or °F does not add the offset of the scale.
+ * @private
+ */
+class Quantity {
+    /**
+     * @param {Decimal|number} value - The value in base units
+     * @param {number[]} dimensions - The exponent of each base unit
+     * @param {boolean} [absolute] - True for an absolute temperature
+     * @param {boolean} [difference] - True for a temperature difference
+     */
+    constructor(value, dimensions, absolute = false, difference = false) {
+        this.value = value;
+        this.dimensions = dimensions;
+        this.absolute = absolute;
+        this.difference = difference;
+    }
+}
+
+/**
+ * A unit with an offset, such as °C. It only becomes a value when a number
+ * is multiplied by it, e.g. `20 degC`.
+ * @private
+ */
+class AffineUnit {
+    /**
+     * @param {Decimal|number} factor - Size of one degree in kelvin
+     * @param {Decimal|number} offset - Kelvin value of zero degrees
+     * @param {number[]} dimensions - The exponent of each base unit
+     */
+    constructor(factor, offset, dimensions) {
+        this.factor = factor;
+        this.offset = offset;
+        this.dimensions = dimensions;
+    }
+}
+
+/**
+ * UnitConverter class for converting between units.
+ * Expressions are evaluated by the CalculatorEngine with a number system
+ * whose values carry dimensions, so all operators, variables and functions
+ * keep working. A number directly followed by a unit is multiplied by it.
+ * @class UnitConverter
+ * @example
+ * const converter = new UnitConverter(engine);
+ * converter.convert('12 in to cm'); // Returns { value: 30.48, unit: 'cm' }
+ * converter.convert('(3 kg + 400 g) to lb'); // Returns { value: 7.49572…, unit: 'lb' }
+ * converter.convert('100 degC to degF'); // Returns { value: 212, unit: '°F' }
+ * converter.convert('3 m + 2 s to m'); // Throws 'Cannot add m and s'
+ */
+export class UnitConverter {
+    /**
+     * Creates a new UnitConverter instance.
+     * @param {CalculatorEngine} engine - The calculation engine instance
+     */
+    constructor(engine) {
+        /** @private {CalculatorEngine} The calculation engine instance */
+        this.engine = engine;
+
+        /** @private {Map<string, {category: string, definition: (string|Object)}>} Units by name */
+        this.units = new Map();
+
+        Object.entries(UNIT_CATEGORIES).forEach(([category, { units }]) => {
+            Object.entries(units).forEach(([name, definition]) => {
+                this.units.set(name, { category, definition });
+            });
+        });
+    }
+
+    /**
+     * Checks whether an expression is a unit conversion, i.e. has a `to`
+     * outside of parentheses.
+     * @param {string} expression - The expression
+     * @returns {boolean} True if the expression is a conversion
+     * @example
+     * converter.isConversion('12 in to cm'); // Returns true
+     * converter.isConversion('12 * 2.54'); // Returns false
+     */
+    isConversion(expression) {
+        try {
+            return this.findTo(this.engine.tokenize(this.replaceAliases(expression))) !== -1;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Evaluates a conversion of the form `<expression> to <unit>`.
+     * The target may be a compound unit such as `km/h`.
+     * @param {string} expression - The conversion
+     * @returns {{value: (Decimal|number), unit: string}} The value in the target unit
+     *     and the target unit as typed
+     * @throws {Error} If the expression is invalid or the units are incompatible
+     * @example
+     * converter.convert('60 mph to km/h'); // Returns { value: 96.56064, unit: 'km/h' }
+     */
+    convert(expression) {
+        if (this.engine.getNumberMode() === 'programmer') {
+            throw new Error('Unit conversion is not available in programmer mode');
+        }
+
+        const text = this.replaceAliases(expression);
+        try {
+            const tokens = this.engine.tokenize(text);
+            const to = this.findTo(tokens);
+            if (to === -1) {
+                throw new Error("Expected 'to' followed by a unit");
+            }
+            if (to === tokens.length - 1) {
+                throw new Error("Missing unit after 'to'");
+            }
+
+            const active = this.engine.numbers;
+            const base = active.name === 'decimal' ? createDecimalSystem(active.precision + GUARD_DIGITS) : active;
+            const numbers = this.createQuantitySystem(base);
+            const scope = this.createScope(base);
+            const source = this.engine.evaluate(this.insertProducts(tokens.slice(0, to)), { numbers, scope });
+            const targetTokens = tokens.slice(to + 1);
+
+            // A single unit is shown with its label, e.g. °F for degF
+            const single = targetTokens.length === 1 ? this.units.get(targetTokens[0].value) : null;
+            const unit = single?.definition.label || text.slice(tokens[to].end).trim();
+
+            // A lone affine unit converts absolute temperatures; a difference
+            // of temperatures only changes the size of its degrees
+            const affine = single && scope.get(targetTokens[0].value);
+            if (affine instanceof AffineUnit) {
+                this.assertCompatible(source, affine, 'convert');
+                const kelvin = source.difference ? source.value : base.subtract(source.value, affine.offset);
+                return { value: active.normalize(base.divide(kelvin, affine.factor)), unit };
+            }
+
+            // Kelvin and °R count from absolute zero, so they need no special case
+            const target = this.engine.evaluate(this.insertProducts(targetTokens), { numbers, scope });
+            if (target.absolute) {
+                throw new Error('Temperature units with an offset cannot be part of a compound unit');
+            }
+            this.assertCompatible(source, target, 'convert');
+            return { value: active.normalize(base.divide(source.value, target.value)), unit };
+        } catch (error) {
+            // Aliases such as °C change the text, so positions only fit without them
+            if (text === expression || !(error instanceof ExpressionError)) {
+                throw error;
+            }
+            throw new ExpressionError(error.code, error.description, { suggestion: error.suggestion });
+        }
+    }
+
+    /**
+     * Explains an undefined name that is a unit, as in `1 m + 1 s` or a
+     * lone `12 in`, which have no `to`. The expression is evaluated with
+     * units, so incompatible units are reported as such; otherwise the error
+     * says to convert it.
+     * @param {string} expression - The expression that failed
+     * @param {Error} error - Its error
+     * @returns {Error} The error explaining the unit, or the error itself if
+     *     the undefined name is not a unit
+     * @example
+     * converter.explainError('1 m + 1 s', error); // Returns the error 'Cannot add m and s'
+     * converter.explainError('12 in', error); // Returns "'in' is a unit, not a variable"
+     */
+    explainError(expression, error) {
+        if (!(error instanceof ExpressionError) || error.code !== 'UNDEFINED_VARIABLE' || !error.hasRange()) {
+            return error;
+        }
+        const name = expression.slice(error.start, error.end);
+        if (!this.units.has(name) || this.engine.getNumberMode() === 'programmer') {
+            return error;
+        }
+
+        try {
+            const active = this.engine.numbers;
+            const base = active.name === 'decimal' ? createDecimalSystem(active.precision + GUARD_DIGITS) : active;
+            const tokens = this.insertProducts(this.engine.tokenize(expression));
+            this.engine.evaluate(tokens, { numbers: this.createQuantitySystem(base), scope: this.createScope(base) });
+        } catch (unitError) {
+            return unitError;
+        }
+        const { category } = this.units.get(name);
+        const other = Object.keys(UNIT_CATEGORIES[category].units).find((unit) => unit !== name);
+        return new ExpressionError('UNIT_WITHOUT_TARGET', `'${name}' is a unit, not a variable`, {
+            start: error.start,
+            end: error.end,
+            suggestion: `Convert it with to, e.g. ${expression.trim()} to ${other}`
+        });
+    }
+
+    /**
+     * Gets the unit categories for the unit picker.
+     * @returns {Array<{name: string, label: string}>} The categories
+     */
+    getCategories() {
+        return Object.entries(UNIT_CATEGORIES).map(([name, { label }]) => ({ name, label }));
+    }
+
+    /**
+     * Gets the units of a category for the unit picker.
+     * @param {string} category - The category name, e.g. 'length'
+     * @returns {Array<{name: string, label: string}>} The units; `name` is the
+     *     text to insert into an expression
+     */
+    getUnits(category) {
+        const { units = {}, shortcuts = [] } = UNIT_CATEGORIES[category] || {};
+        return [
+            ...shortcuts.map((name) => ({ name, label: name })),
+            ...Object.entries(units).map(([name, definition]) => ({ name, label: definition.label || name }))
+        ];
+    }
+
+    /**
+     * Replaces unit spellings such as °C with their names.
+     * @private
+     * @param {string} expression - The expression
+     * @returns {string} The expression with names only
+     */
+    replaceAliases(expression) {
+        return UNIT_ALIASES.reduce((text, [pattern, name]) => text.replace(pattern, name), expression);
+    }
+
+    /**
+     * Finds the `to` that separates the value from the target unit.
+     * @private
+     * @param {Array<Object>} tokens - The tokens
+     * @returns {number} The index of `to`, or -1 if there is none
+     */
+    findTo(tokens) {
+        let depth = 0;
+        return tokens.findIndex((token) => {
+            if (token.value === '(') depth++;
+            if (token.value === ')') depth--;
+            return depth === 0 && token.type === 'identifier' && token.value === 'to';
+        });
+    }
+
+    /**
+     * Makes the products of a value and the units written after it explicit.
+     * The product binds tighter than `*` and `/`, so `12 in` is read as
+     * `(12 * in)`, `100 km / 2 h` as `(100 * km) / (2 * h)` and `5 m^2` as
+     * `(5 * m^2)`. A sign or power before the value is part of it:
+     * `-40 degC` is `(-40 * degC)` and `2^3 m` is `(2^3 * m)`.
+     * @private
+     * @param {Array<Object>} tokens - The tokens
+     * @returns {Array<Object>} The tokens with the products made explicit
+     */
+    insertProducts(tokens) {
+        const isUnit = (index) => (
+            tokens[index]?.type === 'identifier' && this.units.has(tokens[index].value) && tokens[index + 1]?.value !== '('
+        );
+        const symbol = (type, value, at) => ({ type, value, start: at, end: at });
+        const result = [];
+
+        for (let i = 0; i < tokens.length; i++) {
+            const token = tokens[i];
+            result.push(token);
+            if ((token.type !== 'number' && token.value !== ')') || !isUnit(i + 1)) {
+                continue;
+            }
+
+            let start = this.findOperandStart(result, result.length - 1);
+            for (;;) {
+                const before = result[start - 2];
+                if (['-', '+'].includes(result[start - 1]?.value) &&
+                    (!before || before.type === 'operator' || before.type === 'comma' || before.value === '(')) {
+                    start--;
+                } else if (result[start - 1]?.value === '^') {
+                    start = this.findOperandStart(result, start - 2);
+                } else {
+                    break;
+                }
+            }
+            result.splice(start, 0, symbol('paren', '(', result[start].start));
+
+            // Multiply by each following unit and its power, if any
+            while (isUnit(i + 1)) {
+                result.push(symbol('operator', '*', tokens[i + 1].start), tokens[++i]);
+                if (tokens[i + 1]?.value === '^') {
+                    result.push(tokens[++i]);
+                    if (['-', '+'].includes(tokens[i + 1]?.value)) result.push(tokens[++i]);
+                    if (tokens[i + 1]) result.push(tokens[++i]);
+                }
+            }
+            result.push(symbol('paren', ')', tokens[i].end));
+        }
+        return result;
+    }
+
+    /**
+     * Finds where the operand ending at a token starts: the number itself,
+     * or the '(' matching a ')' together with any function name before it.
+     * @private
+     * @param {Array<Object>} tokens - The tokens
+     * @param {number} end - Index of the last token of the operand
+     * @returns {number} Index of the first token of the operand
+     */
+    findOperandStart(tokens, end) {
+        let start = end;
+        if (tokens[end]?.value === ')') {
+            for (let depth = 0; start >= 0; start--) {
+                depth += tokens[start].value === ')' ? 1 : tokens[start].value === '(' ? -1 : 0;
+                if (depth === 0) break;
+            }
+            if (tokens[start - 1]?.type === 'identifier') start--;
+        }
+        return Math.max(start, 0);
+    }
+
+    /**
+     * Builds the values of all unit names in a number system.
+     * @private
+     * @param {Object} base - The number system of the engine
+     * @returns {Map<string, (Quantity|AffineUnit)>} The unit values
+     */
+    createScope(base) {
+        const parseFactor = (text) => {
+            const [numerator, denominator] = text.split('/');
+            const value = base.parse(numerator);
+            return denominator ? base.divide(value, base.parse(denominator)) : value;
+        };
+
+        const scope = new Map();
+        this.units.forEach(({ category, definition }, name) => {
+            const dimensions = BASE_UNITS.map((unit) => UNIT_CATEGORIES[category].dimensions[unit] || 0);
+            if (typeof definition === 'string') {
+                scope.set(name, new Quantity(parseFactor(definition), dimensions));
+            } else if (definition.offset) {
+                scope.set(name, new AffineUnit(parseFactor(definition.factor), parseFactor(definition.offset), dimensions));
+            } else {
+                scope.set(name, new Quantity(parseFactor(definition.factor), dimensions));
+            }
+        });
+        return scope;
+    }
+
+    /**
+     * Throws unless two values have the same dimensions.
+     * @private
+     * @param {Quantity|AffineUnit} a - The first value
+     * @param {Quantity|AffineUnit} b - The second value
+     * @param {string} verb - 'add' or 'convert', used in the error message
+     * @throws {Error} If the dimensions differ
+     */
+    assertCompatible(a, b, verb) {
+        if (a.dimensions.some((exponent, i) => exponent !== b.dimensions[i])) {
+            const joiner = verb === 'add' ? 'and' : 'to';
+            throw new Error(`Cannot ${verb} ${this.describe(a.dimensions)} ${joiner} ${this.describe(b.dimensions)}`);
+        }
+    }
+
+    /**
+     * Describes dimensions by their base units, e.g. `kg·m^-1·s^-2`.
+     * @private
+     * @param {number[]} dimensions - The exponent of each base unit
+     * @returns {string} The description
+     */
+    describe(dimensions) {
+        const parts = BASE_UNITS
+            .map((unit, i) => (dimensions[i] === 0 ? null : dimensions[i] === 1 ? unit : `${unit}^${dimensions[i]}`))
+            .filter(Boolean);
+        return parts.length ? parts.join('·') : 'a plain number';
+    }
+
+    /**
+     * Creates a number system whose values carry dimensions, wrapping the
+     * engine's number system. Plain values of the wrapped system count as
+     * dimensionless.
+     * @private
+     * @param {Object} base - The wrapped number system
+     * @returns {Object} The number system, with the wrapped one as `base`
+     */
+    createQuantitySystem(base) {
+        const none = BASE_UNITS.map(() => 0);
+        const isPlain = (q) => q.dimensions.every((exponent) => exponent === 0) && !q.absolute;
+
+        // Plain values become dimensionless; a lone °C means 1 °C
+        const lift = (x) => {
+            if (x instanceof Quantity) return x;
+            if (x instanceof AffineUnit) {
+                return new Quantity(base.add(x.factor, x.offset), x.dimensions, true);
+            }
+            return new Quantity(x, none);
+        };
+        const plain = (x, fn) => {
+            const q = lift(x);
+            if (!isPlain(q)) throw new Error('Invalid argument');
+            return new Quantity(fn(q.value), none);
+        };
+        const scale = (a, b, fn, sign) => {
+            if (a instanceof AffineUnit || b instanceof AffineUnit) {
+                // `20 degC` is an absolute temperature
+                const [unit, count] = a instanceof AffineUnit ? [a, lift(b)] : [b, lift(a)];
+                if (sign < 0 || !isPlain(count)) {
+                    throw new Error('Temperatures in °C or °F can only follow a number');
+                }
+                return new Quantity(base.add(base.multiply(count.value, unit.factor), unit.offset), unit.dimensions, true);
+            }
+            const [x, y] = [lift(a), lift(b)];
+            if (x.absolute || y.absolute) {
+                throw new Error('Cannot multiply or divide an absolute temperature; convert it to K first');
+            }
+            return new Quantity(
+                fn(x.value, y.value),
+                x.dimensions.map((exponent, i) => exponent + sign * y.dimensions[i]),
+                false,
+                x.difference || y.difference
+            );
+        };
+
+        return {
+            name: base.name,
+            base,
+            parse: (literal) => lift(base.parse(literal)),
+            fromNumber: (n) => lift(base.fromNumber(n)),
+            toNumber: (x) => {
+                const q = lift(x);
+                if (!isPlain(q)) throw new Error('Invalid argument');
+                return base.toNumber(q.value);
+            },
+            add: (a, b) => {
+                const [x, y] = [lift(a), lift(b)];
+                this.assertCompatible(x, y, 'add');
+                if (x.absolute && y.absolute) {
+                    throw new Error('Cannot add two absolute temperatures');
+                }
+                const absolute = x.absolute || y.absolute;
+                return new Quantity(base.add(x.value, y.value), x.dimensions, absolute, !absolute && (x.difference || y.difference));
+            },
+            subtract: (a, b) => {
+                const [x, y] = [lift(a), lift(b)];
+                this.assertCompatible(x, y, 'add');
+                if (y.absolute && !x.absolute) {
+                    throw new Error('Cannot subtract an absolute temperature from a difference');
+                }
+                // The difference of two temperatures is in kelvin, without an offset
+                const absolute = x.absolute && !y.absolute;
+                const difference = (x.absolute && y.absolute) || (!absolute && (x.difference || y.difference));
+                return new Quantity(base.subtract(x.value, y.value), x.dimensions, absolute, difference);
+            },
+            multiply: (a, b) => scale(a, b, base.multiply, 1),
+            divide: (a, b) => scale(a, b, base.divide, -1),
+            power: (a, b) => {
+                const [x, exponent] = [lift(a), lift(b)];
+                if (!isPlain(exponent) || x.absolute) throw new Error("Invalid argument for '^'");
+                const n = base.toNumber(exponent.value);
+                if (!isPlain(x) && !Number.isInteger(n)) {
+                    throw new Error('Units can only be raised to integer powers');
+                }
+                return new Quantity(base.power(x.value, exponent.value), x.dimensions.map((d) => d * n));
+            },
+            negate: (a) => {
+                const q = lift(a);
+                if (q.absolute) throw new Error('Cannot negate an absolute temperature');
+                return new Quantity(base.negate(q.value), q.dimensions, false, q.difference);
+            },
+            abs: (a) => {
+                const q = lift(a);
+                return new Quantity(base.abs(q.value), q.dimensions, q.absolute, q.difference);
+            },
+            sqrt: (a) => {
+                const q = lift(a);
+                if (q.absolute || q.dimensions.some((d) => d % 2 !== 0)) throw new Error('Invalid argument');
+                return new Quantity(base.sqrt(q.value), q.dimensions.map((d) => d / 2));
+            },
+            floor: (a) => plain(a, base.floor),
+            ceil: (a) => plain(a, base.ceil),
+            round: (a) => plain(a, base.round),
+            factorial: (a) => plain(a, base.factorial),
+            constant: (name) => lift(base.constant(name)),
+            normalize: (value) => {
+                const q = lift(value);
+                return new Quantity(base.normalize(q.value), q.dimensions, q.absolute, q.difference);
+            }
+        };
+    }
+}
@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Manages the unit picker panel.
+ */
+
+/**
+ * Class representing the unit picker.
+ * Lists the units of the chosen category; clicking a unit or `to` inserts it
+ * into the input, and `=` on the keypad evaluates the conversion.
+ */
+export class UnitPanel {
+    /**
+     * Creates a new UnitPanel instance.
+     * @param {CalculatorCore} core - The calculator core units are typed into
+     */
+    constructor(core) {
+        /** @private {CalculatorCore} The calculator core */
+        this.core = core;
+
+        /** @private {UnitConverter} The unit converter instance */
+        this.converter = core.getUnitConverter();
+
+        /** @private {HTMLSelectElement|null} The category picker */
+        this.categoryElement = null;
+
+        /** @private {HTMLElement|null} The element holding the unit buttons */
+        this.listElement = null;
+    }
+
+    /**
+     * Initializes the panel by getting DOM elements and rendering the units.
+     */
+    initialize() {
+        this.categoryElement = document.querySelector('.calculator-unit-category');
+        this.listElement = document.querySelector('.calculator-unit-list');
+        if (!this.categoryElement || !this.listElement) {
+            console.error('Unit panel elements not found');
+            return;
+        }
+
+        this.categoryElement.innerHTML = '';
+        this.converter.getCategories().forEach(({ name, label }) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = label;
+            this.categoryElement.appendChild(option);
+        });
+
+        this.categoryElement.addEventListener('change', () => this.render());
+        this.listElement.addEventListener('click', (event) => {
+            const button = event.target.closest('button[data-unit]');
+            if (button) {
+                this.core.dispatch({ type: 'append', value: ` ${button.dataset.unit}` });
+            }
+        });
+        this.render();
+    }
+
+    /**
+     * Renders the units of the selected category, followed by `to`.
+     */
+    render() {
+        if (!this.listElement) return;
+
+        this.listElement.innerHTML = '';
+        const units = [...this.converter.getUnits(this.categoryElement.value), { name: 'to', label: 'to' }];
+        units.forEach(({ name, label }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'calculator-unit';
+            button.classList.toggle('calculator-unit-to', name === 'to');
+            button.dataset.unit = name === 'to' ? 'to ' : name;
+            button.textContent = label;
+            this.listElement.appendChild(button);
+        });
+    }
+}
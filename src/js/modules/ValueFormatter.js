@@ -0,0 +1,274 @@
+/**
+ * @fileoverview Formats values for display.
+ * Turns results into text using the active base, fraction and complex
+ * output, precision and locale. It does not touch the DOM, so the same text
+ * is shown in the browser and by the headless core.
+ */
+
+import { Complex } from './Complex.js';
+import { Decimal } from './Decimal.js';
+import { Fraction } from './Fraction.js';
+import { NumberLocale } from './NumberLocale.js';
+
+/**
+ * Size of a full turn in each angle mode, used for polar output.
+ * @type {Object<string, number>}
+ */
+const ANGLE_TURNS = {
+    DEG: 360,
+    RAD: 2 * Math.PI,
+    GRAD: 400
+};
+
+/**
+ * Most digits of an exact fraction shown in full; longer ones are rounded
+ * to the precision and shown in scientific notation.
+ * @type {number}
+ */
+const MAX_EXACT_DIGITS = 100;
+
+/**
+ * Counts the decimal digits of a BigInt, ignoring its sign. Longer numbers
+ * are only estimated from their bits, which is exact enough to compare with
+ * `MAX_EXACT_DIGITS` and avoids writing out every decimal digit.
+ * @param {bigint} n - The number
+ * @returns {number} The number of digits
+ */
+function digitCount(n) {
+    const magnitude = n < 0n ? -n : n;
+    const bits = magnitude.toString(2).length;
+    return bits > 4 * MAX_EXACT_DIGITS ? Math.ceil(bits * Math.log10(2)) : magnitude.toString().length;
+}
+
+/**
+ * Class formatting calculator values as text.
+ * @class ValueFormatter
+ * @example
+ * const formatter = new ValueFormatter();
+ * formatter.setLocale(new NumberLocale('de-DE'));
+ * formatter.format(Decimal.from('1234.5')); // Returns '1.234,5'
+ * formatter.format(Decimal.from('2.54'), 'cm'); // Returns '2,54 cm'
+ */
+export class ValueFormatter {
+    /**
+     * Creates a new ValueFormatter instance.
+     * @constructor
+     */
+    constructor() {
+        /** @private {number} Base used to show programmer mode integers */
+        this.radix = 10;
+
+        /** @private {string} How fractions are shown: 'fraction' or 'decimal' */
+        this.fractionOutput = 'fraction';
+
+        /** @private {number} Significant digits for fractions shown as decimals */
+        this.precision = 34;
+
+        /** @private {string} How complex numbers are shown: 'rectangular' or 'polar' */
+        this.complexOutput = 'rectangular';
+
+        /** @private {string} Angle mode used for polar output */
+        this.angleMode = 'DEG';
+
+        /** @private {NumberLocale} Separators and digit grouping for numbers and expressions */
+        this.locale = new NumberLocale();
+    }
+
+    /**
+     * Sets the base used to show programmer mode integers.
+     * @param {number} radix - The base: 2, 8, 10 or 16
+     * @example
+     * formatter.setRadix(16);
+     * formatter.format(255n); // Returns 'FF'
+     */
+    setRadix(radix) {
+        this.radix = radix;
+    }
+
+    /**
+     * Sets how exact fractions are shown.
+     * @param {string} output - 'fraction' for mixed numbers such as 2 1/4,
+     *     'decimal' for decimals such as 2.25
+     * @example
+     * formatter.setFractionOutput('decimal');
+     * formatter.format(Fraction.from('1/3')); // Returns '0.333…'
+     */
+    setFractionOutput(output) {
+        this.fractionOutput = output;
+    }
+
+    /**
+     * Gets how exact fractions are shown.
+     * @returns {string} Either 'fraction' or 'decimal'
+     */
+    getFractionOutput() {
+        return this.fractionOutput;
+    }
+
+    /**
+     * Sets how complex numbers are shown.
+     * @param {string} output - 'rectangular' for 3 - 2i, 'polar' for 5∠36.87°
+     * @example
+     * formatter.setComplexOutput('polar');
+     * formatter.format(new Complex(0, 2)); // Returns '2∠90°'
+     */
+    setComplexOutput(output) {
+        this.complexOutput = output;
+    }
+
+    /**
+     * Gets how complex numbers are shown.
+     * @returns {string} Either 'rectangular' or 'polar'
+     */
+    getComplexOutput() {
+        return this.complexOutput;
+    }
+
+    /**
+     * Sets the angle mode used for the angle of polar output.
+     * @param {string} mode - One of 'DEG', 'RAD' or 'GRAD'
+     */
+    setAngleMode(mode) {
+        this.angleMode = mode;
+    }
+
+    /**
+     * Sets the significant digits used when a fraction is shown as a decimal.
+     * @param {number} digits - Significant digits
+     */
+    setPrecision(digits) {
+        this.precision = digits;
+    }
+
+    /**
+     * Sets the locale used to format numbers and expressions.
+     * @param {NumberLocale} locale - The number locale
+     */
+    setLocale(locale) {
+        this.locale = locale;
+    }
+
+    /**
+     * Formats a value, optionally followed by a unit.
+     * @param {Decimal|Fraction|Complex|number|bigint|string} value - The value to format
+     * @param {string} [unit] - A unit shown after the value, e.g. 'cm'
+     * @returns {string} The formatted value
+     * @example
+     * formatter.format(Fraction.from('9/4')); // Returns '2 1/4'
+     */
+    format(value, unit) {
+        const formattedValue = this.formatNumber(value);
+        return unit ? `${formattedValue} ${unit}` : formattedValue;
+    }
+
+    /**
+     * Formats a number for display.
+     * Numbers use the separators and digit grouping of the locale.
+     * Decimals are shown with every digit of their exact value; floating-point
+     * numbers are shortened to scientific notation when very large or small.
+     * Programmer mode integers are written in the active base. Exact
+     * fractions are shown as mixed numbers such as 2 1/4, unless decimal
+     * output is selected, and complex numbers as 3 - 2i or 5∠36.87°.
+     * @param {Decimal|Fraction|Complex|number|bigint|string} value - The value to format
+     * @returns {string} The formatted number
+     * @private
+     */
+    formatNumber(value) {
+        // Strings are expressions as typed, which only need the local separators
+        if (typeof value === 'string') {
+            return this.locale.formatExpression(value);
+        }
+
+        if (typeof value === 'bigint') {
+            return this.formatRadix(value);
+        }
+
+        if (value instanceof Fraction) {
+            return this.formatFraction(value);
+        }
+
+        if (value instanceof Complex) {
+            return this.formatComplex(value);
+        }
+
+        // Exact decimals keep all their digits
+        if (value instanceof Decimal) {
+            return this.locale.formatNumber(value.toString());
+        }
+        
+        // Handle very large or small numbers
+        if (Math.abs(value) >= 1e9 || (Math.abs(value) < 1e-9 && value !== 0)) {
+            return this.locale.formatNumber(value.toExponential(8));
+        }
+        
+        return this.locale.formatNumber(value.toString());
+    }
+
+    /**
+     * Formats a fraction as a mixed number, e.g. -2 1/4, or as a decimal.
+     * Approximate fractions, and exact ones with more than 100 digits, are
+     * always shown as decimals.
+     * @param {Fraction} value - The fraction to format
+     * @returns {string} The formatted fraction
+     * @private
+     */
+    formatFraction(value) {
+        const isLong = digitCount(value.numerator) > MAX_EXACT_DIGITS || digitCount(value.denominator) > MAX_EXACT_DIGITS;
+        if (value.approximate || isLong || this.fractionOutput === 'decimal') {
+            return this.locale.formatNumber(value.toDecimal(this.precision).toString());
+        }
+
+        const { whole, numerator, denominator } = value.abs().toMixed();
+        const sign = value.isNegative() ? '-' : '';
+        if (numerator === 0n) {
+            return this.locale.formatInteger(value.toString());
+        }
+        const part = `${numerator}/${denominator}`;
+        return whole === 0n ? `${sign}${part}` : `${sign}${this.locale.formatInteger(whole.toString())} ${part}`;
+    }
+
+    /**
+     * Formats a complex number in rectangular form, e.g. 3 - 2i, or in polar
+     * form with the angle in the active angle mode, e.g. 5∠36.87°.
+     * @param {Complex} value - The complex number to format
+     * @returns {string} The formatted complex number
+     * @private
+     */
+    formatComplex(value) {
+        if (this.complexOutput === 'polar') {
+            const angle = parseFloat((value.arg() * ANGLE_TURNS[this.angleMode] / (2 * Math.PI)).toPrecision(15));
+            const magnitude = parseFloat(value.abs().toPrecision(15));
+            return `${this.formatNumber(magnitude)}∠${this.formatNumber(angle)}${this.angleMode === 'DEG' ? '°' : ''}`;
+        }
+
+        if (value.isReal()) {
+            return this.formatNumber(value.re);
+        }
+        const imaginary = Math.abs(value.im) === 1 ? 'i' : `${this.formatNumber(Math.abs(value.im))}i`;
+        if (value.re === 0) {
+            return value.im < 0 ? `-${imaginary}` : imaginary;
+        }
+        return `${this.formatNumber(value.re)} ${value.im < 0 ? '-' : '+'} ${imaginary}`;
+    }
+
+    /**
+     * Formats an integer in the active base. Decimal integers are grouped by
+     * the locale; other bases are split into groups of 4 digits, or 3 in octal.
+     * @param {bigint} value - The integer to format
+     * @returns {string} The formatted integer
+     * @private
+     */
+    formatRadix(value) {
+        const digits = (value < 0n ? -value : value).toString(this.radix).toUpperCase();
+        if (this.radix === 10) {
+            return this.locale.formatInteger(value.toString());
+        }
+
+        const size = this.radix === 8 ? 3 : 4;
+        const groups = [];
+        for (let i = digits.length; i > 0; i -= size) {
+            groups.unshift(digits.slice(Math.max(0, i - size), i));
+        }
+        return (value < 0n ? '-' : '') + groups.join(' ');
+    }
+}
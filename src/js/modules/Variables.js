@@ -0,0 +1,122 @@
+/**
+ * @fileoverview Variables module for storing named values used in expressions.
+ * Handles variable storage and persistence for the browser session.
+ */
+
+import { MemoryStorage } from './MemoryStorage.js';
+
+/**
+ * Variables class for storing named values used in expressions.
+ * Values are kept as strings in the engine's number format, so exact
+ * decimals survive a reload. In the browser the store lives in
+ * sessionStorage and is discarded when the browser session ends.
+ * @class Variables
+ * @example
+ * const variables = new Variables(sessionStorage);
+ * variables.set('rate', '0.075');
+ * variables.get('rate'); // Returns '0.075'
+ */
+export class Variables {
+    /**
+     * Creates a new Variables instance.
+     * Loads any variables saved earlier in this session.
+     * @constructor
+     * @param {Storage|MemoryStorage} [storage] - Where the variables are saved,
+     *     e.g. sessionStorage; defaults to an in-memory store
+     */
+    constructor(storage = new MemoryStorage()) {
+        /** @private {Storage|MemoryStorage} Where the variables are saved */
+        this.storage = storage;
+
+        /** @private {Map<string, string>} Variable values by name */
+        this.values = new Map();
+
+        this.initialize();
+    }
+
+    /**
+     * Initializes the variable store.
+     * Loads the variables saved in storage.
+     * @example
+     * variables.initialize(); // Loads saved variables if any
+     */
+    initialize() {
+        try {
+            const saved = JSON.parse(this.storage.getItem('calculatorVariables'));
+            if (saved && typeof saved === 'object') {
+                Object.entries(saved).forEach(([name, value]) => {
+                    if (typeof value === 'string') {
+                        this.values.set(name, value);
+                    }
+                });
+            }
+        } catch (error) {
+            // Ignore corrupt variables and start afresh
+        }
+    }
+
+    /**
+     * Gets the value of a variable.
+     * @param {string} name - The variable name
+     * @returns {string|undefined} The value, or undefined if it is not defined
+     */
+    get(name) {
+        return this.values.get(name);
+    }
+
+    /**
+     * Sets the value of a variable.
+     * @param {string} name - The variable name
+     * @param {string} value - The value
+     * @example
+     * variables.set('price', '19.99');
+     */
+    set(name, value) {
+        this.values.set(name, String(value));
+        this.save();
+    }
+
+    /**
+     * Checks whether a variable is defined.
+     * @param {string} name - The variable name
+     * @returns {boolean} True if the variable is defined
+     */
+    has(name) {
+        return this.values.has(name);
+    }
+
+    /**
+     * Removes a variable.
+     * @param {string} name - The variable name
+     * @returns {boolean} True if the variable existed
+     */
+    delete(name) {
+        const existed = this.values.delete(name);
+        this.save();
+        return existed;
+    }
+
+    /**
+     * Removes all variables.
+     */
+    clear() {
+        this.values.clear();
+        this.save();
+    }
+
+    /**
+     * Gets all variables.
+     * @returns {Array<[string, string]>} Name and value pairs
+     */
+    entries() {
+        return [...this.values];
+    }
+
+    /**
+     * Saves the variables to storage.
+     * @private
+     */
+    save() {
+        this.storage.setItem('calculatorVariables', JSON.stringify(Object.fromEntries(this.values)));
+    }
+}